@@ -0,0 +1,417 @@
+import crypto from 'crypto';
+import db from './database.js';
+import { getStoredFile, getStorage, deleteStoredFile } from './blob-storage.js';
+import vectorStore, {
+  SHARED_COLLECTION,
+  getUserCollectionName,
+  getInvoiceCollectionName,
+  getOrganizationCollectionName,
+  getSparseCollectionName
+} from './vector-store.js';
+import { deleteSparsePoints, deleteSparseCollection } from './sparse-index.js';
+import { getUnfinishedReindexRuns } from './reindex-runs.js';
+
+// Everything held for a user lives in three stores:
+//   Database   - users, documents, invoices, shipping_quotes, shipment_tracking,
+//                document_chat_threads, organization membership, API key and
+//                re-index run rows
+//   Vectors    - the user's personal, invoice and per-document collections and
+//                the user's points in the shared collection, each with its
+//                keyword index and the shadow of an unfinished re-index
+//   Files      - the original uploads, in whichever storage backend each
+//                row records
+// Organization data belongs to the organization and is only removed when the
+// user was its sole member. In organizations that stay, the user's rows and
+// points are kept under a pseudonym and counted in the deletion receipt.
+
+async function selectRows(table, column, value) {
+  const { data, error } = await db
+    .from(table)
+    .select('*')
+    .eq(column, value);
+  if (error) throw error;
+  return data || [];
+}
+
+async function collectionExists(collectionName) {
+  try {
+    return await vectorStore.collectionExists(collectionName);
+  } catch (error) {
+    console.warn(`[Account] Could not check collection ${collectionName}:`, error.message);
+    return false;
+  }
+}
+
+function withoutSecrets(rows, secretColumns) {
+  return rows.map(row => {
+    const copy = { ...row };
+    for (const column of secretColumns) delete copy[column];
+    return copy;
+  });
+}
+
+// Vector data held for the user: whole personal collections plus the user's
+// own points in shared and organization collections
+function getUserVectorSources(userId, documents) {
+  const sources = [
+    { collectionName: getUserCollectionName(userId), filter: undefined },
+    { collectionName: getInvoiceCollectionName(userId), filter: undefined }
+  ];
+
+  for (const doc of documents) {
+    if (doc.strategy === 'document') {
+      sources.push({ collectionName: doc.collection_name, filter: undefined });
+    }
+  }
+
+  const sharedCollections = new Set(
+    documents
+      .filter(doc => doc.strategy === 'shared' || doc.strategy === 'organization')
+      .map(doc => doc.collection_name)
+  );
+  sharedCollections.add(SHARED_COLLECTION);
+  for (const collectionName of sharedCollections) {
+    sources.push({
+      collectionName,
+      filter: { must: [{ key: 'metadata.userId', match: { value: userId } }] }
+    });
+  }
+
+  return sources;
+}
+
+// ========== EXPORT ==========
+
+/**
+ * Append everything held for a user to an archiver instance. The caller owns
+ * the archive and is responsible for finalizing it.
+ */
+export async function writeAccountExport(userId, archive) {
+  const [users, documents, invoices, shippingQuotes, shipmentTracking, chatThreads, memberships, apiKeys] = await Promise.all([
+    selectRows('users', 'user_id', userId),
+    selectRows('documents', 'user_id', userId),
+    selectRows('invoices', 'user_id', userId),
+    selectRows('shipping_quotes', 'user_id', userId),
+    selectRows('shipment_tracking', 'user_id', userId),
+    selectRows('document_chat_threads', 'user_id', userId),
+    selectRows('organization_members', 'user_id', userId),
+    selectRows('api_keys', 'user_id', userId)
+  ]);
+
+  const addJson = (name, value) => archive.append(JSON.stringify(value, null, 2), { name });
+
+  addJson('account.json', withoutSecrets(users, ['password_hash'])[0] || null);
+  addJson('documents.json', documents);
+  addJson('invoices.json', invoices);
+  addJson('shipping_quotes.json', shippingQuotes);
+  addJson('shipment_tracking.json', shipmentTracking);
+  addJson('document_chat_threads.json', chatThreads);
+  addJson('organization_memberships.json', memberships);
+  addJson('api_keys.json', withoutSecrets(apiKeys, ['key_hash']));
+
+  const vectorCounts = {};
+  for (const { collectionName, filter } of getUserVectorSources(userId, documents)) {
+    if (vectorCounts[collectionName] !== undefined || !(await collectionExists(collectionName))) continue;
+
+    const lines = [];
+    for await (const point of vectorStore.scroll(collectionName, { filter })) {
+      lines.push(JSON.stringify({ id: point.id, ...point.payload }));
+    }
+    vectorCounts[collectionName] = lines.length;
+    if (lines.length > 0) {
+      archive.append(lines.join('\n') + '\n', { name: `vectors/${collectionName}.jsonl` });
+    }
+  }
+
+  const files = [
+    ...documents.map(doc => ({ folder: 'documents', id: doc.document_id, filename: doc.filename, stored: getStoredFile(doc) })),
+    ...invoices.map(inv => ({ folder: 'invoices', id: inv.invoice_id, filename: inv.filename, stored: getStoredFile(inv) }))
+  ].filter(file => file.stored);
+
+  const missingFiles = [];
+  for (const file of files) {
+    try {
+      const stream = await getStorage(file.stored.backend).getStream(file.stored.key);
+      archive.append(stream, { name: `files/${file.folder}/${file.id}-${file.filename}` });
+    } catch (error) {
+      console.warn(`[Account] Could not export file ${file.id}:`, error.message);
+      missingFiles.push({ id: file.id, filename: file.filename, error: error.message });
+    }
+  }
+
+  addJson('manifest.json', {
+    userId,
+    exportedAt: new Date().toISOString(),
+    counts: {
+      documents: documents.length,
+      invoices: invoices.length,
+      shippingQuotes: shippingQuotes.length,
+      shipments: shipmentTracking.length,
+      documentChatThreads: chatThreads.length,
+      organizations: memberships.length,
+      apiKeys: apiKeys.length,
+      files: files.length - missingFiles.length
+    },
+    vectors: vectorCounts,
+    missingFiles
+  });
+}
+
+// ========== ERASURE ==========
+
+function hashUserId(userId) {
+  return crypto.createHash('sha256').update(userId).digest('hex');
+}
+
+// Receipts only keep a hash of the user id, so they survive the erasure
+// without identifying the person
+export async function createDeletionReceipt(userId) {
+  const { data, error } = await db
+    .from('deletion_receipts')
+    .insert([{
+      receipt_id: crypto.randomBytes(16).toString('hex'),
+      user_id_hash: hashUserId(userId),
+      status: 'pending',
+      requested_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function getDeletionReceipt(receiptId) {
+  const { data, error } = await db
+    .from('deletion_receipts')
+    .select('*')
+    .eq('receipt_id', receiptId)
+    .single();
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+export async function updateDeletionReceipt(receiptId, fields) {
+  const { error } = await db
+    .from('deletion_receipts')
+    .update(fields)
+    .eq('receipt_id', receiptId);
+  if (error) throw error;
+}
+
+async function deleteRows(table, column, values) {
+  if (values.length === 0) return 0;
+  const { data, error } = await db
+    .from(table)
+    .delete()
+    .in(column, values)
+    .select();
+  if (error) throw error;
+  return (data || []).length;
+}
+
+// Columns that name the user in organization data that outlives the account
+const PSEUDONYMIZED_COLUMNS = [
+  ['documents', 'user_id'],
+  ['invoices', 'user_id'],
+  ['shipping_quotes', 'user_id'],
+  ['shipment_tracking', 'user_id'],
+  ['organizations', 'created_by'],
+  ['organization_invitations', 'invited_by'],
+  ['organization_invitations', 'accepted_by']
+];
+
+// Derived from the receipt, so a retried erasure uses the same pseudonym, and
+// not from the user id, which other members of the organization know
+function getPseudonym(receiptId) {
+  return `deleted-${receiptId}`;
+}
+
+async function pseudonymizeRows(table, column, userId, pseudonym) {
+  const { error } = await db
+    .from(table)
+    .update({ [column]: pseudonym })
+    .eq(column, userId);
+  if (error) throw error;
+}
+
+// Writes the points matching filter to toCollection with the pseudonym as
+// their userId; with fromCollection itself they are rewritten in place
+async function pseudonymizePoints(fromCollection, toCollection, filter, pseudonym) {
+  if (!(await collectionExists(fromCollection))) return;
+
+  let created = toCollection === fromCollection;
+  let batch = [];
+  for await (const point of vectorStore.scroll(fromCollection, { filter, withVector: true })) {
+    if (!created) {
+      await vectorStore.createCollection(toCollection, Array.isArray(point.vector)
+        ? { dimensions: point.vector.length }
+        : { sparse: true });
+      created = true;
+    }
+    batch.push({
+      id: point.id,
+      vector: point.vector,
+      payload: { ...point.payload, metadata: { ...point.payload?.metadata, userId: pseudonym } }
+    });
+    if (batch.length === 100) {
+      await vectorStore.upsert(toCollection, batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) await vectorStore.upsert(toCollection, batch);
+}
+
+async function deletePersonalRows(table, userId) {
+  const { data, error } = await db
+    .from(table)
+    .delete()
+    .eq('user_id', userId)
+    .is('organization_id', null)
+    .select();
+  if (error) throw error;
+  return (data || []).length;
+}
+
+/**
+ * Remove a user's data from the database, the vector store and file storage.
+ * organizationIds lists organizations the user was the sole member of; they
+ * are erased together with the account. What the user added to other
+ * organizations is kept under a pseudonym derived from receiptId. Every step
+ * tolerates data that is already gone, so a failed job can simply be retried.
+ */
+export async function eraseAccountData({ userId, receiptId, organizationIds = [] }) {
+  const summary = { database: {}, qdrant: { collectionsDeleted: [], pointsDeletedFrom: [] }, files: { assetsDeleted: 0, assetsFailed: 0 } };
+  const pseudonym = getPseudonym(receiptId);
+
+  const userDocuments = await selectRows('documents', 'user_id', userId);
+  const userInvoices = await selectRows('invoices', 'user_id', userId);
+  const personalDocuments = userDocuments.filter(doc => !doc.organization_id);
+  const personalInvoices = userInvoices.filter(inv => !inv.organization_id);
+  const isKept = (row) => row.organization_id && !organizationIds.includes(row.organization_id);
+  const keptDocuments = userDocuments.filter(isKept);
+  const keptInvoices = userInvoices.filter(isKept);
+  const orgDocuments = [];
+  const orgInvoices = [];
+  for (const organizationId of organizationIds) {
+    orgDocuments.push(...await selectRows('documents', 'organization_id', organizationId));
+    orgInvoices.push(...await selectRows('invoices', 'organization_id', organizationId));
+  }
+  const documents = [...personalDocuments, ...orgDocuments];
+  const invoices = [...personalInvoices, ...orgInvoices];
+
+  // Files; one that is already gone counts as deleted
+  for (const file of [...documents, ...invoices].map(getStoredFile).filter(Boolean)) {
+    try {
+      await deleteStoredFile(file);
+      summary.files.assetsDeleted++;
+    } catch (error) {
+      console.warn(`[Account] Could not delete ${file.backend} file ${file.key}:`, error.message);
+      summary.files.assetsFailed++;
+    }
+  }
+
+  // Vectors of kept organization data: document points are rewritten where
+  // they are; invoice points move out of the user's invoice collection, which
+  // is dropped below, into the pseudonym's
+  if (keptDocuments.length > 0) {
+    const keptDocumentFilter = { must: [{ key: 'metadata.documentId', match: { any: keptDocuments.map(doc => doc.document_id) } }] };
+    const keptCollections = new Set(keptDocuments.map(doc => doc.collection_name));
+    for (const collectionName of [...keptCollections]) {
+      for (const run of await getUnfinishedReindexRuns(collectionName)) {
+        keptCollections.add(run.shadow_collection);
+      }
+    }
+    for (const collectionName of keptCollections) {
+      for (const name of [collectionName, getSparseCollectionName(collectionName)]) {
+        await pseudonymizePoints(name, name, keptDocumentFilter, pseudonym);
+      }
+    }
+  }
+  if (keptInvoices.length > 0) {
+    const keptInvoiceFilter = { must: [{ key: 'metadata.invoiceId', match: { any: keptInvoices.map(inv => inv.invoice_id) } }] };
+    const from = getInvoiceCollectionName(userId);
+    const to = getInvoiceCollectionName(pseudonym);
+    await pseudonymizePoints(from, to, keptInvoiceFilter, pseudonym);
+    await pseudonymizePoints(getSparseCollectionName(from), getSparseCollectionName(to), keptInvoiceFilter, pseudonym);
+  }
+
+  // Vectors: drop whole collections the user or their sole organizations own,
+  // and remove their points from collections shared with others
+  const ownedCollections = new Set([
+    getUserCollectionName(userId),
+    getInvoiceCollectionName(userId),
+    ...documents.filter(doc => doc.strategy === 'document').map(doc => doc.collection_name),
+    ...organizationIds.map(getOrganizationCollectionName)
+  ]);
+  const reindexedCollections = [...ownedCollections];
+  // Unfinished re-index runs hold copies of the points in shadow collections
+  for (const collectionName of reindexedCollections) {
+    for (const run of await getUnfinishedReindexRuns(collectionName)) {
+      ownedCollections.add(run.shadow_collection);
+    }
+  }
+  for (const collectionName of ownedCollections) {
+    if (await vectorStore.deleteCollection(collectionName)) {
+      summary.qdrant.collectionsDeleted.push(collectionName);
+    }
+    if (await deleteSparseCollection(collectionName)) {
+      summary.qdrant.collectionsDeleted.push(getSparseCollectionName(collectionName));
+    }
+  }
+
+  const sharedDocumentIds = documents
+    .filter(doc => !ownedCollections.has(doc.collection_name))
+    .map(doc => doc.document_id);
+  const sharedCollections = new Set([
+    SHARED_COLLECTION,
+    ...documents.map(doc => doc.collection_name).filter(name => !ownedCollections.has(name))
+  ]);
+  for (const collectionName of [...sharedCollections]) {
+    for (const run of await getUnfinishedReindexRuns(collectionName)) {
+      sharedCollections.add(run.shadow_collection);
+    }
+  }
+  const userPointsFilter = {
+    should: [
+      { must: [{ key: 'metadata.userId', match: { value: userId } }, { is_empty: { key: 'metadata.organizationId' } }] },
+      ...(sharedDocumentIds.length > 0 ? [{ key: 'metadata.documentId', match: { any: sharedDocumentIds } }] : [])
+    ]
+  };
+  for (const collectionName of sharedCollections) {
+    await deleteSparsePoints(collectionName, userPointsFilter);
+    if (!(await collectionExists(collectionName))) continue;
+    await vectorStore.deleteByFilter(collectionName, userPointsFilter);
+    summary.qdrant.pointsDeletedFrom.push(collectionName);
+  }
+
+  // Database rows, child rows first and the user row last
+  summary.database.invoices = await deleteRows('invoices', 'invoice_id', invoices.map(inv => inv.invoice_id));
+  summary.database.documents = await deleteRows('documents', 'document_id', documents.map(doc => doc.document_id));
+  summary.database.shippingQuotes = await deletePersonalRows('shipping_quotes', userId)
+    + await deleteRows('shipping_quotes', 'organization_id', organizationIds);
+  summary.database.shipments = await deletePersonalRows('shipment_tracking', userId)
+    + await deleteRows('shipment_tracking', 'organization_id', organizationIds);
+  summary.database.documentChatThreads = await deleteRows('document_chat_threads', 'user_id', [userId])
+    + await deleteRows('document_chat_threads', 'organization_id', organizationIds);
+  summary.database.apiKeys = await deleteRows('api_keys', 'user_id', [userId])
+    + await deleteRows('api_keys', 'organization_id', organizationIds);
+  summary.database.invitations = await deleteRows('organization_invitations', 'invited_user_id', [userId])
+    + await deleteRows('organization_invitations', 'organization_id', organizationIds);
+  summary.database.reindexRuns = await deleteRows('reindex_runs', 'collection_name', reindexedCollections);
+
+  // Whatever still names the user belongs to organizations that stay
+  for (const [table, column] of PSEUDONYMIZED_COLUMNS) {
+    await pseudonymizeRows(table, column, userId, pseudonym);
+  }
+  summary.retainedOrganizationData = {
+    documents: (await selectRows('documents', 'user_id', pseudonym)).length,
+    invoices: (await selectRows('invoices', 'user_id', pseudonym)).length,
+    shippingQuotes: (await selectRows('shipping_quotes', 'user_id', pseudonym)).length,
+    shipments: (await selectRows('shipment_tracking', 'user_id', pseudonym)).length
+  };
+  summary.database.memberships = await deleteRows('organization_members', 'user_id', [userId]);
+  summary.database.organizations = await deleteRows('organizations', 'organization_id', organizationIds);
+  summary.database.users = await deleteRows('users', 'user_id', [userId]);
+
+  return summary;
+}
@@ -0,0 +1,223 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+import { ChatOpenAI, AzureChatOpenAI, OpenAIEmbeddings, AzureOpenAIEmbeddings } from '@langchain/openai';
+import { Embeddings } from '@langchain/core/embeddings';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Model providers, chosen by environment:
+//   AI_PROVIDER        - openai (default), azure or openai-compatible; used
+//                        for all chat tasks
+//   EMBEDDING_PROVIDER - the same choices plus local; defaults to AI_PROVIDER
+//
+//   openai             - OPENAI_API_KEY (and optionally OPENAI_BASE_URL)
+//   azure              - AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT,
+//                        AZURE_OPENAI_API_VERSION; model names are deployments
+//   openai-compatible  - a local server such as Ollama or llama.cpp:
+//                        LOCAL_LLM_BASE_URL (e.g. http://localhost:11434/v1)
+//                        and optionally LOCAL_LLM_API_KEY
+//   local              - embeddings computed in-process with transformers.js;
+//                        LOCAL_MODELS_PATH serves models from disk only
+//
+// Each task has its own model, overridable with MODEL_<TASK>, e.g.
+// MODEL_CHAT=llama3.1:8b or MODEL_EMBEDDINGS=nomic-embed-text. Local servers
+// have no default vision model: without MODEL_VISION images are read with OCR.
+
+export const PROVIDERS = ['openai', 'azure', 'openai-compatible'];
+export const EMBEDDING_PROVIDERS = [...PROVIDERS, 'local'];
+
+const DEFAULT_MODELS = {
+  chat: 'gpt-4o',          // shipping agent and document answers
+  grading: 'gpt-4o-mini',  // reranking, relevance and groundedness checks, question condensing
+  analysis: 'gpt-4o-mini', // document classification and entity extraction
+  extraction: 'gpt-4o',    // invoice field extraction
+  vision: 'gpt-4o-mini',   // transcribing uploaded images
+  embeddings: 'text-embedding-3-small'
+};
+
+const LOCAL_EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// Dimensions of well-known embedding models; others are measured once
+const EMBEDDING_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536,
+  'Xenova/all-MiniLM-L6-v2': 384,
+  'nomic-embed-text': 768
+};
+
+function readProvider(name, allowed, fallback) {
+  const value = (process.env[name] || fallback).toLowerCase();
+  if (!allowed.includes(value)) {
+    throw new Error(`${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+export function getChatProvider() {
+  return readProvider('AI_PROVIDER', PROVIDERS, 'openai');
+}
+
+export function getEmbeddingProvider() {
+  return readProvider('EMBEDDING_PROVIDER', EMBEDDING_PROVIDERS, getChatProvider());
+}
+
+export function getModelName(task) {
+  if (!(task in DEFAULT_MODELS)) {
+    throw new Error(`Unknown model task: ${task}`);
+  }
+  const configured = process.env[`MODEL_${task.toUpperCase()}`];
+  if (configured) return configured;
+  if (task === 'embeddings' && getEmbeddingProvider() === 'local') return LOCAL_EMBEDDING_MODEL;
+  return DEFAULT_MODELS[task];
+}
+
+export function hasVisionModel() {
+  return Boolean(process.env.MODEL_VISION) || getChatProvider() !== 'openai-compatible';
+}
+
+function getAzureOptions() {
+  return {
+    azureOpenAIApiKey: process.env.AZURE_OPENAI_API_KEY,
+    azureOpenAIEndpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    azureOpenAIApiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+  };
+}
+
+function getOpenAIOptions() {
+  return {
+    apiKey: process.env.OPENAI_API_KEY,
+    configuration: { baseURL: process.env.OPENAI_BASE_URL || undefined }
+  };
+}
+
+function getCompatibleOptions() {
+  return {
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+    configuration: { baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1' }
+  };
+}
+
+// ========== CHAT MODELS ==========
+
+/**
+ * LangChain chat model for a task, e.g. createChatModel('chat', { temperature: 0.7 }).
+ */
+export function createChatModel(task, options = {}) {
+  const model = getModelName(task);
+
+  switch (getChatProvider()) {
+    case 'azure':
+      return new AzureChatOpenAI({ ...getAzureOptions(), azureOpenAIApiDeploymentName: model, ...options });
+    case 'openai-compatible':
+      return new ChatOpenAI({ model, ...getCompatibleOptions(), ...options });
+    default:
+      return new ChatOpenAI({ model, ...getOpenAIOptions(), ...options });
+  }
+}
+
+let chatClient;
+
+// Raw SDK client of the chat provider; Azure takes the deployment as `model`
+function getChatClient() {
+  if (chatClient) return chatClient;
+
+  switch (getChatProvider()) {
+    case 'azure': {
+      const { azureOpenAIApiKey, azureOpenAIEndpoint, azureOpenAIApiVersion } = getAzureOptions();
+      chatClient = new AzureOpenAI({ apiKey: azureOpenAIApiKey, endpoint: azureOpenAIEndpoint, apiVersion: azureOpenAIApiVersion });
+      break;
+    }
+    case 'openai-compatible': {
+      const { apiKey, configuration } = getCompatibleOptions();
+      chatClient = new OpenAI({ apiKey, baseURL: configuration.baseURL });
+      break;
+    }
+    default: {
+      const { apiKey, configuration } = getOpenAIOptions();
+      chatClient = new OpenAI({ apiKey, baseURL: configuration.baseURL });
+    }
+  }
+  return chatClient;
+}
+
+/**
+ * chat.completions.create with the task's model and provider.
+ */
+export function createChatCompletion(task, params) {
+  return getChatClient().chat.completions.create({ model: getModelName(task), ...params });
+}
+
+// ========== EMBEDDINGS ==========
+
+// Sentence-transformer models run in-process through transformers.js, which
+// is only loaded when this provider is used
+class LocalEmbeddings extends Embeddings {
+  constructor({ model }) {
+    super({});
+    this.model = model;
+  }
+
+  async getExtractor() {
+    this.extractor ??= import('@huggingface/transformers').then(({ pipeline, env }) => {
+      if (process.env.LOCAL_MODELS_PATH) {
+        env.localModelPath = process.env.LOCAL_MODELS_PATH;
+        env.allowRemoteModels = false;
+      }
+      return pipeline('feature-extraction', this.model);
+    });
+    return this.extractor;
+  }
+
+  async embedDocuments(texts) {
+    const extractor = await this.getExtractor();
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    return output.tolist();
+  }
+
+  async embedQuery(text) {
+    const [vector] = await this.embedDocuments([text]);
+    return vector;
+  }
+}
+
+/**
+ * LangChain embeddings for the configured provider. Every collection holds
+ * vectors of one model: changing the model means re-indexing.
+ */
+export function createEmbeddings(options = {}) {
+  const model = getModelName('embeddings');
+
+  switch (getEmbeddingProvider()) {
+    case 'local':
+      return new LocalEmbeddings({ model });
+    case 'azure':
+      return new AzureOpenAIEmbeddings({ ...getAzureOptions(), azureOpenAIApiEmbeddingsDeploymentName: model, ...options });
+    case 'openai-compatible':
+      return new OpenAIEmbeddings({ model, ...getCompatibleOptions(), ...options });
+    default:
+      return new OpenAIEmbeddings({ model, ...getOpenAIOptions(), ...options });
+  }
+}
+
+let measuredDimensions;
+
+/**
+ * Vector size of the configured embedding model: EMBEDDING_DIMENSIONS if set,
+ * else the known size of the model, else measured with one embedding call.
+ */
+export async function getEmbeddingDimensions() {
+  if (process.env.EMBEDDING_DIMENSIONS) return Number(process.env.EMBEDDING_DIMENSIONS);
+  const known = EMBEDDING_DIMENSIONS[getModelName('embeddings')];
+  if (known) return known;
+
+  // A failed measurement is not kept, so the next call tries again
+  measuredDimensions ??= createEmbeddings().embedQuery('dimensions').then(
+    vector => vector.length,
+    (error) => {
+      measuredDimensions = undefined;
+      throw error;
+    }
+  );
+  return measuredDimensions;
+}
@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import db from './database.js';
+
+// Scopes an API key can carry. They reuse the role permission names so a key
+// can never be granted something its creator's role does not allow.
+export const API_KEY_SCOPES = [
+  'documents:read',
+  'documents:write',
+  'chat:read',
+  'shipments:read',
+  'shipments:write',
+  'tracking:write'
+];
+
+export const API_KEY_PREFIX = 'fck_';
+
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateSecret(keyId) {
+  const key = `${API_KEY_PREFIX}${keyId}_${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, keyHash: hashApiKey(key) };
+}
+
+function parseKeyId(key) {
+  const match = key.match(/^fck_([a-f0-9]{16})_[A-Za-z0-9_-]+$/);
+  return match ? match[1] : null;
+}
+
+export function getInvalidScopes(scopes) {
+  return scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+}
+
+export function resolveExpiry(expiresInDays) {
+  const days = expiresInDays === undefined ? DEFAULT_EXPIRY_DAYS : Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    return null;
+  }
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+export async function createApiKey({ userId, organizationId, name, scopes, expiresAt }) {
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const { key, keyHash } = generateSecret(keyId);
+
+  const { data, error } = await db
+    .from('api_keys')
+    .insert([{
+      key_id: keyId,
+      user_id: userId,
+      organization_id: organizationId || null,
+      name,
+      key_prefix: key.slice(0, API_KEY_PREFIX.length + keyId.length + 5),
+      key_hash: keyHash,
+      scopes,
+      expires_at: expiresAt,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+  return { apiKey: data, key };
+}
+
+/**
+ * Look up the key record for a presented API key.
+ * Returns null for unknown, revoked or expired keys.
+ */
+export async function findActiveApiKey(key) {
+  const keyId = parseKeyId(key);
+  if (!keyId) return null;
+
+  const apiKey = await getApiKey(keyId);
+  if (!apiKey || apiKey.revoked_at) return null;
+  if (apiKey.expires_at && new Date(apiKey.expires_at) < new Date()) return null;
+
+  const expected = Buffer.from(apiKey.key_hash, 'hex');
+  const actual = Buffer.from(hashApiKey(key), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  return apiKey;
+}
+
+export async function getApiKey(keyId) {
+  const { data, error } = await db
+    .from('api_keys')
+    .select('*')
+    .eq('key_id', keyId)
+    .single();
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+export async function listApiKeys({ userId, organizationId }) {
+  let query = db
+    .from('api_keys')
+    .select('*')
+    .is('revoked_at', null);
+  query = organizationId
+    ? query.eq('organization_id', organizationId)
+    : query.eq('user_id', userId).is('organization_id', null);
+  const { data, error } = await query.order('created_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function touchApiKey(keyId) {
+  const { error } = await db
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('key_id', keyId);
+  if (error) throw error;
+}
+
+export async function revokeApiKey(keyId) {
+  const { error } = await db
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('key_id', keyId);
+  if (error) throw error;
+}
+
+/**
+ * Replace the secret of an existing key. The key id, scopes and owner stay
+ * the same, and the old secret stops working immediately.
+ */
+export async function rotateApiKey(keyId) {
+  const { key, keyHash } = generateSecret(keyId);
+  const { data, error } = await db
+    .from('api_keys')
+    .update({
+      key_hash: keyHash,
+      key_prefix: key.slice(0, API_KEY_PREFIX.length + keyId.length + 5),
+      rotated_at: new Date().toISOString()
+    })
+    .eq('key_id', keyId)
+    .select()
+    .single();
+  if (error) throw error;
+  return { apiKey: data, key };
+}
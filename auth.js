@@ -0,0 +1,340 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import { redisConnection } from './redis-config.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const DEFAULT_JWT_SECRET = 'your-secret-key';
+
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+export const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+export const MIN_PASSWORD_LENGTH = 8;
+
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_SECONDS = 15 * 60;
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * Return the JWT signing secret.
+ * Throws when JWT_SECRET is missing or still set to the old hard-coded default,
+ * so the server cannot silently sign tokens anyone could forge.
+ */
+export function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET environment variable is required');
+  }
+  if (secret === DEFAULT_JWT_SECRET) {
+    throw new Error('JWT_SECRET must not use the default value');
+  }
+  return secret;
+}
+
+// ========== PASSWORDS ==========
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEYLEN, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export async function verifyPassword(password, storedHash) {
+  if (!password || !storedHash) return false;
+
+  const [algorithm, N, r, p, salt, hash] = storedHash.split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Unknown accounts and accounts without a password are checked against this,
+// so they take as long to reject as a wrong password
+let unusablePasswordHash;
+
+/**
+ * verifyPassword() for logins: false for a missing hash, in the same time.
+ */
+export async function verifyLoginPassword(password, storedHash) {
+  unusablePasswordHash ??= hashPassword(crypto.randomBytes(32).toString('hex'));
+  const valid = await verifyPassword(password, storedHash || await unusablePasswordHash);
+  return Boolean(storedHash) && valid;
+}
+
+export function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password.length > 128) {
+    return 'Password must be at most 128 characters';
+  }
+  return null;
+}
+
+// ========== ACCESS TOKENS ==========
+
+export function generateAccessToken(userId, sessionId) {
+  return jwt.sign(
+    { userId, sid: sessionId, type: 'access' },
+    getJwtSecret(),
+    {
+      algorithm: 'HS256',
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      jwtid: crypto.randomUUID()
+    }
+  );
+}
+
+/**
+ * Verify an access token. Only short-lived access tokens signed with the
+ * configured secret are accepted; legacy 30-day 'auth' tokens are rejected.
+ */
+export function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, getJwtSecret(), { algorithms: ['HS256'] });
+  if (decoded.type !== 'access' || !decoded.jti || !decoded.sid) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return decoded;
+}
+
+const denylistKey = (jti) => `auth:denylist:${jti}`;
+
+/**
+ * Deny a single access token until it would have expired anyway.
+ */
+export async function denyAccessToken(jti, exp) {
+  const ttl = Math.max(exp - Math.floor(Date.now() / 1000), 1);
+  await redisConnection.set(denylistKey(jti), '1', 'EX', ttl);
+}
+
+export async function isAccessTokenDenied(jti) {
+  return (await redisConnection.exists(denylistKey(jti))) === 1;
+}
+
+// ========== SESSIONS ==========
+// A session is one login on one device. It owns a family of refresh tokens
+// and every access token minted from them carries its id (sid), so deleting
+// the session invalidates all of them at once.
+
+const sessionKey = (sessionId) => `auth:session:${sessionId}`;
+const userSessionsKey = (userId) => `auth:user-sessions:${userId}`;
+const sessionTokensKey = (sessionId) => `auth:session-tokens:${sessionId}`;
+const refreshKey = (tokenHash) => `auth:refresh:${tokenHash}`;
+const refreshClaimKey = (tokenHash) => `auth:refresh-claimed:${tokenHash}`;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export async function createSession(userId, { device, ip } = {}) {
+  const sessionId = crypto.randomUUID();
+  const now = new Date().toISOString();
+
+  await redisConnection
+    .multi()
+    .hset(sessionKey(sessionId), {
+      userId,
+      device: device || 'unknown',
+      ip: ip || 'unknown',
+      createdAt: now,
+      lastUsedAt: now
+    })
+    .expire(sessionKey(sessionId), REFRESH_TOKEN_TTL_SECONDS)
+    .sadd(userSessionsKey(userId), sessionId)
+    .exec();
+
+  return sessionId;
+}
+
+export async function getSession(sessionId) {
+  const session = await redisConnection.hgetall(sessionKey(sessionId));
+  if (!session || !session.userId) return null;
+  return { sessionId, ...session };
+}
+
+export async function touchSession(sessionId, { ip } = {}) {
+  // Never resurrect a session that was revoked while the request was in flight
+  if (!(await redisConnection.exists(sessionKey(sessionId)))) return;
+  const fields = { lastUsedAt: new Date().toISOString() };
+  if (ip) fields.ip = ip;
+  await redisConnection.hset(sessionKey(sessionId), fields);
+}
+
+export async function listUserSessions(userId) {
+  const sessionIds = await redisConnection.smembers(userSessionsKey(userId));
+  const sessions = [];
+
+  for (const sessionId of sessionIds) {
+    const session = await getSession(sessionId);
+    if (session) {
+      sessions.push(session);
+    } else {
+      // Session expired on its own; drop the dangling index entry
+      await redisConnection.srem(userSessionsKey(userId), sessionId);
+    }
+  }
+
+  return sessions.sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+}
+
+export async function revokeSession(sessionId) {
+  const session = await getSession(sessionId);
+  const tokenHashes = await redisConnection.smembers(sessionTokensKey(sessionId));
+
+  const pipeline = redisConnection
+    .multi()
+    .del(
+      sessionKey(sessionId),
+      sessionTokensKey(sessionId),
+      ...tokenHashes.map(refreshKey),
+      ...tokenHashes.map(refreshClaimKey)
+    );
+  if (session) {
+    pipeline.srem(userSessionsKey(session.userId), sessionId);
+  }
+  await pipeline.exec();
+}
+
+export async function revokeAllUserSessions(userId) {
+  const sessionIds = await redisConnection.smembers(userSessionsKey(userId));
+  for (const sessionId of sessionIds) {
+    await revokeSession(sessionId);
+  }
+  await redisConnection.del(userSessionsKey(userId));
+}
+
+// ========== REFRESH TOKENS ==========
+// Refresh tokens are opaque random strings. Only their SHA-256 hash is kept in
+// Redis. Every refresh rotates the token; presenting an already-rotated token
+// revokes the whole session, since it means the token was copied.
+// A token is used up by creating its claim key with SET NX, which only one of
+// two concurrent refreshes with the same token can do.
+
+export async function issueRefreshToken(userId, sessionId) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const tokenHash = hashToken(refreshToken);
+
+  await redisConnection
+    .multi()
+    .set(
+      refreshKey(tokenHash),
+      JSON.stringify({ userId, sessionId, issuedAt: new Date().toISOString() }),
+      'EX',
+      REFRESH_TOKEN_TTL_SECONDS
+    )
+    .sadd(sessionTokensKey(sessionId), tokenHash)
+    .expire(sessionTokensKey(sessionId), REFRESH_TOKEN_TTL_SECONDS)
+    .expire(sessionKey(sessionId), REFRESH_TOKEN_TTL_SECONDS)
+    .exec();
+
+  return refreshToken;
+}
+
+/**
+ * Exchange a refresh token for a new one in the same session.
+ * Returns null when the token is unknown, expired, already used, or its
+ * session has been revoked.
+ */
+export async function rotateRefreshToken(refreshToken) {
+  if (!refreshToken) return null;
+
+  const tokenHash = hashToken(refreshToken);
+  const raw = await redisConnection.get(refreshKey(tokenHash));
+  if (!raw) return null;
+
+  const record = JSON.parse(raw);
+  const claimed = await redisConnection.set(
+    refreshClaimKey(tokenHash),
+    new Date().toISOString(),
+    'EX',
+    REFRESH_TOKEN_TTL_SECONDS,
+    'NX'
+  );
+  // Tokens rotated before claim keys existed are marked used in their record
+  if (!claimed || record.used) {
+    console.warn(`[Auth] Refresh token reuse detected for ${record.userId}, revoking session ${record.sessionId}`);
+    await revokeSession(record.sessionId);
+    return null;
+  }
+
+  if (!(await getSession(record.sessionId))) {
+    return null;
+  }
+
+  const nextToken = await issueRefreshToken(record.userId, record.sessionId);
+  await touchSession(record.sessionId);
+  return { userId: record.userId, sessionId: record.sessionId, refreshToken: nextToken };
+}
+
+// ========== LOGIN LOCKOUT ==========
+// Failed logins are counted per client address and account. Guessing from one
+// address is locked out, but nobody else can lock an account's owner out by
+// sending bad passwords for it. Guessing spread over many addresses is slowed
+// down per account instead: past ACCOUNT_BACKOFF_AFTER failures within the
+// window, every failure delays the account's next login exponentially.
+
+const ACCOUNT_FAILURE_WINDOW_SECONDS = 60 * 60;
+const ACCOUNT_BACKOFF_AFTER = 10;
+
+const failedLoginsKey = (userId, ip) => `auth:login-failures:${ip}:${userId}`;
+const lockoutKey = (userId, ip) => `auth:lockout:${ip}:${userId}`;
+const accountFailuresKey = (userId) => `auth:account-failures:${userId}`;
+const accountBackoffKey = (userId) => `auth:account-backoff:${userId}`;
+
+/**
+ * Seconds until logins for the account from this address unlock, or 0 when
+ * they are not locked.
+ */
+export async function getLockoutRemaining(userId, ip) {
+  const [lockoutTtl, backoffTtl] = await Promise.all([
+    redisConnection.ttl(lockoutKey(userId, ip)),
+    redisConnection.ttl(accountBackoffKey(userId))
+  ]);
+  return Math.max(lockoutTtl, backoffTtl, 0);
+}
+
+async function countFailure(key, windowSeconds) {
+  const failures = await redisConnection.incr(key);
+  if (failures === 1) {
+    await redisConnection.expire(key, windowSeconds);
+  }
+  return failures;
+}
+
+export async function recordFailedLogin(userId, ip) {
+  const [failures, accountFailures] = await Promise.all([
+    countFailure(failedLoginsKey(userId, ip), LOCKOUT_SECONDS),
+    countFailure(accountFailuresKey(userId), ACCOUNT_FAILURE_WINDOW_SECONDS)
+  ]);
+
+  if (failures >= MAX_FAILED_LOGINS) {
+    await redisConnection
+      .multi()
+      .set(lockoutKey(userId, ip), '1', 'EX', LOCKOUT_SECONDS)
+      .del(failedLoginsKey(userId, ip))
+      .exec();
+    console.warn(`[Auth] Locked logins for ${userId} from ${ip} after ${failures} failures`);
+    return { locked: true, remainingAttempts: 0, retryAfter: LOCKOUT_SECONDS };
+  }
+
+  if (accountFailures > ACCOUNT_BACKOFF_AFTER) {
+    const backoff = Math.min(2 ** (accountFailures - ACCOUNT_BACKOFF_AFTER), LOCKOUT_SECONDS);
+    await redisConnection.set(accountBackoffKey(userId), '1', 'EX', backoff);
+    console.warn(`[Auth] Delaying logins for ${userId} by ${backoff}s after ${accountFailures} failures`);
+    return { locked: true, remainingAttempts: MAX_FAILED_LOGINS - failures, retryAfter: backoff };
+  }
+  return { locked: false, remainingAttempts: MAX_FAILED_LOGINS - failures };
+}
+
+export async function clearFailedLogins(userId, ip) {
+  await redisConnection.del(failedLoginsKey(userId, ip), accountFailuresKey(userId));
+}
@@ -0,0 +1,254 @@
+import db from './database.js';
+import {
+  verifyAccessToken,
+  isAccessTokenDenied,
+  getSession,
+  touchSession
+} from './auth.js';
+import { getUserById, updateUserLastAccessed } from './users.js';
+import { hasPermission, getOrganizationMember } from './organizations.js';
+import { isApiKey, findActiveApiKey, getApiKey, touchApiKey } from './api-keys.js';
+
+// ========== AUTHENTICATION ==========
+
+// API keys are only accepted from headers so they never end up in URL logs
+async function authenticateApiKey(req, res, key) {
+  const apiKey = await findActiveApiKey(key);
+  if (!apiKey) {
+    res.status(401).json({ 
+      error: 'Invalid, revoked or expired API key',
+      requiresAuth: true
+    });
+    return false;
+  }
+  const user = await getUserById(apiKey.user_id);
+  if (!user || !user.is_active) {
+    res.status(403).json({ 
+      error: 'API key owner is inactive',
+      requiresAuth: true
+    });
+    return false;
+  }
+  req.userId = apiKey.user_id;
+  req.apiKey = {
+    keyId: apiKey.key_id,
+    organizationId: apiKey.organization_id,
+    scopes: apiKey.scopes || [],
+    keyHash: apiKey.key_hash
+  };
+  await touchApiKey(apiKey.key_id);
+  return true;
+}
+
+export async function verifyUserToken(req, res, next) {
+  const headerToken = req.get('x-api-key') || req.headers.authorization?.split(' ')[1];
+  const token = headerToken || req.query.token;
+  if (!token) {
+    return res.status(401).json({ 
+      error: 'Authentication required',
+      requiresAuth: true
+    });
+  }
+  try {
+    if (isApiKey(headerToken)) {
+      if (await authenticateApiKey(req, res, headerToken)) next();
+      return;
+    }
+
+    const decoded = verifyAccessToken(token);
+    if (await isAccessTokenDenied(decoded.jti)) {
+      return res.status(401).json({ 
+        error: 'Token has been revoked',
+        requiresAuth: true
+      });
+    }
+    const session = await getSession(decoded.sid);
+    if (!session || session.userId !== decoded.userId) {
+      return res.status(401).json({ 
+        error: 'Session has been revoked',
+        requiresAuth: true
+      });
+    }
+    const user = await getUserById(decoded.userId);
+    if (!user) {
+      return res.status(401).json({ 
+        error: 'User not found',
+        requiresAuth: true
+      });
+    }
+    if (!user.is_active) {
+      return res.status(403).json({ 
+        error: 'User account is inactive',
+        requiresAuth: true
+      });
+    }
+    req.userId = decoded.userId;
+    req.sessionId = decoded.sid;
+    req.tokenId = decoded.jti;
+    req.tokenExpiresAt = decoded.exp;
+    await touchSession(decoded.sid, { ip: req.ip });
+    await updateUserLastAccessed(decoded.userId);
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({ 
+        error: 'Invalid or expired token',
+        requiresAuth: true
+      });
+    }
+    return res.status(500).json({ error: 'Authentication failed' });
+  }
+  next();
+}
+
+/**
+ * Whether a long-lived request, such as an event stream, may go on: its
+ * session or API key has not been revoked (or the key rotated), the user is
+ * still active and still holds the permission in the request's workspace.
+ */
+export async function isStillAuthorized(req, permission) {
+  if (req.apiKey) {
+    const apiKey = await getApiKey(req.apiKey.keyId);
+    if (!apiKey || apiKey.revoked_at || apiKey.key_hash !== req.apiKey.keyHash) return false;
+    if (apiKey.expires_at && new Date(apiKey.expires_at) < new Date()) return false;
+  } else {
+    if (await isAccessTokenDenied(req.tokenId)) return false;
+    const session = await getSession(req.sessionId);
+    if (!session || session.userId !== req.userId) return false;
+  }
+
+  const user = await getUserById(req.userId);
+  if (!user || !user.is_active) return false;
+
+  const { organizationId } = req.workspace;
+  if (!organizationId) return true;
+  const membership = await getOrganizationMember(organizationId, req.userId);
+  return Boolean(membership) && hasPermission(membership.role, permission);
+}
+
+// Account and credential management is only available to logged-in users
+export function requireUserSession(req, res, next) {
+  if (req.apiKey) {
+    return res.status(403).json({ error: 'This endpoint cannot be used with an API key' });
+  }
+  next();
+}
+
+/**
+ * Resolve the workspace a request acts in. Requests default to the caller's
+ * personal workspace; an organization is selected with the X-Organization-Id
+ * header (or ?orgId= for clients that cannot set headers, e.g. EventSource).
+ * Returns null when the caller is not a member of the requested organization.
+ */
+export async function resolveWorkspace(req) {
+  const requestedOrgId = req.params.orgId || req.get('x-organization-id') || req.query.orgId || null;
+  // API keys are pinned to their workspace: an organization key to its
+  // organization, a personal key to the personal workspace
+  if (req.apiKey && requestedOrgId && requestedOrgId !== req.apiKey.organizationId) {
+    return null;
+  }
+  const organizationId = req.apiKey ? req.apiKey.organizationId : requestedOrgId;
+  if (!organizationId) {
+    return { userId: req.userId, organizationId: null, role: 'owner' };
+  }
+  const membership = await getOrganizationMember(organizationId, req.userId);
+  if (!membership) return null;
+  return { userId: req.userId, organizationId, role: membership.role };
+}
+
+export function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      const workspace = await resolveWorkspace(req);
+      if (!workspace) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+      if (!hasPermission(workspace.role, permission)) {
+        return res.status(403).json({ 
+          error: `Permission denied: ${permission} required`,
+          role: workspace.role
+        });
+      }
+      if (req.apiKey && !req.apiKey.scopes.includes(permission)) {
+        return res.status(403).json({ 
+          error: `API key is missing scope: ${permission}`,
+          scopes: req.apiKey.scopes
+        });
+      }
+      req.workspace = workspace;
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({ error: 'Authorization failed' });
+    }
+  };
+}
+
+// ========== OWNERSHIP ==========
+// Every resource belongs either to a personal workspace (user_id, no
+// organization_id) or to an organization. The loaders below only return
+// resources owned by the caller's workspace, so routes can answer 404 for
+// anything else without revealing that it exists.
+
+// Personal data has no organization_id; organization data is shared by all members
+export function scopeToWorkspace(query, workspace) {
+  return workspace.organizationId
+    ? query.eq('organization_id', workspace.organizationId)
+    : query.eq('user_id', workspace.userId).is('organization_id', null);
+}
+
+export function isOwnedByWorkspace(owner, workspace) {
+  if (!owner) return false;
+  const organizationId = owner.organization_id ?? owner.organizationId ?? null;
+  const userId = owner.user_id ?? owner.userId ?? null;
+  return workspace.organizationId
+    ? organizationId === workspace.organizationId
+    : !organizationId && userId === workspace.userId;
+}
+
+async function getOwnedRow(table, idColumn, id, workspace) {
+  if (!id) return null;
+  const { data, error } = await scopeToWorkspace(
+    db.from(table).select('*').eq(idColumn, id),
+    workspace
+  ).single();
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+export function getOwnedDocument(documentId, workspace) {
+  return getOwnedRow('documents', 'document_id', documentId, workspace);
+}
+
+export function getOwnedInvoice(invoiceId, workspace) {
+  return getOwnedRow('invoices', 'invoice_id', invoiceId, workspace);
+}
+
+export function getOwnedBooking(bookingId, workspace) {
+  return getOwnedRow('shipment_tracking', 'booking_id', bookingId, workspace);
+}
+
+/**
+ * The shared knowledge base is searched from every workspace, so it is only
+ * written from the organization named by SHARED_DOCUMENTS_ORG_ID, by members
+ * holding documents:share. API keys cannot carry that scope.
+ */
+export function canShareDocuments(req, workspace) {
+  const sharedOrgId = process.env.SHARED_DOCUMENTS_ORG_ID;
+  return Boolean(sharedOrgId) &&
+    workspace.organizationId === sharedOrgId &&
+    hasPermission(workspace.role, 'documents:share') &&
+    !req.apiKey;
+}
+
+/**
+ * Load an agent conversation from the checkpointer. Threads record the user
+ * and organization that started them in their state.
+ */
+export async function getOwnedThread(checkpointer, threadId, workspace) {
+  if (!threadId) return null;
+  const snapshot = await checkpointer.get({ configurable: { thread_id: threadId } });
+  if (!snapshot || !isOwnedByWorkspace(snapshot.channel_values, workspace)) {
+    return null;
+  }
+  return snapshot;
+}
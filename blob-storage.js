@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import axios from 'axios';
+import streamifier from 'streamifier';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl as presignS3Url } from '@aws-sdk/s3-request-presigner';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Uploaded files behind one interface, so rows store a backend-neutral key
+// instead of a provider URL:
+//
+//   put(key, buffer, { contentType })
+//   getStream(key)                       -> Readable
+//   getSignedUrl(key, { expiresIn })     -> time-limited download URL
+//   delete(key)                          -> whether the file existed
+//
+// STORAGE_BACKEND picks where new uploads go:
+//   cloudinary - raw uploads under freightchat-documents/ (default)
+//   local      - files under LOCAL_STORAGE_PATH (default uploads/), served by
+//                the API at /files with an HMAC-signed link
+//   s3         - S3_BUCKET on AWS, or on MinIO and other S3-compatible stores
+//                with S3_ENDPOINT; S3_REGION, S3_ACCESS_KEY_ID,
+//                S3_SECRET_ACCESS_KEY
+// Rows remember their backend (storage_backend), so files stay readable after
+// the default changes; migrate-storage.js moves them between backends.
+
+export const STORAGE_BACKENDS = ['cloudinary', 'local', 's3'];
+export const SIGNED_URL_TTL_SECONDS = 15 * 60;
+
+const CLOUDINARY_FOLDER = 'freightchat-documents';
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+// ========== KEYS ==========
+
+/**
+ * Key of an uploaded file, e.g. documents/<documentId>/bill_of_lading.pdf
+ */
+export function buildStorageKey(kind, id, filename) {
+  const safeName = (filename || 'file').replace(/[^a-zA-Z0-9._-]/g, '_');
+  return `${kind}/${id}/${safeName}`;
+}
+
+/**
+ * Backend and key of a documents or invoices row. Rows uploaded before
+ * storage keys existed only have a Cloudinary public_id.
+ */
+export function getStoredFile(row) {
+  if (row.storage_key) {
+    return { backend: row.storage_backend || 'cloudinary', key: row.storage_key };
+  }
+  if (row.cloudinary_public_id) {
+    return { backend: 'cloudinary', key: row.cloudinary_public_id, legacy: true };
+  }
+  return null;
+}
+
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+// ========== CLOUDINARY ==========
+
+// Loaded on first use, so other backends do not need Cloudinary credentials
+let cloudinary;
+async function getCloudinary() {
+  cloudinary ??= (await import('./cloudinary-config.js')).default;
+  return cloudinary;
+}
+
+// Keys are stored without the folder; legacy public_ids already include it
+function toPublicId(key) {
+  return key.startsWith(`${CLOUDINARY_FOLDER}/`) ? key : `${CLOUDINARY_FOLDER}/${key}`;
+}
+
+function createCloudinaryStorage() {
+  return {
+    name: 'cloudinary',
+
+    async put(key, buffer) {
+      const client = await getCloudinary();
+      await new Promise((resolve, reject) => {
+        const uploadStream = client.uploader.upload_stream(
+          { resource_type: 'raw', public_id: toPublicId(key), overwrite: true },
+          (error, result) => (error ? reject(error) : resolve(result))
+        );
+        streamifier.createReadStream(buffer).pipe(uploadStream);
+      });
+    },
+
+    async getStream(key) {
+      const client = await getCloudinary();
+      const url = client.url(toPublicId(key), { resource_type: 'raw', secure: true });
+      const response = await axios.get(url, { responseType: 'stream', timeout: DOWNLOAD_TIMEOUT_MS });
+      return response.data;
+    },
+
+    async getSignedUrl(key, { expiresIn = SIGNED_URL_TTL_SECONDS } = {}) {
+      const client = await getCloudinary();
+      return client.utils.private_download_url(toPublicId(key), '', {
+        resource_type: 'raw',
+        type: 'upload',
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn
+      });
+    },
+
+    async delete(key) {
+      const client = await getCloudinary();
+      const result = await client.uploader.destroy(toPublicId(key), { resource_type: 'raw', invalidate: true });
+      if (result.result === 'not found') return false;
+      if (result.result !== 'ok') throw new Error(`Cloudinary could not delete ${key}: ${result.result}`);
+      return true;
+    }
+  };
+}
+
+// ========== LOCAL FILESYSTEM ==========
+
+function getSigningSecret() {
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('STORAGE_SIGNING_SECRET or JWT_SECRET is required to sign file links');
+  return secret;
+}
+
+function signFilePath(key, expires) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(`${key}:${expires}`).digest('base64url');
+}
+
+/**
+ * Check a /files link of the local backend. Returns false for a tampered or
+ * expired link.
+ */
+export function verifyFileSignature(key, expires, signature) {
+  if (!key || !expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) return false;
+  const expected = Buffer.from(signFilePath(key, expires));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function createLocalStorage({ root = process.env.LOCAL_STORAGE_PATH || 'uploads' } = {}) {
+  const directory = path.resolve(root);
+
+  // Keys are relative paths; anything escaping the directory is refused
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(`${directory}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async getSignedUrl(key, { expiresIn = SIGNED_URL_TTL_SECONDS } = {}) {
+      const baseUrl = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 8000}`;
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+      return `${baseUrl}/files/${encodedKey}?expires=${expires}&signature=${signFilePath(key, expires)}`;
+    },
+
+    async delete(key) {
+      const filePath = resolveKey(key);
+      try {
+        await fs.promises.unlink(filePath);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    }
+  };
+}
+
+// ========== S3 ==========
+
+function createS3Storage() {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new Error('S3_BUCKET is required for the s3 storage backend');
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    // MinIO and most self-hosted stores only support path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.S3_ENDPOINT),
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, { contentType } = {}) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+
+    async getStream(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Body instanceof Readable ? Body : Readable.fromWeb(Body.transformToWebStream());
+    },
+
+    async getSignedUrl(key, { expiresIn = SIGNED_URL_TTL_SECONDS } = {}) {
+      return presignS3Url(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    },
+
+    // DeleteObject succeeds for missing keys, so existence is checked first
+    async delete(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      } catch (error) {
+        if (error.$metadata?.httpStatusCode === 404) return false;
+        throw error;
+      }
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    }
+  };
+}
+
+// ========== BACKENDS ==========
+
+const backends = new Map();
+
+export function getDefaultBackend() {
+  const backend = process.env.STORAGE_BACKEND || 'cloudinary';
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+  return backend;
+}
+
+/**
+ * Storage backend by name, the default one when no name is given.
+ */
+export function getStorage(backend = getDefaultBackend()) {
+  if (!backends.has(backend)) {
+    switch (backend) {
+      case 'cloudinary':
+        backends.set(backend, createCloudinaryStorage());
+        break;
+      case 'local':
+        backends.set(backend, createLocalStorage());
+        break;
+      case 's3':
+        backends.set(backend, createS3Storage());
+        break;
+      default:
+        throw new Error(`Unknown storage backend: ${backend}`);
+    }
+  }
+  return backends.get(backend);
+}
+
+/**
+ * Store a new upload in the default backend. Returns the row fields that
+ * point at it.
+ */
+export async function storeUpload(kind, id, { buffer, filename, contentType }) {
+  const storage = getStorage();
+  const key = buildStorageKey(kind, id, filename);
+  await storage.put(key, buffer, { contentType });
+  return { storageBackend: storage.name, storageKey: key };
+}
+
+export async function readStoredFile(file) {
+  return streamToBuffer(await getStorage(file.backend).getStream(file.key));
+}
+
+export async function getStoredFileUrl(file, options) {
+  return getStorage(file.backend).getSignedUrl(file.key, options);
+}
+
+export async function deleteStoredFile(file) {
+  return getStorage(file.backend).delete(file.key);
+}
@@ -0,0 +1,73 @@
+import { MemorySaver } from '@langchain/langgraph';
+import { RedisSaver } from '@langchain/langgraph-checkpoint-redis';
+import { createClient } from 'redis';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// LangGraph checkpointer for agent and document chat conversations:
+//   CHECKPOINTER          - redis (default) or memory
+//   CHECKPOINT_REDIS_URL  - Redis Stack URL (redis:// or rediss://)
+//
+// The Redis saver keeps threads across restarts and shares them between API
+// instances. It needs the RedisJSON and RediSearch modules, which Upstash
+// does not provide, so it gets its own URL instead of the BullMQ connection.
+// Memory keeps threads until the process exits: use it by setting
+// CHECKPOINTER=memory, or outside production when Redis is not available.
+
+const CONNECT_TIMEOUT_MS = 5000;
+
+async function connectRedisSaver(url) {
+  const client = createClient({ url, socket: { connectTimeout: CONNECT_TIMEOUT_MS } });
+  client.on('error', (error) => console.error('Checkpointer Redis error:', error.message));
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Not ready after ${CONNECT_TIMEOUT_MS / 1000}s`)), CONNECT_TIMEOUT_MS);
+  });
+  try {
+    const saver = new RedisSaver(client);
+    await Promise.race([
+      (async () => {
+        await client.connect();
+        await saver.ensureIndexes();
+        // Lookups go through RediSearch, which ensureIndexes only warns about
+        await saver.getTuple({ configurable: { thread_id: 'checkpointer-check' } });
+      })(),
+      timeout,
+    ]);
+    return saver;
+  } catch (error) {
+    // Stops reconnect attempts of a client that lost the race
+    client.destroy();
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export async function createCheckpointer() {
+  if (process.env.CHECKPOINTER === 'memory') {
+    console.log('✓ MemorySaver checkpointer created');
+    return new MemorySaver();
+  }
+
+  const url = process.env.CHECKPOINT_REDIS_URL;
+  let reason = 'CHECKPOINT_REDIS_URL is not set';
+  if (url) {
+    try {
+      const saver = await connectRedisSaver(url);
+      console.log('✓ Redis checkpointer connected');
+      return saver;
+    } catch (error) {
+      reason = error.message;
+    }
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`Redis checkpointer unavailable (${reason}); set CHECKPOINT_REDIS_URL to a Redis Stack instance or CHECKPOINTER=memory`);
+  }
+  console.error('✗ Redis checkpointer unavailable:', reason);
+  console.warn('⚠️  Using MemorySaver outside production; conversations are lost on restart');
+  return new MemorySaver();
+}
@@ -0,0 +1,228 @@
+import { Document } from '@langchain/core/documents';
+import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
+
+// Chunking strategies for the document worker.
+//   recursive - RecursiveCharacterTextSplitter, 1000/200; for prose
+//   layout    - detects tables and key/value blocks first and keeps table rows
+//               whole, each chunk repeating the table's header; for forms such
+//               as invoices and packing lists
+// Every chunk carries sectionType ('table', 'key_value' or 'text') and
+// pageNumber in its metadata.
+
+const CHUNK_SIZE = 1000;
+const CHUNK_OVERLAP = 200;
+
+// Keyed by the documentType analyzeDocumentWithAI returns. LAYOUT_CHUNKING_TYPES
+// (comma-separated) replaces the list of types chunked by layout.
+const DEFAULT_LAYOUT_TYPES = ['invoice', 'bill_of_lading', 'packing_list', 'certificate'];
+
+export function getChunkingMode(documentType) {
+  const layoutTypes = process.env.LAYOUT_CHUNKING_TYPES
+    ? process.env.LAYOUT_CHUNKING_TYPES.split(',').map(type => type.trim())
+    : DEFAULT_LAYOUT_TYPES;
+  return layoutTypes.includes(documentType) ? 'layout' : 'recursive';
+}
+
+// ========== LAYOUT DETECTION ==========
+
+// Cells are separated by tabs (PDF column gaps), runs of spaces or " | "
+// (spreadsheet rows and OCR'd tables)
+const CELL_SEPARATOR = /\t+| {2,}| \| /;
+const KEY_VALUE = /^([^\t:|]{1,40}?)\s*:\s*(\S.*)$/;
+const SPREADSHEET_HEADER = /^Columns: /;
+const SPREADSHEET_ROW = /^Row \d+: /;
+const MIN_TABLE_CELLS = 3;
+const MAX_CAPTION_LENGTH = 80;
+
+function splitCells(line) {
+  return line.split(CELL_SEPARATOR).map(cell => cell.trim()).filter(Boolean);
+}
+
+function classifyLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed) return 'blank';
+  if (SPREADSHEET_HEADER.test(trimmed) || SPREADSHEET_ROW.test(trimmed)) return 'row';
+  const cells = splitCells(trimmed);
+  if (cells.length >= MIN_TABLE_CELLS) return 'row';
+  if (cells.length === 2 && cells[0].length <= 40) return 'pair';
+  if (KEY_VALUE.test(trimmed)) return 'pair';
+  return 'text';
+}
+
+/**
+ * Split text into blocks of { type, lines }. Tables need at least a header
+ * and one row; a single line between rows (a wrapped cell) stays in the table.
+ * Key/value blocks need at least two pairs; single pairs stay in the text.
+ */
+export function detectBlocks(text) {
+  const lines = text.split('\n');
+  const kinds = lines.map(classifyLine);
+  const blocks = [];
+
+  const pushText = (line) => {
+    const last = blocks[blocks.length - 1];
+    if (last?.type === 'text') last.lines.push(line);
+    else blocks.push({ type: 'text', lines: [line] });
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    if (kinds[i] === 'row') {
+      let end = i + 1;
+      while (end < lines.length && (kinds[end] === 'row' || (kinds[end] !== 'blank' && kinds[end + 1] === 'row'))) {
+        end++;
+      }
+      if (end - i >= 2) {
+        blocks.push({ type: 'table', lines: lines.slice(i, end) });
+        i = end;
+        continue;
+      }
+    }
+
+    if (kinds[i] === 'pair') {
+      let end = i + 1;
+      while (end < lines.length && kinds[end] === 'pair') end++;
+      if (end - i >= 2) {
+        blocks.push({ type: 'key_value', lines: lines.slice(i, end) });
+        i = end;
+        continue;
+      }
+    }
+
+    pushText(lines[i]);
+    i++;
+  }
+
+  return blocks
+    .map(block => ({ ...block, lines: block.type === 'text' ? block.lines : block.lines.map(line => line.trimEnd()) }))
+    .filter(block => block.lines.some(line => line.trim()));
+}
+
+function getTextLines(block) {
+  return block.lines.map(line => line.trim()).filter(Boolean);
+}
+
+// A short text block ("COMMERCIAL INVOICE", "Line items") right before a table
+// or key/value block is its heading and goes into that block's chunks
+function isHeading(block) {
+  return block?.type === 'text' && getTextLines(block).join(' ').length <= MAX_CAPTION_LENGTH;
+}
+
+// The heading, or a short last line of a longer text, labels the block after it
+function getCaption(block) {
+  if (block?.type !== 'text') return null;
+  if (isHeading(block)) return getTextLines(block).join('\n');
+  const last = getTextLines(block).pop();
+  return last && last.length <= MAX_CAPTION_LENGTH && !/[.!?:]$/.test(last) ? last : null;
+}
+
+// ========== CHUNKING ==========
+
+// Pack whole lines into chunks of at most `size`; a line longer than that is
+// kept whole rather than cut
+function packLines(lines, size, prefix = []) {
+  const chunks = [];
+  let current = [...prefix];
+  let length = prefix.join('\n').length;
+
+  for (const line of lines) {
+    if (current.length > prefix.length && length + line.length + 1 > size) {
+      chunks.push(current.join('\n'));
+      current = [...prefix];
+      length = prefix.join('\n').length;
+    }
+    current.push(line);
+    length += line.length + 1;
+  }
+  if (current.length > prefix.length) chunks.push(current.join('\n'));
+  return chunks;
+}
+
+async function chunkBlock(block, previous, splitter) {
+  const caption = getCaption(previous);
+
+  if (block.type === 'table') {
+    // Every chunk repeats the caption and the header line
+    const [header, ...rows] = block.lines;
+    return packLines(rows, CHUNK_SIZE, [caption, header].filter(Boolean));
+  }
+
+  if (block.type === 'key_value') {
+    return packLines(block.lines, CHUNK_SIZE, caption ? [caption] : []);
+  }
+
+  return splitter.splitText(block.lines.join('\n').trim());
+}
+
+function toChunk(doc, pageContent, sectionType) {
+  const pageNumber = doc.metadata?.loc?.pageNumber ?? null;
+  return new Document({
+    pageContent,
+    metadata: { ...doc.metadata, sectionType, pageNumber }
+  });
+}
+
+function createSplitter() {
+  return new RecursiveCharacterTextSplitter({
+    chunkSize: CHUNK_SIZE,
+    chunkOverlap: CHUNK_OVERLAP,
+    separators: ['\n\n', '\n', '. ', ' ', ''],
+  });
+}
+
+/**
+ * Split page Documents into chunks with the given mode. Chunks never span
+ * pages, so each has a single pageNumber.
+ */
+export async function chunkDocuments(docs, mode = 'recursive') {
+  const splitter = createSplitter();
+  const chunks = [];
+
+  for (const doc of docs) {
+    if (mode !== 'layout') {
+      const splitDocs = await splitter.splitDocuments([doc]);
+      chunks.push(...splitDocs.map(split => toChunk(split, split.pageContent, 'text')));
+      continue;
+    }
+
+    const blocks = detectBlocks(doc.pageContent);
+    for (let i = 0; i < blocks.length; i++) {
+      const next = blocks[i + 1];
+      if (isHeading(blocks[i]) && next && next.type !== 'text') continue;
+      const texts = await chunkBlock(blocks[i], blocks[i - 1], splitter);
+      chunks.push(...texts.map(text => toChunk(doc, text, blocks[i].type)));
+    }
+  }
+
+  return chunks.filter(chunk => chunk.pageContent.trim());
+}
+
+/**
+ * The start of a document, cut to maxLength at a block boundary, or for a
+ * table at a row boundary, so the analysis never sees half a line item.
+ */
+export function buildAnalysisWindow(text, maxLength) {
+  if (text.length <= maxLength) return text;
+
+  const parts = [];
+  let length = 0;
+  for (const block of detectBlocks(text)) {
+    const blockText = block.lines.join('\n');
+    if (length + blockText.length + 2 <= maxLength) {
+      parts.push(blockText);
+      length += blockText.length + 2;
+      continue;
+    }
+
+    // Whole lines of the block that still fit; a table keeps its header
+    const room = maxLength - length - 2;
+    const [fitting] = packLines(block.lines, room);
+    if (fitting && fitting.length <= room) {
+      parts.push(fitting);
+    } else if (parts.length === 0) {
+      parts.push(blockText.slice(0, maxLength));
+    }
+    break;
+  }
+  return parts.join('\n\n');
+}
@@ -0,0 +1,59 @@
+import dotenv from 'dotenv';
+import { DEFAULT_SQLITE_PATH, createPostgresDriver, createSqliteDriver, createSqlClient, runMigrations } from './sql-client.js';
+
+dotenv.config();
+
+// Database behind the repository modules (users.js, documents.js,
+// invoices.js, shipments.js, ...). DATABASE_BACKEND picks it:
+//   supabase - the hosted project through supabase-js (default);
+//              SUPABASE_URL, SUPABASE_ANON_KEY
+//   postgres - any Postgres server over a direct connection; DATABASE_URL
+//   sqlite   - a file at SQLITE_PATH (default data/freightchat.db), or an
+//              in-memory database with SQLITE_PATH=:memory:
+// Postgres and SQLite go through sql-client.js, which answers the same
+// query-builder calls as supabase-js.
+//
+// The schema lives in migrations/*.sql and is applied with
+// `npm run db:migrate` (for Supabase, DATABASE_URL is the project's
+// connection string). SQLite databases are migrated when they are opened.
+
+export const DATABASE_BACKENDS = ['supabase', 'postgres', 'sqlite'];
+
+export function getDatabaseBackend() {
+  const backend = process.env.DATABASE_BACKEND || 'supabase';
+  if (!DATABASE_BACKENDS.includes(backend)) {
+    throw new Error(`DATABASE_BACKEND must be one of: ${DATABASE_BACKENDS.join(', ')}`);
+  }
+  return backend;
+}
+
+// ========== DATABASE ==========
+
+/**
+ * Database client for a backend. SQLite databases are migrated on open.
+ */
+export async function createDatabase(backend = getDatabaseBackend()) {
+  switch (backend) {
+    case 'supabase': {
+      const { default: supabase } = await import('./supabase-config.js');
+      return supabase;
+    }
+    case 'postgres': {
+      const client = createSqlClient(await createPostgresDriver());
+      console.log('✓ Postgres client initialized');
+      return client;
+    }
+    case 'sqlite': {
+      const driver = await createSqliteDriver();
+      await runMigrations(driver);
+      console.log(`✓ SQLite database opened (${process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH})`);
+      return createSqlClient(driver);
+    }
+    default:
+      throw new Error(`Unknown database backend: ${backend}`);
+  }
+}
+
+const db = await createDatabase();
+
+export default db;
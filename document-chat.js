@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import db from './database.js';
+import { scopeToWorkspace } from './authorization.js';
+import { DOCUMENT_CHAT_PHASE } from './workflow.js';
+
+// Document chat conversations are threads of the RAG graph in workflow.js,
+// persisted by the shared LangGraph checkpointer. The document_chat_threads
+// table indexes the threads so they can be listed without scanning the
+// checkpointer. Conversations are private to the member who started them,
+// also inside an organization workspace.
+
+const TITLE_LENGTH = 80;
+
+export function createDocumentChatThreadId() {
+  return `docchat_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+export function isDocumentChatThread(state) {
+  return state?.currentPhase === DOCUMENT_CHAT_PHASE;
+}
+
+// Question/answer pairs as stored by the RAG graph, oldest first
+export function getChatHistory(messages = []) {
+  return messages
+    .filter(message => message.role === 'user' || message.role === 'assistant')
+    .map(({ role, content, timestamp, sources }) => ({
+      role,
+      content,
+      timestamp,
+      ...(sources ? { sources } : {})
+    }));
+}
+
+// ========== THREAD INDEX ==========
+
+export async function recordDocumentChatThread({ threadId, workspace, question, messageCount }) {
+  const now = new Date().toISOString();
+  const existing = await getDocumentChatThread(threadId, workspace);
+
+  if (existing) {
+    const { error } = await db
+      .from('document_chat_threads')
+      .update({ message_count: messageCount, updated_at: now })
+      .eq('thread_id', threadId);
+    if (error) throw error;
+    return;
+  }
+
+  const { error } = await db
+    .from('document_chat_threads')
+    .insert([{
+      thread_id: threadId,
+      user_id: workspace.userId,
+      organization_id: workspace.organizationId || null,
+      title: question.length > TITLE_LENGTH ? `${question.slice(0, TITLE_LENGTH - 1)}…` : question,
+      message_count: messageCount,
+      created_at: now,
+      updated_at: now
+    }]);
+  if (error) throw error;
+}
+
+export async function getDocumentChatThread(threadId, workspace) {
+  const { data, error } = await scopeToWorkspace(
+    db.from('document_chat_threads').select('*').eq('thread_id', threadId).eq('user_id', workspace.userId),
+    workspace
+  ).single();
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+export async function listDocumentChatThreads(workspace, { page, limit }) {
+  const from = (page - 1) * limit;
+  const { data, error, count } = await scopeToWorkspace(
+    db.from('document_chat_threads').select('*', { count: 'exact' }).eq('user_id', workspace.userId),
+    workspace
+  )
+    .order('updated_at', { ascending: false })
+    .range(from, from + limit - 1);
+  if (error) throw error;
+  return { threads: data || [], total: count || 0 };
+}
+
+export async function deleteDocumentChatThread(threadId) {
+  const { error } = await db
+    .from('document_chat_threads')
+    .delete()
+    .eq('thread_id', threadId);
+  if (error) throw error;
+}
+
+export async function getUserDocumentChatThreadIds(userId) {
+  const { data, error } = await db
+    .from('document_chat_threads')
+    .select('thread_id')
+    .eq('user_id', userId);
+  if (error) throw error;
+  return (data || []).map(thread => thread.thread_id);
+}
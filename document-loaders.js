@@ -0,0 +1,487 @@
+import path from 'path';
+import { Document } from '@langchain/core/documents';
+import { DocxLoader } from '@langchain/community/document_loaders/fs/docx';
+import { dsvFormat } from 'd3-dsv';
+import ExcelJS from 'exceljs';
+import { simpleParser } from 'mailparser';
+import msgreader from '@kenjiuno/msgreader';
+import { createChatCompletion, hasVisionModel } from './ai-config.js';
+
+// Registry of the file types the ingestion pipeline reads. Each loader turns
+// a file's bytes into LangChain Documents; pages, sheets and email parts
+// become separate Documents with loc.pageNumber, so the chunking, analysis and
+// embedding steps in the worker stay the same for every type.
+//
+// Uploads are accepted by MIME type or extension (browsers report CSV, MSG
+// and Markdown inconsistently) and then checked against the file's magic
+// bytes, so a renamed executable is not treated as a document.
+
+const MsgReader = msgreader.default;
+
+const MAX_ATTACHMENT_DEPTH = 1;
+
+const FILE_TYPES = {
+  pdf: {
+    label: 'PDF',
+    mimeTypes: ['application/pdf'],
+    extensions: ['pdf'],
+    load: loadPdf
+  },
+  docx: {
+    label: 'Word document',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['docx'],
+    load: loadDocx
+  },
+  xlsx: {
+    label: 'Excel workbook',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    extensions: ['xlsx'],
+    load: loadXlsx
+  },
+  csv: {
+    label: 'CSV',
+    mimeTypes: ['text/csv', 'application/csv', 'text/tab-separated-values'],
+    extensions: ['csv', 'tsv'],
+    load: loadCsv
+  },
+  text: {
+    label: 'text file',
+    mimeTypes: ['text/plain', 'text/markdown', 'text/x-markdown'],
+    extensions: ['txt', 'md', 'markdown'],
+    load: loadText
+  },
+  eml: {
+    label: 'email',
+    mimeTypes: ['message/rfc822'],
+    extensions: ['eml'],
+    load: loadEml
+  },
+  msg: {
+    label: 'Outlook message',
+    mimeTypes: ['application/vnd.ms-outlook', 'application/x-ole-storage'],
+    extensions: ['msg'],
+    load: loadMsg
+  },
+  image: {
+    label: 'image',
+    mimeTypes: ['image/png', 'image/jpeg'],
+    extensions: ['png', 'jpg', 'jpeg'],
+    load: loadImage
+  }
+};
+
+export const SUPPORTED_EXTENSIONS = Object.values(FILE_TYPES).flatMap(type => type.extensions);
+
+function getExtension(filename) {
+  return path.extname(filename || '').slice(1).toLowerCase();
+}
+
+// Types the upload claims to be, from its MIME type and extension
+function getClaimedTypes({ mimetype, filename }) {
+  const extension = getExtension(filename);
+  return Object.entries(FILE_TYPES)
+    .filter(([, type]) => type.mimeTypes.includes(mimetype) || type.extensions.includes(extension))
+    .map(([name]) => name);
+}
+
+/**
+ * Multer fileFilter check, before the content is available.
+ */
+export function isSupportedUpload(file) {
+  return getClaimedTypes({ mimetype: file.mimetype, filename: file.originalname }).length > 0;
+}
+
+const startsWith = (buffer, bytes) => bytes.every((byte, i) => buffer[i] === byte);
+
+// Text formats have no signature; accept them if there are no NUL bytes
+function looksLikeText(buffer) {
+  return !buffer.subarray(0, 8192).includes(0);
+}
+
+/**
+ * The registry key for a file, from its magic bytes, or null when the content
+ * is not a supported type. The MIME type and extension only decide between
+ * formats that share a container (DOCX/XLSX are ZIPs, MSG is an OLE file,
+ * CSV/EML/Markdown are plain text).
+ */
+export function detectFileType(buffer, { mimetype, filename } = {}) {
+  if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d])) return 'pdf';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image';
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image';
+
+  // ZIP: the entry names in the central directory are stored uncompressed
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+    if (buffer.includes('word/document.xml')) return 'docx';
+    if (buffer.includes('xl/workbook.xml')) return 'xlsx';
+    return null;
+  }
+
+  const claimed = getClaimedTypes({ mimetype, filename });
+
+  if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return claimed.includes('msg') ? 'msg' : null;
+  }
+
+  if (!looksLikeText(buffer)) return null;
+  if (claimed.includes('eml')) return 'eml';
+  if (claimed.includes('csv')) return 'csv';
+  return claimed.includes('text') ? 'text' : null;
+}
+
+/**
+ * The MIME type to store a file under when the upload's own is not known,
+ * e.g. when copying it to another storage backend; null for unsupported
+ * content.
+ */
+export function getContentType(buffer, { filename } = {}) {
+  const type = detectFileType(buffer, { filename });
+  if (!type) return null;
+  if (type === 'image') return startsWith(buffer, [0xff, 0xd8, 0xff]) ? 'image/jpeg' : 'image/png';
+  return FILE_TYPES[type].mimeTypes[0];
+}
+
+export function getFileTypeLabel(fileType) {
+  return FILE_TYPES[fileType]?.label || 'file';
+}
+
+/**
+ * Load a file into LangChain Documents with the loader for its type.
+ */
+export async function loadDocument(buffer, { filename, mimetype, fileType, depth = 0 } = {}) {
+  const type = fileType || detectFileType(buffer, { mimetype, filename });
+  if (!type) {
+    throw new Error(`Unsupported file type: ${filename}`);
+  }
+
+  const docs = await FILE_TYPES[type].load(buffer, { filename, depth });
+  return docs.map(doc => new Document({
+    pageContent: doc.pageContent,
+    metadata: { fileType: type, ...doc.metadata }
+  }));
+}
+
+function withPage(pageContent, pageNumber, metadata = {}) {
+  return new Document({ pageContent, metadata: { ...metadata, loc: { pageNumber } } });
+}
+
+// ========== LOADERS ==========
+
+// ========== PDF ==========
+// PDFLoader joins the text items of a line without separators, which glues
+// table cells together ("1Widget105.00"). Lines are rebuilt here from the item
+// positions instead: items on the same baseline (within half a font size) form
+// a line, read left to right whatever order the PDF draws them in. A wide
+// horizontal gap becomes a tab, so columns survive for the layout-aware
+// chunker, and a wide vertical gap becomes a blank line.
+// Uses the pdf.js build bundled with pdf-parse, like PDFLoader.
+
+// In multiples of the font size
+const COLUMN_GAP = 1.2;
+const WORD_GAP = 0.15;
+const LINE_TOLERANCE = 0.5;
+const PARAGRAPH_GAP = 1.8;
+
+function getFontSize(item) {
+  return Math.hypot(item.transform[0], item.transform[1]) || item.height || 10;
+}
+
+// Top to bottom; PDF y grows upwards
+function groupLines(items) {
+  const positioned = items
+    .filter(item => 'str' in item && item.str)
+    .map(item => ({ str: item.str, x: item.transform[4], y: item.transform[5], width: item.width || 0, fontSize: getFontSize(item) }))
+    .sort((a, b) => b.y - a.y);
+
+  const lines = [];
+  for (const item of positioned) {
+    const line = lines[lines.length - 1];
+    if (line && line.y - item.y <= Math.max(line.fontSize, item.fontSize) * LINE_TOLERANCE) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+    }
+  }
+  for (const line of lines) {
+    line.items.sort((a, b) => a.x - b.x);
+  }
+  return lines;
+}
+
+function layoutLine(items) {
+  let text = '';
+  let end = null;
+  for (const item of items) {
+    if (end !== null) {
+      const gap = item.x - end;
+      if (gap > item.fontSize * COLUMN_GAP) {
+        text += '\t';
+      } else if (gap > item.fontSize * WORD_GAP && !/\s$/.test(text) && !/^\s/.test(item.str)) {
+        text += ' ';
+      }
+    }
+    text += item.str;
+    end = Math.max(end ?? -Infinity, item.x + item.width);
+  }
+  return text;
+}
+
+function layoutPageText(items) {
+  let text = '';
+  let last = null;
+  for (const line of groupLines(items)) {
+    if (last) {
+      text += last.y - line.y > line.fontSize * PARAGRAPH_GAP ? '\n\n' : '\n';
+    }
+    text += layoutLine(line.items);
+    last = line;
+  }
+  return text.replace(/[ \t]+\n/g, '\n').trim();
+}
+
+async function loadPdf(buffer) {
+  const { getDocument, version } = await import('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    useWorkerFetch: false,
+    isEvalSupported: false,
+    useSystemFonts: true,
+  }).promise;
+
+  try {
+    const meta = await pdf.getMetadata().catch(() => null);
+    const docs = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const text = layoutPageText(content.items);
+      // Pages without a text layer are left out; the OCR stage fills them in
+      if (!text) continue;
+      docs.push(withPage(text, pageNumber, {
+        pdf: { version, info: meta?.info, totalPages: pdf.numPages }
+      }));
+    }
+    return docs;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+async function loadDocx(buffer) {
+  const docs = await new DocxLoader(new Blob([buffer])).load();
+  return docs.map(doc => withPage(doc.pageContent, 1));
+}
+
+async function loadText(buffer) {
+  return [withPage(buffer.toString('utf8'), 1)];
+}
+
+// Rows are written one per line with their column headers, so a row stays
+// readable on its own wherever the splitter cuts
+function formatRows(rows, { title } = {}) {
+  const [header = [], ...body] = rows.filter(row => row.some(cell => String(cell ?? '').trim()));
+  const columns = header.map((cell, i) => String(cell ?? '').trim() || `Column ${i + 1}`);
+
+  const lines = body.map((row, i) => {
+    const cells = row
+      .map((cell, j) => [columns[j] || `Column ${j + 1}`, String(cell ?? '').trim()])
+      .filter(([, value]) => value)
+      .map(([column, value]) => `${column}: ${value}`);
+    return `Row ${i + 1}: ${cells.join(' | ')}`;
+  });
+
+  return [title, `Columns: ${columns.join(' | ')}`, ...lines].filter(Boolean).join('\n');
+}
+
+const DELIMITERS = [',', ';', '\t'];
+const DELIMITER_SAMPLE_LENGTH = 20000;
+
+// The delimiter that splits the most rows of the sample into the same number
+// (above one) of columns. Parsing the rows keeps quoted cells such as
+// "Acme, Inc." whole, and European decimals (1,5) do not win over ';'.
+function getDelimiter(text) {
+  const sample = text.slice(0, DELIMITER_SAMPLE_LENGTH);
+  let best = { delimiter: DELIMITERS[0], rows: 0, columns: 1 };
+  for (const delimiter of DELIMITERS) {
+    const rows = dsvFormat(delimiter).parseRows(sample).filter(row => row.some(cell => cell.trim()));
+    // The last row of a cut sample is usually incomplete
+    if (sample.length < text.length) rows.pop();
+
+    const widths = new Map();
+    for (const row of rows) {
+      widths.set(row.length, (widths.get(row.length) || 0) + 1);
+    }
+    for (const [columns, count] of widths) {
+      if (columns > 1 && (count > best.rows || (count === best.rows && columns > best.columns))) {
+        best = { delimiter, rows: count, columns };
+      }
+    }
+  }
+  return best.delimiter;
+}
+
+async function loadCsv(buffer) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const rows = dsvFormat(getDelimiter(text)).parseRows(text);
+  return [withPage(formatRows(rows), 1)];
+}
+
+function getCellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return String(value.text);
+  if (value.result !== undefined) return getCellText(value.result);
+  return '';
+}
+
+// One Document per worksheet, numbered like pages
+async function loadXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const docs = [];
+  workbook.worksheets.forEach((worksheet, i) => {
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, row => {
+      rows.push(row.values.slice(1).map(getCellText));
+    });
+    if (rows.length === 0) return;
+    docs.push(withPage(formatRows(rows, { title: `Sheet: ${worksheet.name}` }), i + 1, { sheetName: worksheet.name }));
+  });
+  return docs;
+}
+
+// ========== EMAIL ==========
+// The message body is page 1; each readable attachment follows as its own
+// pages, labelled with the attachment name. Attachments that are emails
+// themselves are not unpacked further.
+
+function formatEmail({ from, to, cc, date, subject, body }) {
+  const headers = [
+    ['From', from],
+    ['To', to],
+    ['Cc', cc],
+    ['Date', date],
+    ['Subject', subject]
+  ]
+    .filter(([, value]) => value)
+    .map(([name, value]) => `${name}: ${value}`);
+  return `${headers.join('\n')}\n\n${body || ''}`.trim();
+}
+
+async function loadAttachments(attachments, depth) {
+  const docs = [];
+  if (depth >= MAX_ATTACHMENT_DEPTH) return docs;
+
+  for (const { filename, contentType, content } of attachments) {
+    const fileType = detectFileType(content, { mimetype: contentType, filename });
+    if (!fileType) {
+      console.log(`[Loaders] Skipping attachment ${filename}: unsupported type`);
+      continue;
+    }
+    try {
+      const attachmentDocs = await loadDocument(content, { filename, fileType, depth: depth + 1 });
+      docs.push(...attachmentDocs.map(doc => new Document({
+        pageContent: `Attachment: ${filename}\n\n${doc.pageContent}`,
+        metadata: { ...doc.metadata, attachment: filename }
+      })));
+    } catch (error) {
+      console.warn(`[Loaders] Could not read attachment ${filename}:`, error.message);
+    }
+  }
+  return docs;
+}
+
+function numberPages(docs) {
+  return docs.map((doc, i) => withPage(doc.pageContent, i + 1, { ...doc.metadata, loc: undefined }));
+}
+
+async function loadEml(buffer, { depth }) {
+  const mail = await simpleParser(buffer);
+  const body = withPage(formatEmail({
+    from: mail.from?.text,
+    to: mail.to?.text,
+    cc: mail.cc?.text,
+    date: mail.date?.toISOString(),
+    subject: mail.subject,
+    body: mail.text
+  }), 1);
+
+  const attachments = await loadAttachments(
+    mail.attachments.map(({ filename, contentType, content }) => ({ filename, contentType, content })),
+    depth
+  );
+  return numberPages([body, ...attachments]);
+}
+
+async function loadMsg(buffer, { depth }) {
+  const reader = new MsgReader(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+  const message = reader.getFileData();
+  if (message.error) {
+    throw new Error(message.error);
+  }
+
+  const recipients = (kind) => (message.recipients || [])
+    .filter(recipient => (recipient.recipType || 'to') === kind)
+    .map(recipient => recipient.smtpAddress || recipient.email || recipient.name)
+    .join(', ');
+
+  const body = withPage(formatEmail({
+    from: [message.senderName, message.senderEmail && `<${message.senderEmail}>`].filter(Boolean).join(' '),
+    to: recipients('to'),
+    cc: recipients('cc'),
+    date: message.messageDeliveryTime || message.clientSubmitTime,
+    subject: message.subject,
+    body: message.body
+  }), 1);
+
+  const attachments = await loadAttachments(
+    (message.attachments || []).filter(attachment => !attachment.innerMsgContent).map(attachment => {
+      const { fileName, content } = reader.getAttachment(attachment);
+      return { filename: fileName, contentType: attachment.attachMimeTag, content: Buffer.from(content) };
+    }),
+    depth
+  );
+  return numberPages([body, ...attachments]);
+}
+
+// ========== IMAGES ==========
+
+async function transcribeImage(buffer, filename) {
+  const mimeType = startsWith(buffer, [0x89, 0x50, 0x4e, 0x47]) ? 'image/png' : 'image/jpeg';
+
+  const response = await createChatCompletion('vision', {
+    messages: [
+      {
+        role: 'system',
+        content: 'You transcribe scanned and photographed shipping documents. Return only the text in the image, in reading order. Write table rows on one line each with cells separated by " | ". Do not add commentary.'
+      },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: `Transcribe ${filename}.` },
+          { type: 'image_url', image_url: { url: `data:${mimeType};base64,${buffer.toString('base64')}`, detail: 'high' } }
+        ]
+      }
+    ],
+    temperature: 0,
+    max_tokens: 4000,
+  });
+  return response.choices[0].message.content || '';
+}
+
+// Without a vision model, or when it fails, the image loads as an empty page
+// and the OCR stage (ocr.js) reads it
+async function loadImage(buffer, { filename }) {
+  if (!hasVisionModel()) {
+    return [withPage('', 1)];
+  }
+  try {
+    return [withPage(await transcribeImage(buffer, filename), 1)];
+  } catch (error) {
+    console.warn(`[Images] Transcribing ${filename} failed, falling back to OCR:`, error.message);
+    return [withPage('', 1)];
+  }
+}
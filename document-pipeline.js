@@ -0,0 +1,139 @@
+import { Document } from '@langchain/core/documents';
+import vectorStore from './vector-store.js';
+import { isOcrEnabled, ocrPdfPages, ocrImage } from './ocr.js';
+import { getChunkingMode, chunkDocuments } from './chunking.js';
+import { normalizeEntity } from './retrieval.js';
+
+// Steps shared by the upload workers and re-indexing (reindex.js), so a
+// re-indexed collection holds the same chunks and metadata a fresh upload
+// would get.
+
+// Stamped on every chunk and document row; bump it when chunking or the
+// metadata schema changes, then re-index:
+//   layout-1  layout-aware chunking: table rows and key/value blocks kept whole
+//   layout-2  PDF lines rebuilt from item positions, entities stored lowercase
+export const PROCESSING_VERSION = 'layout-2';
+
+// ========== OCR ==========
+
+// Scanned PDFs have no text layer, or one with only a few stray characters,
+// and images have none unless a vision model transcribed them. Their pages
+// are OCR'd before analysis, so the analysis, chunks and embeddings all see
+// the same text. An OCR failure leaves the text layer as is.
+const OCR_READERS = { pdf: ocrPdfPages, image: ocrImage };
+
+export async function ocrScannedPages(fileBuffer, fileType, docs, { onStart } = {}) {
+  const read = OCR_READERS[fileType];
+  if (!read || !isOcrEnabled()) {
+    return { docs, ocrPages: [] };
+  }
+  try {
+    return await read(fileBuffer, docs, { onStart });
+  } catch (error) {
+    console.warn(`[OCR] Failed, continuing with the text layer:`, error.message);
+    return { docs, ocrPages: [] };
+  }
+}
+
+// ========== CHUNKS ==========
+
+function normalizeEntities(entities) {
+  if (!entities) return entities;
+  return Object.fromEntries(Object.entries(entities).map(([key, values]) => [
+    key,
+    Array.isArray(values) ? values.map(normalizeEntity) : values
+  ]));
+}
+
+/**
+ * Split a document's pages into chunks carrying the document's metadata and
+ * analysis. The analysis picks the chunking mode.
+ */
+export async function buildDocumentChunks(docs, { filename, documentId, userId, organizationId, strategy, fileSize, analysis }) {
+  const chunkingMode = getChunkingMode(analysis.documentType);
+  const splitDocs = await chunkDocuments(docs, chunkingMode);
+
+  const chunks = splitDocs.map((doc, index) => {
+    return new Document({
+      pageContent: doc.pageContent,
+      metadata: {
+        ...doc.metadata,
+        source: filename,
+        chunkIndex: index,
+        totalChunks: splitDocs.length,
+        documentId,
+        userId,
+        organizationId: organizationId || null,
+        strategy,
+        processedAt: new Date().toISOString(),
+        documentType: analysis.documentType,
+        language: analysis.language,
+        confidence: analysis.confidence,
+        summary: analysis.summary,
+        topics: analysis.topics,
+        sentiment: analysis.sentiment,
+        entities: normalizeEntities(analysis.keyEntities),
+        fileSize,
+        processingVersion: PROCESSING_VERSION
+      },
+    });
+  });
+  return { chunks, chunkingMode };
+}
+
+/**
+ * An invoice is embedded whole, with its extracted data as metadata.
+ */
+export function buildInvoiceDocument(content, { filename, invoiceId, sessionId, bookingId, userId, organizationId, fileType, analysis, ocrPages, ocrConfidence, fileSize }) {
+  return new Document({
+    pageContent: content,
+    metadata: {
+      source: filename,
+      invoiceId,
+      sessionId,
+      bookingId,
+      userId,
+      organizationId: organizationId || null,
+      type: 'invoice',
+      fileType,
+      documentType: analysis.documentType,
+      analysis: analysis,
+      ocrPages,
+      ocrConfidence,
+      processedAt: new Date().toISOString(),
+      fileSize,
+      version: PROCESSING_VERSION
+    },
+  });
+}
+
+// ========== PAYLOAD INDEXES ==========
+
+// Fields the API filters on. Qdrant can filter without an index, but slowly,
+// and deployments in strict mode refuse unindexed filters altogether. The
+// local store scans every point and ignores these.
+const PAYLOAD_INDEXES = [
+  ['metadata.documentId', 'keyword'],
+  ['metadata.userId', 'keyword'],
+  ['metadata.organizationId', 'keyword'],
+  ['metadata.documentType', 'keyword'],
+  ['metadata.language', 'keyword'],
+  ['metadata.topics', 'keyword'],
+  ['metadata.entities.companies', 'keyword'],
+  ['metadata.entities.locations', 'keyword'],
+  ['metadata.entities.dates', 'keyword'],
+  ['metadata.entities.amounts', 'keyword'],
+  ['metadata.sectionType', 'keyword'],
+  ['metadata.processedAt', 'datetime']
+];
+
+// Creating an index that already exists is a no-op, so this runs after every upload
+export async function ensurePayloadIndexes(collectionName) {
+  for (const [fieldName, fieldSchema] of PAYLOAD_INDEXES) {
+    try {
+      await vectorStore.createPayloadIndex(collectionName, fieldName, fieldSchema);
+    } catch (error) {
+      console.warn(`[Vectors] Could not index ${fieldName} on ${collectionName}:`, error.message);
+    }
+  }
+}
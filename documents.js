@@ -0,0 +1,175 @@
+import db from './database.js';
+import { scopeToWorkspace } from './authorization.js';
+
+// Rows of uploaded documents. Processing results are written by the PDF
+// worker; the vectors themselves live in the collection_name collection.
+
+export async function createDocument(docData) {
+  const { data, error } = await db
+    .from('documents')
+    .insert([{
+      document_id: docData.documentId,
+      user_id: docData.userId,
+      organization_id: docData.organizationId || null,
+      filename: docData.filename,
+      collection_name: docData.collectionName,
+      strategy: docData.strategy,
+      storage_backend: docData.storageBackend,
+      storage_key: docData.storageKey,
+      job_id: docData.jobId,
+      uploaded_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function getWorkspaceDocuments(workspace) {
+  const { data, error } = await scopeToWorkspace(
+    db.from('documents').select('*'),
+    workspace
+  ).order('uploaded_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function listWorkspaceDocuments(workspace, { page, limit, documentType, processed }) {
+  let query = scopeToWorkspace(
+    db.from('documents').select('*', { count: 'exact' }),
+    workspace
+  );
+  if (documentType) query = query.eq('document_type', documentType);
+  if (processed !== undefined) query = query.eq('processed', processed);
+
+  const from = (page - 1) * limit;
+  const { data, error, count } = await query
+    .order('uploaded_at', { ascending: false })
+    .range(from, from + limit - 1);
+  if (error) throw error;
+  return { documents: data || [], total: count || 0 };
+}
+
+export async function markDocumentForReprocessing(documentId, jobId) {
+  const { error } = await db
+    .from('documents')
+    .update({ processed: false, processed_at: null, processing_error: null, job_id: jobId })
+    .eq('document_id', documentId);
+  if (error) throw error;
+}
+
+export async function deleteDocumentRecord(documentId) {
+  const { error } = await db
+    .from('documents')
+    .delete()
+    .eq('document_id', documentId);
+  if (error) throw error;
+}
+
+/**
+ * collection_name and strategy of the workspace's documents, optionally only
+ * of the given documents.
+ */
+export async function getWorkspaceDocumentCollections(workspace, documentIds) {
+  let query = scopeToWorkspace(
+    db.from('documents').select('collection_name, strategy'),
+    workspace
+  );
+  if (documentIds?.length) query = query.in('document_id', documentIds);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Record a processed document. ocrPages is the OCR summary of ocr.js, empty
+ * when no page was OCR'd.
+ */
+export async function markDocumentProcessed(documentId, { totalPages, totalChunks, fileSize, analysis, ocrPages = [], ocrConfidence = null, processingVersion }) {
+  const { error } = await db
+    .from('documents')
+    .update({
+      total_pages: totalPages,
+      total_chunks: totalChunks,
+      file_size: fileSize,
+      document_type: analysis.documentType,
+      language: analysis.language,
+      confidence: analysis.confidence,
+      summary: analysis.summary,
+      topics: analysis.topics,
+      sentiment: analysis.sentiment,
+      key_entities: analysis.keyEntities,
+      ocr_pages: ocrPages.length > 0 ? ocrPages : null,
+      ocr_confidence: ocrConfidence,
+      processed: true,
+      processed_at: new Date().toISOString(),
+      processing_error: null,
+      processing_version: processingVersion
+    })
+    .eq('document_id', documentId);
+  if (error) throw error;
+}
+
+export async function recordDocumentFailure(documentId, message) {
+  const { error } = await db
+    .from('documents')
+    .update({ processed: false, processing_error: message })
+    .eq('document_id', documentId);
+  if (error) throw error;
+}
+
+// ========== RE-INDEXING ==========
+
+/**
+ * Distinct collections holding processed documents, optionally only those of
+ * a workspace.
+ */
+export async function getDocumentCollectionNames(workspace) {
+  let query = db.from('documents').select('collection_name').eq('processed', true);
+  if (workspace) query = scopeToWorkspace(query, workspace);
+  const { data, error } = await query;
+  if (error) throw error;
+  return [...new Set((data || []).map(doc => doc.collection_name))];
+}
+
+/**
+ * A page of the processed documents in a collection, in document_id order
+ * after afterId, so an interrupted re-index can continue where it stopped.
+ */
+export async function listCollectionDocuments(collectionName, { afterId, limit }) {
+  let query = db
+    .from('documents')
+    .select('*')
+    .eq('collection_name', collectionName)
+    .eq('processed', true);
+  if (afterId) query = query.gt('document_id', afterId);
+  const { data, error } = await query.order('document_id').limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+export async function countCollectionDocuments(collectionName) {
+  const { count, error } = await db
+    .from('documents')
+    .select('*', { count: 'exact', head: true })
+    .eq('collection_name', collectionName)
+    .eq('processed', true);
+  if (error) throw error;
+  return count || 0;
+}
+
+export async function recordDocumentReindexed(documentId, { totalChunks, processingVersion }) {
+  const { error } = await db
+    .from('documents')
+    .update({ total_chunks: totalChunks, processing_version: processingVersion })
+    .eq('document_id', documentId);
+  if (error) throw error;
+}
+
+export async function countDocuments() {
+  const { count, error } = await db
+    .from('documents')
+    .select('*', { count: 'exact', head: true });
+  if (error) throw error;
+  return count || 0;
+}
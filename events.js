@@ -0,0 +1,50 @@
+import { redisConnection, createRedisConnection } from './redis-config.js';
+
+// Workers publish processing events on a single Redis channel; the API keeps
+// one subscriber and fans each event out to the SSE clients of the workspace
+// that owns it.
+const EVENTS_CHANNEL = 'freightchat:events';
+
+/**
+ * Publish an event for the workspace that owns the processed item.
+ * Failures are logged and swallowed: a missed notification must never fail
+ * the job that produced it.
+ */
+export async function publishEvent(type, { userId, organizationId = null, ...data }) {
+  const event = {
+    type,
+    userId,
+    organizationId,
+    data,
+    timestamp: new Date().toISOString()
+  };
+  try {
+    await redisConnection.publish(EVENTS_CHANNEL, JSON.stringify(event));
+  } catch (error) {
+    console.warn(`[Events] Could not publish ${type}:`, error.message);
+  }
+}
+
+/**
+ * Subscribe to published events. A connection in subscriber mode cannot run
+ * other commands, so this opens its own. Returns the connection so the
+ * caller can close it on shutdown.
+ */
+export function subscribeToEvents(handler) {
+  const subscriber = createRedisConnection();
+
+  subscriber.subscribe(EVENTS_CHANNEL).catch(error => {
+    console.error('[Events] Could not subscribe:', error.message);
+  });
+
+  subscriber.on('message', (channel, message) => {
+    if (channel !== EVENTS_CHANNEL) return;
+    try {
+      handler(JSON.parse(message));
+    } catch (error) {
+      console.warn('[Events] Dropped malformed event:', error.message);
+    }
+  });
+
+  return subscriber;
+}
@@ -2,35 +2,161 @@ import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
 import { Queue } from 'bullmq';
-import { OpenAIEmbeddings } from '@langchain/openai';
-import { QdrantVectorStore } from '@langchain/qdrant';
 import fs from 'fs';
 import dotenv from 'dotenv';
 import crypto from 'crypto';
-import jwt from 'jsonwebtoken';
-import { createClient } from '@supabase/supabase-js';
-import { MemorySaver } from '@langchain/langgraph';
-import { createShippingAgent, ShippingAgentExecutor } from './workflow.js';
+import {
+  createShippingAgent,
+  ShippingAgentExecutor,
+  createDocumentRagAgent,
+  DocumentRagExecutor
+} from './workflow.js';
 import { redisConnection } from './redis-config.js';
-import cloudinary from './cloudinary-config.js';
-import streamifier from 'streamifier';
+import { createCheckpointer } from './checkpointer-config.js';
+import { getDatabaseBackend } from './database.js';
+import vectorStore, { SHARED_COLLECTION, getCollectionName, getInvoiceCollectionName } from './vector-store.js';
+import {
+  getDefaultBackend,
+  getStorage,
+  getStoredFile,
+  getStoredFileUrl,
+  deleteStoredFile,
+  storeUpload,
+  verifyFileSignature,
+  SIGNED_URL_TTL_SECONDS
+} from './blob-storage.js';
+import { subscribeToEvents } from './events.js';
+import { getReindexTargets } from './reindex.js';
+import { getJobReindexRuns } from './reindex-runs.js';
+import { deleteSparsePoints, deleteSparseCollection } from './sparse-index.js';
+import { isSupportedUpload, detectFileType, SUPPORTED_EXTENSIONS } from './document-loaders.js';
+import {
+  retrieve,
+  RETRIEVAL_MODES,
+  MAX_K,
+  buildPayloadFilter,
+  formatSearchResults
+} from './retrieval.js';
+import {
+  createDocumentChatThreadId,
+  isDocumentChatThread,
+  getChatHistory,
+  recordDocumentChatThread,
+  getDocumentChatThread,
+  listDocumentChatThreads,
+  deleteDocumentChatThread,
+  getUserDocumentChatThreadIds
+} from './document-chat.js';
+import {
+  isValidRole,
+  hasPermission,
+  canManageRole,
+  createOrganization,
+  getOrganization,
+  getUserOrganizations,
+  addOrganizationMember,
+  getOrganizationMember,
+  getOrganizationMembers,
+  updateOrganizationMemberRole,
+  removeOrganizationMember,
+  countOrganizationOwners,
+  createInvitation,
+  getPendingInvitations,
+  getInvitationByToken,
+  markInvitationAccepted,
+  deleteInvitation
+} from './organizations.js';
+import {
+  API_KEY_SCOPES,
+  getInvalidScopes,
+  resolveExpiry,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey
+} from './api-keys.js';
+import archiver from 'archiver';
+import {
+  writeAccountExport,
+  createDeletionReceipt,
+  getDeletionReceipt,
+  updateDeletionReceipt
+} from './account-data.js';
+import {
+  ACCESS_TOKEN_TTL_SECONDS,
+  getJwtSecret,
+  hashPassword,
+  verifyPassword,
+  verifyLoginPassword,
+  validatePassword,
+  generateAccessToken,
+  denyAccessToken,
+  createSession,
+  getSession,
+  listUserSessions,
+  revokeSession,
+  revokeAllUserSessions,
+  issueRefreshToken,
+  rotateRefreshToken,
+  getLockoutRemaining,
+  recordFailedLogin,
+  clearFailedLogins
+} from './auth.js';
+import { createUser, getUserById, updateUserLastAccessed, deactivateUser, countUsers } from './users.js';
+import {
+  createDocument,
+  getWorkspaceDocuments,
+  listWorkspaceDocuments,
+  getWorkspaceDocumentCollections,
+  markDocumentForReprocessing,
+  deleteDocumentRecord,
+  countDocuments
+} from './documents.js';
+import {
+  createInvoiceRecord,
+  getSessionInvoices,
+  linkInvoicesToBooking,
+  getWorkspaceInvoiceUploaders,
+  countInvoices
+} from './invoices.js';
+import {
+  saveShippingQuote,
+  createShipmentTracking,
+  getShipmentTracking,
+  getWorkspaceShipment,
+  addTrackingEvent,
+  getWorkspaceShipments,
+  countShipments
+} from './shipments.js';
+import {
+  verifyUserToken,
+  requireUserSession,
+  requirePermission,
+  isOwnedByWorkspace,
+  getOwnedDocument,
+  getOwnedInvoice,
+  getOwnedBooking,
+  getOwnedThread,
+  canShareDocuments,
+  isStillAuthorized
+} from './authorization.js';
 
 dotenv.config();
 
 console.log('🚀 Starting FreightChat Pro API...');
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
-console.log('✓ Supabase client initialized');
+try {
+  getJwtSecret();
+} catch (error) {
+  console.error(`✗ ${error.message}. Refusing to start.`);
+  process.exit(1);
+}
 
 // Initialize LangGraph checkpointer
-const checkpointer = new MemorySaver();
+const checkpointer = await createCheckpointer();
 let shippingAgent = null;
-
-console.log('✓ MemorySaver checkpointer created');
+let documentAgent = null;
 
 // Initialize agent on startup
 console.log('🤖 Initializing shipping agent...');
@@ -44,53 +170,96 @@ createShippingAgent(checkpointer)
     console.error('Stack:', error.stack);
   });
 
+// Document Q&A runs on its own RAG graph; retrieval is defined further down
+createDocumentRagAgent(checkpointer, {
+  retrieveContext: (query, { workspace, retrieval }) => retrieveDocumentContext(workspace, query, retrieval)
+})
+  .then((agent) => {
+    documentAgent = new DocumentRagExecutor(agent, checkpointer);
+    console.log('✓ Document RAG agent initialized successfully');
+  })
+  .catch((error) => {
+    console.error('✗ Failed to initialize document agent:', error);
+  });
+
 // BullMQ Queues with Upstash Redis connection
 const queue = new Queue('file-upload-queue', {
-  connection: redisConnection
+  connection: redisConnection,
+  defaultJobOptions: {
+    removeOnComplete: 100,
+    removeOnFail: 50,
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 2000,
+    },
+  }
 });
 
 const invoiceQueue = new Queue('invoice-upload-queue', {
+  connection: redisConnection,
+  defaultJobOptions: {
+    removeOnComplete: 50,
+    removeOnFail: 25,
+    attempts: 2,
+    backoff: {
+      type: 'exponential',
+      delay: 3000,
+    },
+  }
+});
+
+const accountDeletionQueue = new Queue('account-deletion-queue', {
   connection: redisConnection
 });
 
+// A failed re-index resumes its collection from the last document it finished
+const reindexQueue = new Queue('reindex-queue', {
+  connection: redisConnection,
+  defaultJobOptions: {
+    removeOnComplete: 50,
+    removeOnFail: 50,
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 30000,
+    },
+  }
+});
+
 console.log('✓ BullMQ queues initialized with Upstash Redis');
 
-// Use memory storage instead of multer-storage-cloudinary
-const storage = multer.memoryStorage();
+// Connected SSE clients, each with the workspace it was opened for
+const eventClients = new Set();
+
+subscribeToEvents((event) => {
+  for (const client of eventClients) {
+    if (isOwnedByWorkspace(event, client.workspace)) {
+      client.send(event);
+    }
+  }
+});
 
+// Files are held in memory and then written to the storage backend
 const upload = multer({ 
-  storage: storage,
+  storage: multer.memoryStorage(),
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (isSupportedUpload(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files allowed'), false);
+      const error = new Error(`Unsupported file type. Allowed: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      cb(error, false);
     }
   },
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-// Helper function to upload buffer to Cloudinary
-const uploadToCloudinary = (buffer, filename) => {
-  return new Promise((resolve, reject) => {
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: 'freightchat-documents',
-        resource_type: 'raw',
-        public_id: `${Date.now()}_${filename.replace(/\.pdf$/i, '').replace(/[^a-zA-Z0-9]/g, '_')}`,
-      },
-      (error, result) => {
-        if (error) reject(error);
-        else resolve(result);
-      }
-    );
-    
-    streamifier.createReadStream(buffer).pipe(uploadStream);
-  });
-};
-
 const app = express();
 
+// Render terminates TLS at a proxy; trust it so req.ip is the client address
+app.set('trust proxy', 1);
+
 // CORS configuration for deployment
 const corsOptions = {
   origin: process.env.FRONTEND_URL 
@@ -104,234 +273,97 @@ app.use(express.json());
 
 console.log('✓ Express middleware configured');
 
-// Database helpers
-async function createUser(userData) {
-  const { data, error } = await supabase
-    .from('users')
-    .insert([{
-      user_id: userData.userId,
-      name: userData.name,
-      email: userData.email,
-      created_at: new Date().toISOString(),
-      last_accessed: new Date().toISOString(),
-      is_active: true
-    }])
-    .select()
-    .single();
-  if (error) throw error;
-  return data;
-}
-
-async function getUserById(userId) {
-  const { data, error } = await supabase
-    .from('users')
-    .select('*')
-    .eq('user_id', userId)
-    .single();
-  if (error && error.code !== 'PGRST116') throw error;
-  return data;
-}
-
-async function updateUserLastAccessed(userId) {
-  const { error } = await supabase
-    .from('users')
-    .update({ last_accessed: new Date().toISOString() })
-    .eq('user_id', userId);
-  if (error) throw error;
-}
-
-async function createDocument(docData) {
-  const { data, error } = await supabase
-    .from('documents')
-    .insert([{
-      document_id: docData.documentId,
-      user_id: docData.userId,
-      filename: docData.filename,
-      collection_name: docData.collectionName,
-      strategy: docData.strategy,
-      cloudinary_url: docData.cloudinaryUrl,
-      cloudinary_public_id: docData.cloudinaryPublicId,
-      uploaded_at: new Date().toISOString()
-    }])
-    .select()
-    .single();
-  if (error) throw error;
-  return data;
-}
-
-async function getUserDocuments(userId) {
-  const { data, error } = await supabase
-    .from('documents')
-    .select('*')
-    .eq('user_id', userId)
-    .order('uploaded_at', { ascending: false });
-  if (error) throw error;
-  return data || [];
-}
-
-async function saveShippingQuote(sessionId, quoteData, userId) {
-  const { data, error } = await supabase
-    .from('shipping_quotes')
-    .insert([{
-      session_id: sessionId,
-      user_id: userId,
-      quote_data: quoteData,
-      created_at: new Date().toISOString()
-    }])
-    .select()
-    .single();
-  if (error) throw error;
-  return data;
-}
-
-async function createShipmentTracking(bookingData) {
-  const { data, error } = await supabase
-    .from('shipment_tracking')
-    .insert([{
-      tracking_number: bookingData.trackingNumber,
-      booking_id: bookingData.bookingId,
-      user_id: bookingData.userId,
-      session_id: bookingData.sessionId,
-      carrier_id: bookingData.carrierId,
-      service_level: bookingData.serviceLevel,
-      origin: bookingData.origin,
-      destination: bookingData.destination,
-      status: 'pickup_scheduled',
-      estimated_delivery: bookingData.estimatedDelivery,
-      tracking_events: [],
-      created_at: new Date().toISOString()
-    }])
-    .select()
-    .single();
-  if (error) throw error;
-  return data;
+async function deleteUserConversations(userId) {
+  for (const threadId of await getUserDocumentChatThreadIds(userId)) {
+    await checkpointer.deleteThread(threadId);
+  }
 }
 
-async function createInvoiceRecord(invoiceData) {
-  const { data, error } = await supabase
-    .from('invoices')
-    .insert([{
-      invoice_id: invoiceData.invoiceId,
-      user_id: invoiceData.userId,
-      session_id: invoiceData.sessionId,
-      booking_id: invoiceData.bookingId,
-      filename: invoiceData.filename,
-      cloudinary_url: invoiceData.cloudinaryUrl,
-      cloudinary_public_id: invoiceData.cloudinaryPublicId,
-      file_size: invoiceData.fileSize,
-      document_type: invoiceData.documentType || 'invoice',
-      extracted_data: invoiceData.extractedData || {},
-      uploaded_at: new Date().toISOString(),
-      processed: false
-    }])
-    .select()
-    .single();
-  if (error) throw error;
-  return data;
-}
+// Per-document collections are dropped; shared ones only lose this document's points
+async function deleteDocumentVectors(doc) {
+  if (doc.strategy === 'document') {
+    await deleteSparseCollection(doc.collection_name);
+  } else {
+    await deleteSparsePoints(doc.collection_name, {
+      must: [{ key: 'metadata.documentId', match: { value: doc.document_id } }]
+    });
+  }
 
-async function getSessionInvoices(sessionId) {
-  const { data, error } = await supabase
-    .from('invoices')
-    .select('*')
-    .eq('session_id', sessionId)
-    .order('uploaded_at', { ascending: false });
-  if (error) throw error;
-  return data || [];
+  if (doc.strategy === 'document') {
+    await vectorStore.deleteCollection(doc.collection_name);
+    return;
+  }
+  await vectorStore.deleteByFilter(doc.collection_name, {
+    must: [{ key: 'metadata.documentId', match: { value: doc.document_id } }]
+  });
 }
 
-async function getShipmentTracking(trackingNumber, userId = null) {
-  let query = supabase
-    .from('shipment_tracking')
-    .select('*')
-    .eq('tracking_number', trackingNumber);
-  if (userId) query = query.eq('user_id', userId);
-  const { data, error } = await query.single();
-  if (error && error.code !== 'PGRST116') throw error;
-  return data;
+// Live job state from BullMQ. Completed and failed jobs are trimmed from Redis
+// (removeOnComplete / removeOnFail), so callers fall back to the stored row.
+async function getJobStatus(jobQueue, jobId) {
+  if (!jobId) return null;
+  const job = await jobQueue.getJob(jobId);
+  if (!job) return null;
+  return {
+    jobId: job.id,
+    state: await job.getState(),
+    progress: typeof job.progress === 'object' ? job.progress : { percent: job.progress || 0 },
+    attemptsMade: job.attemptsMade,
+    maxAttempts: job.opts.attempts || 1,
+    failedReason: job.failedReason || null,
+    queuedAt: new Date(job.timestamp).toISOString(),
+    startedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+    finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null
+  };
 }
 
-async function getUserShipments(userId) {
-  const { data, error } = await supabase
-    .from('shipment_tracking')
-    .select('*')
-    .eq('user_id', userId)
-    .order('created_at', { ascending: false });
-  if (error) throw error;
-  return data || [];
+function getStoredStatus(row, failureReason) {
+  if (row.processed) return 'completed';
+  return failureReason ? 'failed' : 'unknown';
 }
 
 function isValidUserId(userId) {
   return /^[a-zA-Z0-9_-]{3,50}$/.test(userId);
 }
 
-function generateUserToken(userId) {
-  return jwt.sign(
-    { userId, createdAt: Date.now(), type: 'auth' },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: '30d' }
-  );
+function getClientInfo(req) {
+  return {
+    device: req.get('user-agent') || 'unknown',
+    ip: req.ip
+  };
 }
 
-async function verifyUserToken(req, res, next) {
-  const token = req.headers.authorization?.split(' ')[1] || req.query.token;
-  if (!token) {
-    return res.status(401).json({ 
-      error: 'Authentication required',
-      requiresAuth: true
-    });
-  }
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await getUserById(decoded.userId);
-    if (!user) {
-      return res.status(401).json({ 
-        error: 'User not found',
-        requiresAuth: true
-      });
-    }
-    req.userId = decoded.userId;
-    await updateUserLastAccessed(decoded.userId);
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        error: 'Invalid or expired token',
-        requiresAuth: true
-      });
-    }
-    return res.status(500).json({ error: 'Authentication failed' });
-  }
-  next();
+async function generateUserTokens(userId, req) {
+  const sessionId = await createSession(userId, getClientInfo(req));
+  const refreshToken = await issueRefreshToken(userId, sessionId);
+  return {
+    token: generateAccessToken(userId, sessionId),
+    sessionId,
+    refreshToken,
+    expiresIn: `${ACCESS_TOKEN_TTL_SECONDS / 60} minutes`,
+    refreshExpiresIn: '30 days'
+  };
 }
 
 // Health check
 app.get('/', async (req, res) => {
   try {
-    const { count: userCount } = await supabase
-      .from('users')
-      .select('*', { count: 'exact', head: true });
-    
-    const { count: docCount } = await supabase
-      .from('documents')
-      .select('*', { count: 'exact', head: true });
-
-    const { count: trackingCount } = await supabase
-      .from('shipment_tracking')
-      .select('*', { count: 'exact', head: true });
-
-    const { count: invoiceCount } = await supabase
-      .from('invoices')
-      .select('*', { count: 'exact', head: true });
+    const [userCount, docCount, trackingCount, invoiceCount] = await Promise.all([
+      countUsers(),
+      countDocuments(),
+      countShipments(),
+      countInvoices()
+    ]);
 
     return res.json({ 
-      status: 'FreightChat Pro API - Cloudinary Integration',
-      registeredUsers: userCount || 0,
-      totalDocuments: docCount || 0,
-      activeShipments: trackingCount || 0,
-      invoicesProcessed: invoiceCount || 0,
-      database: 'Supabase Connected',
+      status: 'FreightChat Pro API',
+      registeredUsers: userCount,
+      totalDocuments: docCount,
+      activeShipments: trackingCount,
+      invoicesProcessed: invoiceCount,
+      database: getDatabaseBackend(),
       redis: 'Upstash Connected',
-      storage: 'Cloudinary Active',
+      storage: getDefaultBackend(),
       agentStatus: shippingAgent ? '✓ Active' : '⚠ Initializing',
       architecture: 'LangGraph Multi-Agent',
       deployment: 'Render Free Tier Ready',
@@ -349,29 +381,33 @@ app.get('/', async (req, res) => {
 // Auth endpoints
 app.post('/auth/register', async (req, res) => {
   try {
-    const { userId, name, email } = req.body;
+    const { userId, name, email, password } = req.body;
     if (!userId) {
       return res.status(400).json({ error: 'userId is required' });
     }
     if (!isValidUserId(userId)) {
       return res.status(400).json({ error: 'Invalid userId format' });
     }
-    const existingUser = await getUserById(userId);
-    if (existingUser) {
-      return res.status(409).json({ error: 'User ID already exists' });
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
     }
-    const userInfo = await createUser({ userId, name: name || userId, email: email || null });
-    const token = generateUserToken(userId);
-    return res.status(201).json({
-      message: 'User created successfully',
-      user: {
-        userId: userInfo.user_id,
-        name: userInfo.name,
-        email: userInfo.email,
-        createdAt: userInfo.created_at
-      },
-      token,
-      expiresIn: '30 days'
+    // Taken and free user ids get the same answer, so registering cannot be
+    // used to find account ids; the account is usable once login succeeds
+    const passwordHash = await hashPassword(password);
+    if (await getUserById(userId)) {
+      console.warn(`[Auth] Registration for existing user id ${userId}`);
+    } else {
+      try {
+        await createUser({ userId, name: name || userId, email: email || null, passwordHash });
+      } catch (error) {
+        // Lost a race with a registration for the same id
+        if (!(await getUserById(userId))) throw error;
+      }
+    }
+    return res.status(202).json({
+      message: 'Registration received. Log in with your user ID and password.',
+      userId
     });
   } catch (error) {
     console.error('Error creating user:', error);
@@ -381,19 +417,44 @@ app.post('/auth/register', async (req, res) => {
 
 app.post('/auth/login', async (req, res) => {
   try {
-    const { userId } = req.body;
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
+    const { userId, password } = req.body;
+    if (!userId || !password) {
+      return res.status(400).json({ error: 'userId and password are required' });
+    }
+
+    const lockedFor = await getLockoutRemaining(userId, req.ip);
+    if (lockedFor > 0) {
+      res.set('Retry-After', String(lockedFor));
+      return res.status(429).json({
+        error: 'Too many failed login attempts. Try again later.',
+        retryAfter: lockedFor
+      });
     }
+
+    // Unknown accounts, accounts without a password and wrong passwords all
+    // get the same answer, so logins cannot be used to find account ids
     const userInfo = await getUserById(userId);
-    if (!userInfo) {
-      return res.status(404).json({ error: 'User not found' });
+    const passwordValid = await verifyLoginPassword(password, userInfo?.password_hash);
+    if (!passwordValid) {
+      const { locked, remainingAttempts, retryAfter } = await recordFailedLogin(userId, req.ip);
+      if (locked) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: 'Too many failed login attempts. Try again later.',
+          retryAfter,
+          remainingAttempts
+        });
+      }
+      return res.status(401).json({ error: 'Invalid credentials', remainingAttempts });
     }
+
     if (!userInfo.is_active) {
       return res.status(403).json({ error: 'User account is inactive' });
     }
+
+    await clearFailedLogins(userId, req.ip);
     await updateUserLastAccessed(userId);
-    const token = generateUserToken(userId);
+    const tokens = await generateUserTokens(userId, req);
     return res.json({
       message: 'Login successful',
       user: {
@@ -402,8 +463,7 @@ app.post('/auth/login', async (req, res) => {
         email: userInfo.email,
         lastAccessed: new Date().toISOString()
       },
-      token,
-      expiresIn: '30 days'
+      ...tokens
     });
   } catch (error) {
     console.error('Error during login:', error);
@@ -411,11 +471,322 @@ app.post('/auth/login', async (req, res) => {
   }
 });
 
-app.get('/auth/profile', verifyUserToken, async (req, res) => {
+app.post('/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken);
+    if (!rotated) {
+      return res.status(401).json({
+        error: 'Invalid or expired refresh token',
+        requiresAuth: true
+      });
+    }
+
+    const userInfo = await getUserById(rotated.userId);
+    if (!userInfo || !userInfo.is_active) {
+      return res.status(401).json({
+        error: 'User not found or inactive',
+        requiresAuth: true
+      });
+    }
+
+    return res.json({
+      token: generateAccessToken(rotated.userId, rotated.sessionId),
+      sessionId: rotated.sessionId,
+      refreshToken: rotated.refreshToken,
+      expiresIn: `${ACCESS_TOKEN_TTL_SECONDS / 60} minutes`,
+      refreshExpiresIn: '30 days'
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    return res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+app.post('/auth/logout', verifyUserToken, requireUserSession, async (req, res) => {
+  try {
+    await denyAccessToken(req.tokenId, req.tokenExpiresAt);
+    await revokeSession(req.sessionId);
+    return res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error during logout:', error);
+    return res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+app.get('/auth/sessions', verifyUserToken, requireUserSession, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.userId);
+    return res.json({
+      sessions: sessions.map(session => ({
+        sessionId: session.sessionId,
+        device: session.device,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session.sessionId === req.sessionId
+      })),
+      count: sessions.length
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    return res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+app.delete('/auth/sessions/:id', verifyUserToken, requireUserSession, async (req, res) => {
+  try {
+    const session = await getSession(req.params.id);
+    if (!session || session.userId !== req.userId) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    await revokeSession(session.sessionId);
+    if (session.sessionId === req.sessionId) {
+      await denyAccessToken(req.tokenId, req.tokenExpiresAt);
+    }
+    return res.json({
+      message: 'Session revoked',
+      sessionId: session.sessionId,
+      current: session.sessionId === req.sessionId
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    return res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+function formatApiKey(apiKey) {
+  return {
+    keyId: apiKey.key_id,
+    name: apiKey.name,
+    prefix: apiKey.key_prefix,
+    scopes: apiKey.scopes,
+    organizationId: apiKey.organization_id,
+    createdBy: apiKey.user_id,
+    createdAt: apiKey.created_at,
+    expiresAt: apiKey.expires_at,
+    lastUsedAt: apiKey.last_used_at,
+    rotatedAt: apiKey.rotated_at
+  };
+}
+
+// Keys are managed per workspace: personal keys act as their creator,
+// organization keys (X-Organization-Id) act inside that organization
+async function getManageableApiKey(req) {
+  const apiKey = await getApiKey(req.params.id);
+  if (!apiKey || apiKey.revoked_at) return null;
+  const { organizationId, userId } = req.workspace;
+  if (organizationId) {
+    return apiKey.organization_id === organizationId ? apiKey : null;
+  }
+  return !apiKey.organization_id && apiKey.user_id === userId ? apiKey : null;
+}
+
+app.get('/auth/api-keys', verifyUserToken, requireUserSession, requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.workspace);
+    return res.json({
+      apiKeys: apiKeys.map(formatApiKey),
+      count: apiKeys.length,
+      availableScopes: API_KEY_SCOPES
+    });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    return res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+app.post('/auth/api-keys', verifyUserToken, requireUserSession, requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'scopes must be a non-empty array', availableScopes: API_KEY_SCOPES });
+    }
+    const invalidScopes = getInvalidScopes(scopes);
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({ error: `Unknown scopes: ${invalidScopes.join(', ')}`, availableScopes: API_KEY_SCOPES });
+    }
+    const deniedScopes = scopes.filter(scope => !hasPermission(req.workspace.role, scope));
+    if (deniedScopes.length > 0) {
+      return res.status(403).json({ error: `Your role cannot grant: ${deniedScopes.join(', ')}` });
+    }
+    const expiresAt = resolveExpiry(expiresInDays);
+    if (!expiresAt) {
+      return res.status(400).json({ error: 'expiresInDays must be an integer between 1 and 365' });
+    }
+
+    const { apiKey, key } = await createApiKey({
+      userId: req.userId,
+      organizationId: req.workspace.organizationId,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    return res.status(201).json({
+      message: 'API key created. Store it now; it will not be shown again.',
+      apiKey: formatApiKey(apiKey),
+      key
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    return res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+app.post('/auth/api-keys/:id/rotate', verifyUserToken, requireUserSession, requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    const existing = await getManageableApiKey(req);
+    if (!existing) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    const { apiKey, key } = await rotateApiKey(existing.key_id);
+    return res.json({
+      message: 'API key rotated. The previous secret no longer works.',
+      apiKey: formatApiKey(apiKey),
+      key
+    });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    return res.status(500).json({ error: 'Failed to rotate API key' });
+  }
+});
+
+app.delete('/auth/api-keys/:id', verifyUserToken, requireUserSession, requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    const existing = await getManageableApiKey(req);
+    if (!existing) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    await revokeApiKey(existing.key_id);
+    return res.json({ message: 'API key revoked', keyId: existing.key_id });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    return res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// Account data export (GDPR/DPDP access request)
+app.get('/auth/account/export', verifyUserToken, requireUserSession, async (req, res) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  archive.on('warning', (error) => console.warn('Export warning:', error.message));
+  archive.on('error', (error) => {
+    console.error('Export archive error:', error);
+    res.destroy(error);
+  });
+
+  try {
+    const filename = `freightchat-export-${req.userId}-${new Date().toISOString().slice(0, 10)}.zip`;
+    res.attachment(filename);
+    res.type('application/zip');
+    archive.pipe(res);
+
+    await writeAccountExport(req.userId, archive);
+    await archive.finalize();
+  } catch (error) {
+    console.error('Error exporting account:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to export account data' });
+    }
+    archive.abort();
+    res.destroy(error);
+  }
+});
+
+// Right to erasure: deactivate now, delete everything in the background
+app.delete('/auth/account', verifyUserToken, requireUserSession, async (req, res) => {
   try {
     const userInfo = await getUserById(req.userId);
-    const documents = await getUserDocuments(req.userId);
-    const shipments = await getUserShipments(req.userId);
+    if (!(await verifyPassword(req.body?.password, userInfo.password_hash))) {
+      return res.status(401).json({ error: 'Password confirmation required' });
+    }
+
+    // Organizations the user is the sole member of go with the account; any
+    // other organization they own must first be handed to another owner
+    const soleOrganizationIds = [];
+    const blockingOrganizations = [];
+    for (const org of await getUserOrganizations(req.userId)) {
+      const members = await getOrganizationMembers(org.organization_id);
+      if (members.length === 1) {
+        soleOrganizationIds.push(org.organization_id);
+      } else if (org.role === 'owner' && members.filter(m => m.role === 'owner').length === 1) {
+        blockingOrganizations.push({ organizationId: org.organization_id, name: org.name });
+      }
+    }
+    if (blockingOrganizations.length > 0) {
+      return res.status(409).json({
+        error: 'Transfer ownership of these organizations before deleting your account',
+        organizations: blockingOrganizations
+      });
+    }
+
+    const receipt = await createDeletionReceipt(req.userId);
+    await deactivateUser(req.userId);
+    await revokeAllUserSessions(req.userId);
+    // The checkpointer is set up in the API only, so conversations are deleted here
+    await deleteUserConversations(req.userId);
+
+    try {
+      await accountDeletionQueue.add('delete-account', {
+        userId: req.userId,
+        receiptId: receipt.receipt_id,
+        organizationIds: soleOrganizationIds
+      }, {
+        attempts: 5,
+        backoff: { type: 'exponential', delay: 10000 }
+      });
+    } catch (error) {
+      await updateDeletionReceipt(receipt.receipt_id, { status: 'failed', error: error.message });
+      throw error;
+    }
+
+    return res.status(202).json({
+      message: 'Account deactivated. Your data is being deleted.',
+      receiptId: receipt.receipt_id,
+      status: receipt.status,
+      requestedAt: receipt.requested_at,
+      receiptUrl: `/auth/account/deletion-receipts/${receipt.receipt_id}`
+    });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    return res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// Public on purpose: the account no longer exists once deletion completes
+app.get('/auth/account/deletion-receipts/:receiptId', async (req, res) => {
+  try {
+    const receipt = await getDeletionReceipt(req.params.receiptId);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+    return res.json({
+      receiptId: receipt.receipt_id,
+      status: receipt.status,
+      requestedAt: receipt.requested_at,
+      completedAt: receipt.completed_at,
+      summary: receipt.summary,
+      error: receipt.error
+    });
+  } catch (error) {
+    console.error('Error fetching deletion receipt:', error);
+    return res.status(500).json({ error: 'Failed to fetch deletion receipt' });
+  }
+});
+
+app.get('/auth/profile', verifyUserToken, requirePermission('documents:read'), async (req, res) => {
+  try {
+    const userInfo = await getUserById(req.userId);
+    const documents = await getWorkspaceDocuments(req.workspace);
+    const shipments = await getWorkspaceShipments(req.workspace);
+    const organizations = await getUserOrganizations(req.userId);
     return res.json({
       user: {
         userId: userInfo.user_id,
@@ -424,6 +795,13 @@ app.get('/auth/profile', verifyUserToken, async (req, res) => {
         createdAt: userInfo.created_at,
         lastAccessed: userInfo.last_accessed
       },
+      organizationId: req.workspace.organizationId,
+      role: req.workspace.role,
+      organizations: organizations.map(org => ({
+        organizationId: org.organization_id,
+        name: org.name,
+        role: org.role
+      })),
       documents: documents,
       documentCount: documents.length,
       shipmentsCount: shipments.length,
@@ -435,52 +813,305 @@ app.get('/auth/profile', verifyUserToken, async (req, res) => {
   }
 });
 
-// PDF upload with Cloudinary
-app.post('/upload/pdf', verifyUserToken, upload.single('pdf'), async (req, res) => {
+// Organization endpoints
+app.post('/orgs', verifyUserToken, requireUserSession, async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    const organization = await createOrganization({ name, createdBy: req.userId });
+    return res.status(201).json({
+      message: 'Organization created successfully',
+      organization: {
+        organizationId: organization.organization_id,
+        name: organization.name,
+        createdAt: organization.created_at
+      },
+      role: 'owner'
+    });
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    return res.status(500).json({ error: 'Failed to create organization' });
+  }
+});
+
+app.get('/orgs', verifyUserToken, requireUserSession, async (req, res) => {
+  try {
+    const organizations = await getUserOrganizations(req.userId);
+    return res.json({
+      organizations: organizations.map(org => ({
+        organizationId: org.organization_id,
+        name: org.name,
+        role: org.role,
+        joinedAt: org.joined_at
+      })),
+      count: organizations.length
+    });
+  } catch (error) {
+    console.error('Error listing organizations:', error);
+    return res.status(500).json({ error: 'Failed to list organizations' });
+  }
+});
+
+app.get('/orgs/:orgId', verifyUserToken, requirePermission('members:read'), async (req, res) => {
+  try {
+    const organization = await getOrganization(req.params.orgId);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    const members = await getOrganizationMembers(req.params.orgId);
+    return res.json({
+      organization: {
+        organizationId: organization.organization_id,
+        name: organization.name,
+        createdBy: organization.created_by,
+        createdAt: organization.created_at
+      },
+      role: req.workspace.role,
+      members: members.map(member => ({
+        userId: member.user_id,
+        name: member.users?.name,
+        email: member.users?.email,
+        role: member.role,
+        joinedAt: member.joined_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching organization:', error);
+    return res.status(500).json({ error: 'Failed to fetch organization' });
+  }
+});
+
+app.post('/orgs/:orgId/invitations', verifyUserToken, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const { email, userId, role = 'viewer' } = req.body;
+    if (!email && !userId) {
+      return res.status(400).json({ error: 'email or userId is required' });
+    }
+    if (!isValidRole(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+    if (!canManageRole(req.workspace.role, role)) {
+      return res.status(403).json({ error: `Cannot invite members as ${role}` });
+    }
+    if (userId && await getOrganizationMember(req.params.orgId, userId)) {
+      return res.status(409).json({ error: 'User is already a member' });
+    }
+
+    const { invitation, token } = await createInvitation({
+      organizationId: req.params.orgId,
+      email,
+      userId,
+      role,
+      invitedBy: req.userId
+    });
+
+    return res.status(201).json({
+      message: 'Invitation created',
+      invitationId: invitation.invitation_id,
+      role: invitation.role,
+      email: invitation.email,
+      userId: invitation.invited_user_id,
+      expiresAt: invitation.expires_at,
+      token
+    });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    return res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+app.get('/orgs/:orgId/invitations', verifyUserToken, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const invitations = await getPendingInvitations(req.params.orgId);
+    return res.json({
+      invitations: invitations.map(inv => ({
+        invitationId: inv.invitation_id,
+        email: inv.email,
+        userId: inv.invited_user_id,
+        role: inv.role,
+        invitedBy: inv.invited_by,
+        createdAt: inv.created_at,
+        expiresAt: inv.expires_at
+      })),
+      count: invitations.length
+    });
+  } catch (error) {
+    console.error('Error listing invitations:', error);
+    return res.status(500).json({ error: 'Failed to list invitations' });
+  }
+});
+
+app.delete('/orgs/:orgId/invitations/:invitationId', verifyUserToken, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const deleted = await deleteInvitation(req.params.orgId, req.params.invitationId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    return res.json({ message: 'Invitation revoked', invitationId: req.params.invitationId });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    return res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+app.post('/orgs/invitations/accept', verifyUserToken, requireUserSession, async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: 'token is required' });
+    }
+
+    const invitation = await getInvitationByToken(token);
+    if (!invitation || invitation.accepted_at || new Date(invitation.expires_at) < new Date()) {
+      return res.status(404).json({ error: 'Invitation not found or expired' });
+    }
+
+    const userInfo = await getUserById(req.userId);
+    const matchesUser = invitation.invited_user_id
+      ? invitation.invited_user_id === req.userId
+      : invitation.email === userInfo.email?.toLowerCase();
+    if (!matchesUser) {
+      return res.status(403).json({ error: 'This invitation was issued to a different user' });
+    }
+
+    if (await getOrganizationMember(invitation.organization_id, req.userId)) {
+      return res.status(409).json({ error: 'Already a member of this organization' });
+    }
+
+    await addOrganizationMember(invitation.organization_id, req.userId, invitation.role);
+    await markInvitationAccepted(invitation.invitation_id, req.userId);
+
+    return res.json({
+      message: 'Invitation accepted',
+      organizationId: invitation.organization_id,
+      role: invitation.role
+    });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    return res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+app.patch('/orgs/:orgId/members/:userId', verifyUserToken, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const { orgId, userId } = req.params;
+    const { role } = req.body;
+    if (!isValidRole(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
+    const member = await getOrganizationMember(orgId, userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (!canManageRole(req.workspace.role, member.role) || !canManageRole(req.workspace.role, role)) {
+      return res.status(403).json({ error: `Cannot change a ${member.role} to ${role}` });
+    }
+    if (member.role === 'owner' && role !== 'owner' && await countOrganizationOwners(orgId) <= 1) {
+      return res.status(409).json({ error: 'An organization must keep at least one owner' });
+    }
+
+    const updated = await updateOrganizationMemberRole(orgId, userId, role);
+    return res.json({
+      message: 'Member role updated',
+      userId: updated.user_id,
+      role: updated.role
+    });
+  } catch (error) {
+    console.error('Error updating member role:', error);
+    return res.status(500).json({ error: 'Failed to update member role' });
+  }
+});
+
+// Members with members:manage can remove others; anyone can leave
+app.delete('/orgs/:orgId/members/:userId', verifyUserToken, requirePermission('members:read'), async (req, res) => {
+  try {
+    const { orgId, userId } = req.params;
+    const isSelf = userId === req.userId;
+
+    const member = await getOrganizationMember(orgId, userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (!isSelf && (!hasPermission(req.workspace.role, 'members:manage') || !canManageRole(req.workspace.role, member.role))) {
+      return res.status(403).json({ error: 'Permission denied: members:manage required' });
+    }
+    if (member.role === 'owner' && await countOrganizationOwners(orgId) <= 1) {
+      return res.status(409).json({ error: 'An organization must keep at least one owner' });
+    }
+
+    await removeOrganizationMember(orgId, userId);
+    return res.json({
+      message: isSelf ? 'Left organization' : 'Member removed',
+      userId
+    });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    return res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Document upload
+const UPLOAD_STRATEGIES = ['user', 'organization', 'document', 'shared'];
+
+app.post('/upload/pdf', verifyUserToken, requirePermission('documents:write'), upload.single('pdf'), async (req, res) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ error: 'No PDF file uploaded' });
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const fileType = detectFileType(req.file.buffer, { mimetype: req.file.mimetype, filename: req.file.originalname });
+    if (!fileType) {
+      return res.status(400).json({ error: 'File content does not match a supported file type' });
     }
 
     const userId = req.userId;
+    const { organizationId } = req.workspace;
     const documentId = crypto.randomBytes(16).toString('hex');
-    const strategy = req.body.strategy || 'user';
-    
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadToCloudinary(req.file.buffer, req.file.originalname);
-    
-    const cloudinaryUrl = cloudinaryResult.secure_url;
-    const cloudinaryPublicId = cloudinaryResult.public_id;
-    
-    let collectionName;
-    switch (strategy) {
-      case 'document':
-        collectionName = `doc_${documentId}`;
-        break;
-      case 'shared':
-        collectionName = process.env.QDRANT_COLLECTION || 'shared_documents';
-        break;
-      case 'user':
-      default:
-        collectionName = `user_${userId}`;
-        break;
+    const jobId = crypto.randomUUID();
+    let strategy = req.body.strategy || 'user';
+    if (!UPLOAD_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ error: `strategy must be one of: ${UPLOAD_STRATEGIES.join(', ')}` });
+    }
+    if (strategy === 'shared' && !canShareDocuments(req, req.workspace)) {
+      return res.status(403).json({ error: 'Permission denied: documents:share required' });
+    }
+    if (strategy === 'user' && organizationId) {
+      strategy = 'organization';
+    }
+    if (strategy === 'organization' && !organizationId) {
+      return res.status(400).json({ error: 'The organization strategy requires an organization workspace' });
     }
+    
+    const { storageBackend, storageKey } = await storeUpload('documents', documentId, {
+      buffer: req.file.buffer,
+      filename: req.file.originalname,
+      contentType: req.file.mimetype
+    });
+
+    const collectionName = getCollectionName(strategy, { userId, organizationId, documentId });
 
     await createDocument({ 
       documentId, 
       userId, 
+      organizationId,
       filename: req.file.originalname, 
       collectionName, 
       strategy,
-      cloudinaryUrl,
-      cloudinaryPublicId
+      storageBackend,
+      storageKey,
+      jobId
     });
 
     await queue.add('file-ready', {
       filename: req.file.originalname,
-      cloudinaryUrl,
-      cloudinaryPublicId,
+      mimetype: req.file.mimetype,
+      storageBackend,
+      storageKey,
       userId,
+      organizationId,
       documentId,
       collectionName,
       strategy,
@@ -488,102 +1119,405 @@ app.post('/upload/pdf', verifyUserToken, upload.single('pdf'), async (req, res)
         uploadedBy: userId,
         uploadedAt: new Date().toISOString(),
       }
-    });
+    }, { jobId });
 
     return res.json({ 
-      message: 'PDF uploaded to Cloudinary and queued for processing',
+      message: 'File uploaded and queued for processing',
       filename: req.file.originalname,
+      fileType,
       documentId,
+      jobId,
       userId,
+      organizationId,
       collectionName,
-      strategy,
-      cloudinaryUrl
+      strategy
     });
   } catch (error) {
-    console.error('Error uploading PDF:', error);
-    return res.status(500).json({ error: 'Failed to upload PDF' });
+    console.error('Error uploading file:', error);
+    return res.status(500).json({ error: 'Failed to upload file' });
   }
 });
 
-// Invoice upload during agent conversation with Cloudinary
-app.post('/agent/shipping/upload-invoice', verifyUserToken, upload.single('invoice'), async (req, res) => {
+// Document lifecycle endpoints
+function formatDocument(doc) {
+  return {
+    documentId: doc.document_id,
+    filename: doc.filename,
+    userId: doc.user_id,
+    organizationId: doc.organization_id,
+    strategy: doc.strategy,
+    collectionName: doc.collection_name,
+    documentType: doc.document_type,
+    language: doc.language,
+    summary: doc.summary,
+    topics: doc.topics,
+    totalPages: doc.total_pages,
+    totalChunks: doc.total_chunks,
+    fileSize: doc.file_size,
+    ocrConfidence: doc.ocr_confidence,
+    ocrPages: doc.ocr_pages,
+    processed: Boolean(doc.processed),
+    uploadedAt: doc.uploaded_at,
+    processedAt: doc.processed_at,
+    jobId: doc.job_id,
+    processingError: doc.processing_error
+  };
+}
+
+app.get('/documents', verifyUserToken, requirePermission('documents:read'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const processed = req.query.processed === undefined
+      ? undefined
+      : req.query.processed === 'true';
+
+    const { documents, total } = await listWorkspaceDocuments(req.workspace, {
+      page,
+      limit,
+      documentType: req.query.type,
+      processed
+    });
+
+    return res.json({
+      documents: documents.map(formatDocument),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error listing documents:', error);
+    return res.status(500).json({ error: 'Failed to list documents' });
+  }
+});
+
+app.get('/documents/:id', verifyUserToken, requirePermission('documents:read'), async (req, res) => {
+  try {
+    const doc = await getOwnedDocument(req.params.id, req.workspace);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    return res.json({
+      ...formatDocument(doc),
+      keyEntities: doc.key_entities,
+      sentiment: doc.sentiment,
+      confidence: doc.confidence
+    });
+  } catch (error) {
+    console.error('Error fetching document:', error);
+    return res.status(500).json({ error: 'Failed to fetch document' });
+  }
+});
+
+// A short-lived download link for the original file; rows only keep a
+// storage key, so links are signed on request
+async function sendFileLink(res, row) {
+  const file = getStoredFile(row);
+  if (!file) {
+    return res.status(404).json({ error: 'The original file is no longer stored' });
+  }
+  return res.json({
+    filename: row.filename,
+    url: await getStoredFileUrl(file),
+    expiresIn: SIGNED_URL_TTL_SECONDS
+  });
+}
+
+app.get('/documents/:id/file', verifyUserToken, requirePermission('documents:read'), async (req, res) => {
+  try {
+    const doc = await getOwnedDocument(req.params.id, req.workspace);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    return await sendFileLink(res, doc);
+  } catch (error) {
+    console.error('Error creating document link:', error);
+    return res.status(500).json({ error: 'Failed to create download link' });
+  }
+});
+
+// Signed links of the local storage backend; the signature is the
+// authorization, so browsers can open them directly
+app.get('/files/*', async (req, res) => {
+  const key = req.params[0];
+  if (!verifyFileSignature(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ error: 'Invalid or expired link' });
+  }
+  let stream;
+  try {
+    stream = await getStorage('local').getStream(key);
+  } catch (error) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  // A read error after the headers went out can only cut the response short;
+  // a client that goes away releases the file
+  stream.on('error', (error) => {
+    console.error(`Error streaming file ${key}:`, error.message);
+    if (res.headersSent) res.destroy();
+    else res.status(500).json({ error: 'Failed to read file' });
+  });
+  res.on('close', () => stream.destroy());
+  res.attachment(key.split('/').pop());
+  stream.pipe(res);
+});
+
+app.get('/documents/:id/status', verifyUserToken, requirePermission('documents:read'), async (req, res) => {
+  try {
+    const doc = await getOwnedDocument(req.params.id, req.workspace);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const job = await getJobStatus(queue, doc.job_id);
+    return res.json({
+      documentId: doc.document_id,
+      processed: Boolean(doc.processed),
+      processedAt: doc.processed_at,
+      ...(job || {
+        jobId: doc.job_id,
+        state: getStoredStatus(doc, doc.processing_error),
+        failedReason: doc.processing_error || null
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching document status:', error);
+    return res.status(500).json({ error: 'Failed to fetch document status' });
+  }
+});
+
+app.delete('/documents/:id', verifyUserToken, requirePermission('documents:write'), async (req, res) => {
+  try {
+    const doc = await getOwnedDocument(req.params.id, req.workspace);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    // Remove derived data first so a failure leaves the row in place for a retry
+    await deleteDocumentVectors(doc);
+    const file = getStoredFile(doc);
+    if (file) {
+      await deleteStoredFile(file);
+    }
+    await deleteDocumentRecord(doc.document_id);
+
+    return res.json({
+      success: true,
+      message: 'Document deleted',
+      documentId: doc.document_id
+    });
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    return res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+app.post('/documents/:id/reprocess', verifyUserToken, requirePermission('documents:write'), async (req, res) => {
+  try {
+    const doc = await getOwnedDocument(req.params.id, req.workspace);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const file = getStoredFile(doc);
+    if (!file) {
+      return res.status(409).json({ error: 'The original file of this document is no longer stored' });
+    }
+
+    const jobId = crypto.randomUUID();
+    await markDocumentForReprocessing(doc.document_id, jobId);
+    await queue.add('file-ready', {
+      filename: doc.filename,
+      storageBackend: file.backend,
+      storageKey: file.key,
+      userId: doc.user_id,
+      organizationId: doc.organization_id,
+      documentId: doc.document_id,
+      collectionName: doc.collection_name,
+      strategy: doc.strategy,
+      metadata: {
+        uploadedBy: doc.user_id,
+        uploadedAt: doc.uploaded_at,
+        reprocessedBy: req.userId,
+        reprocessedAt: new Date().toISOString()
+      }
+    }, { jobId });
+
+    return res.status(202).json({
+      success: true,
+      message: 'Document queued for reprocessing',
+      documentId: doc.document_id,
+      jobId
+    });
+  } catch (error) {
+    console.error('Error reprocessing document:', error);
+    return res.status(500).json({ error: 'Failed to reprocess document' });
+  }
+});
+
+// Rebuild the workspace's collections (or one of them) with the current
+// embedding model and chunking; searches keep working until each one switches.
+// Every chunk is embedded again, so only owners and admins can start one, and
+// never with an API key.
+app.post('/reindex', verifyUserToken, requirePermission('vectors:reindex'), async (req, res) => {
+  try {
+    const { collection } = req.body || {};
+    let targets = await getReindexTargets(req.workspace);
+    if (collection) {
+      targets = targets.filter(target => target.collectionName === collection);
+      if (targets.length === 0) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
+    }
+    if (targets.length === 0) {
+      return res.status(400).json({ error: 'No processed documents to re-index' });
+    }
+
+    const jobId = crypto.randomUUID();
+    await reindexQueue.add('reindex', {
+      userId: req.userId,
+      organizationId: req.workspace.organizationId,
+      collection: collection || null
+    }, { jobId });
+
+    return res.status(202).json({
+      success: true,
+      message: `Re-indexing ${targets.length} collection(s)`,
+      jobId,
+      collections: targets.map(target => target.collectionName),
+      statusUrl: `/reindex/${jobId}`
+    });
+  } catch (error) {
+    console.error('Error starting re-index:', error);
+    return res.status(500).json({ error: 'Failed to start re-index' });
+  }
+});
+
+app.get('/reindex/:jobId', verifyUserToken, requirePermission('documents:read'), async (req, res) => {
+  try {
+    const job = await reindexQueue.getJob(req.params.jobId);
+    if (!job || !isOwnedByWorkspace(job.data, req.workspace)) {
+      return res.status(404).json({ error: 'Re-index job not found' });
+    }
+
+    const runs = await getJobReindexRuns(job.id);
+    return res.json({
+      ...(await getJobStatus(reindexQueue, job.id)),
+      result: job.returnvalue || null,
+      runs: runs.map(run => ({
+        runId: run.run_id,
+        collectionName: run.collection_name,
+        status: run.status,
+        itemsDone: run.items_done,
+        itemsTotal: run.items_total,
+        error: run.error,
+        startedAt: run.started_at,
+        completedAt: run.completed_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching re-index status:', error);
+    return res.status(500).json({ error: 'Failed to fetch re-index status' });
+  }
+});
+
+// Shipping conversations share the checkpointer with document chat, so the
+// thread's phase tells them apart
+async function getShippingThread(threadId, workspace) {
+  const snapshot = await getOwnedThread(checkpointer, threadId, workspace);
+  return snapshot && !isDocumentChatThread(snapshot.channel_values) ? snapshot : null;
+}
+
+// Invoice upload during agent conversation
+app.post('/agent/shipping/upload-invoice', verifyUserToken, requirePermission('documents:write'), upload.single('invoice'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No invoice file uploaded' });
     }
+    if (!detectFileType(req.file.buffer, { mimetype: req.file.mimetype, filename: req.file.originalname })) {
+      return res.status(400).json({ error: 'File content does not match a supported file type' });
+    }
 
-    const { threadId, bookingId } = req.body;
-    
-    if (!threadId) {
-      return res.status(400).json({ error: 'threadId is required' });
+    // The invoice belongs to the workspace; a conversation and a booking are
+    // optional links, each checked against the workspace when given
+    const threadId = req.body.threadId || null;
+    const bookingId = req.body.bookingId || null;
+
+    const snapshot = threadId ? await getShippingThread(threadId, req.workspace) : null;
+    if (threadId && !snapshot) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (snapshot && !shippingAgent) {
+      return res.status(503).json({ error: 'Agent not initialized' });
+    }
+    if (bookingId && !(await getOwnedBooking(bookingId, req.workspace))) {
+      return res.status(404).json({ error: 'Booking not found' });
     }
 
     const userId = req.userId;
     const invoiceId = crypto.randomBytes(16).toString('hex');
+    const jobId = crypto.randomUUID();
     
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadToCloudinary(req.file.buffer, req.file.originalname);
-    
-    const cloudinaryUrl = cloudinaryResult.secure_url;
-    const cloudinaryPublicId = cloudinaryResult.public_id;
+    const { storageBackend, storageKey } = await storeUpload('invoices', invoiceId, {
+      buffer: req.file.buffer,
+      filename: req.file.originalname,
+      contentType: req.file.mimetype
+    });
     const fileSize = req.file.size;
 
     const invoiceRecord = await createInvoiceRecord({
       invoiceId,
       userId,
+      organizationId: req.workspace.organizationId,
       sessionId: threadId,
-      bookingId: bookingId || null,
+      bookingId,
       filename: req.file.originalname,
-      cloudinaryUrl,
-      cloudinaryPublicId,
-      fileSize
+      storageBackend,
+      storageKey,
+      fileSize,
+      jobId
     });
 
     await invoiceQueue.add('process-invoice', {
       invoiceId,
       filename: req.file.originalname,
-      cloudinaryUrl,
-      cloudinaryPublicId,
+      mimetype: req.file.mimetype,
+      storageBackend,
+      storageKey,
       userId,
+      organizationId: req.workspace.organizationId,
       sessionId: threadId,
-      bookingId: bookingId || null,
+      bookingId,
       uploadedAt: new Date().toISOString()
-    });
-
-    if (shippingAgent) {
-      const config = { configurable: { thread_id: threadId } };
-      const snapshot = await checkpointer.get(config);
-      
-      if (snapshot) {
-        const currentState = snapshot.channel_values;
-        
-        if (!currentState.shipmentData.invoices) {
-          currentState.shipmentData.invoices = [];
-        }
-        
-        currentState.shipmentData.invoices.push({
-          invoiceId,
-          filename: req.file.originalname,
-          uploadedAt: new Date().toISOString(),
-          processed: false
-        });
-
-        currentState.messages.push({
-          role: 'system',
-          content: `Invoice uploaded: ${req.file.originalname}`,
-          timestamp: new Date().toISOString()
-        });
-      }
+    }, { jobId });
+
+    if (snapshot) {
+      const { shipmentData = {}, messages = [] } = snapshot.channel_values;
+      const uploadedAt = new Date().toISOString();
+      await shippingAgent.updateState({ configurable: { thread_id: threadId } }, {
+        shipmentData: {
+          ...shipmentData,
+          invoices: [
+            ...(shipmentData.invoices || []),
+            { invoiceId, filename: req.file.originalname, uploadedAt, processed: false }
+          ]
+        },
+        messages: [
+          ...messages,
+          { role: 'system', content: `Invoice uploaded: ${req.file.originalname}`, timestamp: uploadedAt }
+        ]
+      });
     }
 
     return res.json({
       success: true,
-      message: 'Invoice uploaded to Cloudinary and queued for AI analysis',
+      message: 'Invoice uploaded and queued for AI analysis',
       invoiceId,
+      jobId,
       filename: req.file.originalname,
       fileSize,
       sessionId: threadId,
-      cloudinaryUrl,
+      bookingId,
       processing: 'AI analysis in progress'
     });
 
@@ -593,11 +1527,54 @@ app.post('/agent/shipping/upload-invoice', verifyUserToken, upload.single('invoi
   }
 });
 
+app.get('/invoices/:id/status', verifyUserToken, requirePermission('documents:read'), async (req, res) => {
+  try {
+    const invoice = await getOwnedInvoice(req.params.id, req.workspace);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    // The invoice worker records its last error inside extracted_data
+    const storedError = invoice.extracted_data?.error || null;
+    const job = await getJobStatus(invoiceQueue, invoice.job_id);
+    return res.json({
+      invoiceId: invoice.invoice_id,
+      processed: Boolean(invoice.processed),
+      processedAt: invoice.processed_at,
+      ...(job || {
+        jobId: invoice.job_id,
+        state: getStoredStatus(invoice, storedError),
+        failedReason: storedError
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching invoice status:', error);
+    return res.status(500).json({ error: 'Failed to fetch invoice status' });
+  }
+});
+
+app.get('/invoices/:id/file', verifyUserToken, requirePermission('documents:read'), async (req, res) => {
+  try {
+    const invoice = await getOwnedInvoice(req.params.id, req.workspace);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    return await sendFileLink(res, invoice);
+  } catch (error) {
+    console.error('Error creating invoice link:', error);
+    return res.status(500).json({ error: 'Failed to create download link' });
+  }
+});
+
 // Get invoices for a session
-app.get('/agent/shipping/invoices/:threadId', verifyUserToken, async (req, res) => {
+app.get('/agent/shipping/invoices/:threadId', verifyUserToken, requirePermission('shipments:read'), async (req, res) => {
   try {
     const { threadId } = req.params;
-    const invoices = await getSessionInvoices(threadId);
+    const invoices = await getSessionInvoices(threadId, req.workspace);
+    // Invoices can outlive their thread, so only an empty result needs the thread check
+    if (invoices.length === 0 && !(await getShippingThread(threadId, req.workspace))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
     
     return res.json({
       success: true,
@@ -608,8 +1585,7 @@ app.get('/agent/shipping/invoices/:threadId', verifyUserToken, async (req, res)
         uploadedAt: inv.uploaded_at,
         processed: inv.processed,
         extractedData: inv.extracted_data,
-        documentType: inv.document_type,
-        cloudinaryUrl: inv.cloudinary_url
+        documentType: inv.document_type
       })),
       count: invoices.length
     });
@@ -619,99 +1595,517 @@ app.get('/agent/shipping/invoices/:threadId', verifyUserToken, async (req, res)
   }
 });
 
-// Document chat endpoint
-app.get('/chat/documents', verifyUserToken, async (req, res) => {
+// Real-time processing events (Server-Sent Events)
+// EventSource cannot set headers, so browsers pass the access token as ?token
+// and the organization as ?orgId. The stream is closed when the access token
+// expires; the client reconnects with a refreshed one. It is also closed when
+// the session, API key or membership it was opened with is revoked, which is
+// checked every EVENTS_AUTH_CHECK_MS.
+const EVENTS_HEARTBEAT_MS = 25000;
+const EVENTS_AUTH_CHECK_MS = 30000;
+
+// Switch the response to an SSE stream and return a function that writes one
+// named event. Shared by /events and the streaming chat endpoints.
+function openEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let eventId = 0;
+  return (event, data) => {
+    if (res.writableEnded) return;
+    eventId++;
+    res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+// Aborts when the client goes away before the response has been completed
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+app.get('/events', verifyUserToken, requirePermission('documents:read'), (req, res) => {
+  const send = openEventStream(res);
+  const client = {
+    workspace: req.workspace,
+    send(event) {
+      send(event.type, { ...event.data, timestamp: event.timestamp });
+    }
+  };
+
+  res.write(`retry: 5000\n\n`);
+  send('connected', {
+    userId: req.workspace.userId,
+    organizationId: req.workspace.organizationId,
+    timestamp: new Date().toISOString()
+  });
+  eventClients.add(client);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENTS_HEARTBEAT_MS);
+  const expiry = req.tokenExpiresAt
+    ? setTimeout(() => res.end(), Math.max(req.tokenExpiresAt * 1000 - Date.now(), 0))
+    : null;
+  const authCheck = setInterval(async () => {
+    try {
+      if (!(await isStillAuthorized(req, 'documents:read'))) {
+        eventClients.delete(client);
+        send('revoked', { timestamp: new Date().toISOString() });
+        res.end();
+      }
+    } catch (error) {
+      console.error('Error re-checking event stream access:', error);
+    }
+  }, EVENTS_AUTH_CHECK_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearInterval(authCheck);
+    if (expiry) clearTimeout(expiry);
+    eventClients.delete(client);
+  });
+});
+
+// Document chat endpoints
+const SEARCH_STRATEGIES = ['user', 'organization', 'document', 'shared'];
+
+// Accepts both ?ids=a,b and ?ids=a&ids=b
+function parseList(value) {
+  if (value === undefined) return undefined;
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function parseDateParam(value) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Read retrieval options from the query string:
+ *   strategies (or the older single strategy) - no value means every strategy
+ *   documentIds, types, languages, topics, entities - comma-separated lists
+ *   processedFrom, processedTo - bounds on when the document was processed
+ *   mode - hybrid (default), dense or sparse
+ *   k - number of chunks to answer from (default 5)
+ *   rerank - false to skip the reranking stage
+ * Returns { error } for invalid input.
+ */
+function parseRetrievalOptions(query) {
+  const strategies = parseList(query.strategies ?? query.strategy) || SEARCH_STRATEGIES;
+  if (strategies.length === 0 || !strategies.every(strategy => SEARCH_STRATEGIES.includes(strategy))) {
+    return { error: `strategies must be a comma-separated list of: ${SEARCH_STRATEGIES.join(', ')}` };
+  }
+
+  const processedFrom = parseDateParam(query.processedFrom);
+  const processedTo = parseDateParam(query.processedTo);
+  if (processedFrom === null || processedTo === null) {
+    return { error: 'processedFrom and processedTo must be valid dates' };
+  }
+  if (processedFrom && processedTo && processedFrom > processedTo) {
+    return { error: 'processedFrom must not be after processedTo' };
+  }
+
+  const mode = query.mode || 'hybrid';
+  if (!RETRIEVAL_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${RETRIEVAL_MODES.join(', ')}` };
+  }
+
+  const k = query.k === undefined ? 5 : Number(query.k);
+  if (!Number.isInteger(k) || k < 1 || k > MAX_K) {
+    return { error: `k must be an integer between 1 and ${MAX_K}` };
+  }
+
+  return {
+    strategies,
+    mode,
+    k,
+    rerank: query.rerank !== 'false',
+    filters: {
+      documentIds: parseList(query.documentIds),
+      documentTypes: parseList(query.types),
+      languages: parseList(query.languages),
+      topics: parseList(query.topics),
+      entities: parseList(query.entities),
+      processedFrom,
+      processedTo
+    }
+  };
+}
+
+/**
+ * Collections holding the workspace's documents for the given strategies,
+ * plus the shared knowledge base when 'shared' is selected. 'user' and
+ * 'organization' both mean the workspace's own collection.
+ */
+async function getSearchCollections(workspace, strategies, documentIds) {
+  const documents = await getWorkspaceDocumentCollections(workspace, documentIds);
+
+  const wanted = new Set(strategies);
+  if (wanted.has('user') || wanted.has('organization')) {
+    wanted.add('user').add('organization');
+  }
+
+  const collections = new Set(
+    documents
+      .filter(doc => wanted.has(doc.strategy))
+      .map(doc => doc.collection_name)
+  );
+  if (wanted.has('shared')) {
+    collections.add(SHARED_COLLECTION);
+  }
+  return [...collections];
+}
+
+// Returns the chunks relevant to the query with their scores, or a message
+// explaining why there are none
+async function retrieveDocumentContext(workspace, query, { strategies, filters, mode, k, rerank }) {
+  const collections = await getSearchCollections(workspace, strategies, filters.documentIds);
+  if (collections.length === 0) {
+    return {
+      results: [],
+      emptyMessage: filters.documentIds?.length
+        ? "None of the requested documents were found."
+        : "No documents uploaded yet. Upload a file to chat with your documents."
+    };
+  }
+
+  const results = await retrieve(collections, query, { mode, k, rerank, filter: buildPayloadFilter(filters) });
+  if (results.length === 0) {
+    return { results, emptyMessage: "No relevant information found in your documents." };
+  }
+  return { results, emptyMessage: null };
+}
+
+/**
+ * Resolve the conversation for a document chat request: the thread named by
+ * ?threadId, or a new one. Returns { notFound } when the thread does not
+ * exist or belongs to someone else.
+ */
+async function resolveDocumentChatThread(req) {
+  const requestedThreadId = req.query.threadId;
+  if (!requestedThreadId) {
+    return { threadId: createDocumentChatThreadId() };
+  }
+
+  const thread = await getDocumentChatThread(requestedThreadId, req.workspace);
+  const snapshot = thread ? await checkpointer.get({ configurable: { thread_id: requestedThreadId } }) : null;
+  if (!snapshot || !isDocumentChatThread(snapshot.channel_values)) {
+    return { notFound: true };
+  }
+  return { threadId: requestedThreadId };
+}
+
+// The thread index only serves listing, so failing to update it must not
+// fail the answer
+async function recordDocumentChatTurn(threadId, workspace, question, result) {
+  try {
+    await recordDocumentChatThread({
+      threadId,
+      workspace,
+      question,
+      messageCount: getChatHistory(result.messages).length
+    });
+  } catch (error) {
+    console.error('Failed to record document chat thread:', error);
+  }
+}
+
+function formatDocumentChatResult(threadId, question, result) {
+  return {
+    message: result.output,
+    threadId,
+    query: question,
+    searchQuery: result.searchQuery,
+    docsFound: result.relevantDocuments.length,
+    sources: result.sources,
+    grounded: result.relevantDocuments.length > 0 && result.grounded === true,
+    mode: 'document_chat'
+  };
+}
+
+function formatDocumentChatThread(thread) {
+  return {
+    threadId: thread.thread_id,
+    title: thread.title,
+    organizationId: thread.organization_id,
+    messageCount: thread.message_count,
+    createdAt: thread.created_at,
+    updatedAt: thread.updated_at
+  };
+}
+
+// Pass ?threadId= to continue a conversation; without it a new one is started
+app.get('/chat/documents', verifyUserToken, requirePermission('chat:read'), async (req, res) => {
   try {
     const userQuery = req.query.message;
-    const strategy = req.query.strategy || 'user';
+    const retrieval = parseRetrievalOptions(req.query);
     
     if (!userQuery) {
       return res.status(400).json({ error: 'Message query parameter is required' });
     }
+    if (retrieval.error) {
+      return res.status(400).json({ error: retrieval.error });
+    }
+    if (!documentAgent) {
+      return res.status(503).json({ error: 'Agent not ready' });
+    }
 
-    const userId = req.userId;
-    const userDocs = await getUserDocuments(userId);
-    
-    if (userDocs.length === 0) {
-      return res.json({
-        message: "No documents uploaded yet. Upload a PDF to chat with your documents.",
-        docsFound: 0
-      });
+    const { threadId, notFound } = await resolveDocumentChatThread(req);
+    if (notFound) {
+      return res.status(404).json({ error: 'Conversation not found or expired' });
     }
 
-    const embeddings = new OpenAIEmbeddings({
-      model: 'text-embedding-3-small',
-      apiKey: process.env.OPENAI_API_KEY,
+    const config = { configurable: { thread_id: threadId } };
+    const result = await documentAgent.invoke(
+      { question: userQuery, retrieval, workspace: req.workspace, threadId },
+      config
+    );
+    await recordDocumentChatTurn(threadId, req.workspace, userQuery, result);
+
+    return res.json({
+      ...formatDocumentChatResult(threadId, userQuery, result),
+      strategies: retrieval.strategies,
+      retrievalMode: retrieval.mode,
+      userId: req.userId
     });
 
-    let relevantDocs = [];
-    if (strategy === 'user') {
-      const collectionName = `user_${userId}`;
-      try {
-        const vectorStore = await QdrantVectorStore.fromExistingCollection(embeddings, {
-          url: process.env.QDRANT_URL,
-          apiKey: process.env.QDRANT_API_KEY,
-          collectionName,
-          checkCompatibility: false,
-        });
-        const retriever = vectorStore.asRetriever({ k: 5 });
-        relevantDocs = await retriever.invoke(userQuery);
-      } catch (error) {
-        console.log(`Collection ${collectionName} not found`);
-      }
+  } catch (error) {
+    console.error('Document chat error:', error);
+    return res.status(500).json({ error: 'Failed to process document chat' });
+  }
+});
+
+// Streams the answer as `token` events followed by a `done` event carrying the
+// sources. A `restart` event means the answer failed the groundedness check
+// and is being regenerated: discard the tokens received so far. `done.message`
+// is always the final answer.
+app.get('/chat/documents/stream', verifyUserToken, requirePermission('chat:read'), async (req, res) => {
+  const userQuery = req.query.message;
+  const retrieval = parseRetrievalOptions(req.query);
+
+  if (!userQuery) {
+    return res.status(400).json({ error: 'Message query parameter is required' });
+  }
+  if (retrieval.error) {
+    return res.status(400).json({ error: retrieval.error });
+  }
+  if (!documentAgent) {
+    return res.status(503).json({ error: 'Agent not ready' });
+  }
+
+  try {
+    const { threadId, notFound } = await resolveDocumentChatThread(req);
+    if (notFound) {
+      return res.status(404).json({ error: 'Conversation not found or expired' });
     }
 
-    if (relevantDocs.length === 0) {
-      return res.json({
-        message: "No relevant information found in your documents.",
-        docsFound: 0
-      });
+    const signal = abortOnDisconnect(res);
+    const send = openEventStream(res);
+
+    try {
+      const config = { configurable: { thread_id: threadId } };
+      const result = await documentAgent.stream(
+        { question: userQuery, retrieval, workspace: req.workspace, threadId },
+        config,
+        {
+          signal,
+          onToken: (token) => send('token', { token }),
+          onRestart: () => send('restart', {})
+        }
+      );
+      await recordDocumentChatTurn(threadId, req.workspace, userQuery, result);
+
+      send('done', formatDocumentChatResult(threadId, userQuery, result));
+    } catch (error) {
+      if (signal.aborted) return;
+      console.error('Document chat stream error:', error);
+      send('error', { error: 'Failed to process document chat' });
     }
+    return res.end();
 
-    if (!shippingAgent) {
-      return res.status(503).json({ error: 'Agent not ready' });
+  } catch (error) {
+    console.error('Document chat stream error:', error);
+    return res.status(500).json({ error: 'Failed to process document chat' });
+  }
+});
+
+app.get('/chat/documents/threads', verifyUserToken, requirePermission('chat:read'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { threads, total } = await listDocumentChatThreads(req.workspace, { page, limit });
+
+    return res.json({
+      threads: threads.map(formatDocumentChatThread),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    return res.status(500).json({ error: 'Failed to list conversations' });
+  }
+});
+
+app.get('/chat/documents/threads/:threadId', verifyUserToken, requirePermission('chat:read'), async (req, res) => {
+  try {
+    const thread = await getDocumentChatThread(req.params.threadId, req.workspace);
+    if (!thread) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
 
-    const threadId = `doc_chat_${Date.now()}`;
-    const context = relevantDocs.map((doc, i) => 
-      `Document ${i + 1}:\n${doc.pageContent}`
-    ).join('\n\n');
+    const snapshot = await checkpointer.get({ configurable: { thread_id: thread.thread_id } });
+    return res.json({
+      ...formatDocumentChatThread(thread),
+      expired: !snapshot,
+      messages: getChatHistory(snapshot?.channel_values?.messages)
+    });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    return res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
 
-    const initialState = {
-      messages: [{
-        role: 'user',
-        content: `Based on these documents, answer: ${userQuery}\n\nContext:\n${context}`,
-        timestamp: new Date().toISOString()
-      }],
-      userId,
-      threadId,
-      shipmentData: {},
-      currentPhase: 'document_analysis',
-      completed: false,
-      quote: null,
-      output: null,
-      nextAction: 'respond'
-    };
+app.delete('/chat/documents/threads/:threadId', verifyUserToken, requirePermission('chat:read'), async (req, res) => {
+  try {
+    const thread = await getDocumentChatThread(req.params.threadId, req.workspace);
+    if (!thread) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
 
-    const config = { configurable: { thread_id: threadId } };
-    const result = await shippingAgent.invoke(initialState, config);
+    await checkpointer.deleteThread(thread.thread_id);
+    await deleteDocumentChatThread(thread.thread_id);
 
     return res.json({
-      message: result.output,
-      query: userQuery,
-      docsFound: relevantDocs.length,
-      userId,
-      mode: 'document_chat'
+      success: true,
+      message: 'Conversation deleted',
+      threadId: thread.thread_id
+    });
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    return res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+});
+
+// ========== SEARCH ==========
+// Ranked chunks straight from the vector store, without a model call: for
+// search boxes and for feeding other systems. Pages are cut from the top
+// page * k hits of a fresh search, so deep pages cost more than shallow ones.
+
+const SEARCH_SOURCES = ['documents', 'invoices'];
+const MAX_SEARCH_RESULTS = 100;
+
+/**
+ * Invoice collections holding the workspace's invoices. They are named after
+ * the uploader, who may have uploaded both personal and organization invoices
+ * into the same collection.
+ */
+async function getInvoiceCollections(workspace) {
+  const uploaders = await getWorkspaceInvoiceUploaders(workspace);
+  return uploaders.map(userId => getInvoiceCollectionName(userId));
+}
+
+// Keeps invoice hits to the workspace; points without an organizationId are
+// personal
+function getInvoiceWorkspaceCondition(workspace) {
+  return workspace.organizationId
+    ? { key: 'metadata.organizationId', match: { value: workspace.organizationId } }
+    : { must: [
+        { key: 'metadata.userId', match: { value: workspace.userId } },
+        { is_empty: { key: 'metadata.organizationId' } }
+      ] };
+}
+
+async function searchWorkspace(workspace, query, { sources, strategies, filters, mode, depth }) {
+  const filter = buildPayloadFilter(filters);
+  const searches = [];
+
+  if (sources.includes('documents')) {
+    const collections = await getSearchCollections(workspace, strategies, filters.documentIds);
+    if (collections.length > 0) {
+      searches.push(retrieve(collections, query, { mode, k: depth, filter }));
+    }
+  }
+
+  if (sources.includes('invoices')) {
+    const collections = await getInvoiceCollections(workspace);
+    if (collections.length > 0) {
+      const invoiceFilter = { must: [...(filter?.must || []), getInvoiceWorkspaceCondition(workspace)] };
+      searches.push(retrieve(collections, query, { mode, k: depth, filter: invoiceFilter }));
+    }
+  }
+
+  const results = await Promise.all(searches);
+  return results.flat().sort((a, b) => b.score - a.score).slice(0, depth);
+}
+
+/**
+ * GET /search?q=...
+ *   sources - documents, invoices or both (default)
+ *   page - 1-based page of k results
+ *   plus the retrieval options of /chat/documents, except rerank
+ */
+app.get('/search', verifyUserToken, requirePermission('documents:read'), async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      return res.status(400).json({ error: 'q query parameter is required' });
+    }
+
+    const retrieval = parseRetrievalOptions(req.query);
+    if (retrieval.error) {
+      return res.status(400).json({ error: retrieval.error });
+    }
+
+    const sources = parseList(req.query.sources) || SEARCH_SOURCES;
+    if (sources.length === 0 || !sources.every(source => SEARCH_SOURCES.includes(source))) {
+      return res.status(400).json({ error: `sources must be a comma-separated list of: ${SEARCH_SOURCES.join(', ')}` });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const { k } = retrieval;
+    if (page * k > MAX_SEARCH_RESULTS) {
+      return res.status(400).json({ error: `Only the first ${MAX_SEARCH_RESULTS} results can be paged through` });
+    }
+
+    // One extra hit tells whether there is a next page
+    const hits = await searchWorkspace(req.workspace, query, {
+      ...retrieval,
+      sources,
+      depth: page * k + 1
     });
+    const offset = (page - 1) * k;
 
+    return res.json({
+      query,
+      results: formatSearchResults(hits.slice(offset, offset + k), query, offset),
+      page,
+      limit: k,
+      hasMore: hits.length > offset + k,
+      sources,
+      strategies: retrieval.strategies,
+      retrievalMode: retrieval.mode
+    });
   } catch (error) {
-    console.error('Document chat error:', error);
-    return res.status(500).json({ error: 'Failed to process document chat' });
+    console.error('Search error:', error);
+    return res.status(500).json({ error: 'Failed to search documents' });
   }
 });
 
 // Agent endpoints
-app.post('/agent/shipping/start', verifyUserToken, async (req, res) => {
+app.post('/agent/shipping/start', verifyUserToken, requirePermission('shipments:write'), async (req, res) => {
   try {
     if (!shippingAgent) {
       return res.status(503).json({ 
@@ -725,6 +2119,7 @@ app.post('/agent/shipping/start', verifyUserToken, async (req, res) => {
     const initialState = {
       messages: [],
       userId: req.userId,
+      organizationId: req.workspace.organizationId,
       threadId,
       shipmentData: {},
       currentPhase: 'greeting',
@@ -750,7 +2145,7 @@ app.post('/agent/shipping/start', verifyUserToken, async (req, res) => {
       features: {
         invoiceUpload: true,
         uploadEndpoint: '/agent/shipping/upload-invoice',
-        storage: 'Cloudinary'
+        storage: getDefaultBackend()
       }
     });
 
@@ -764,7 +2159,30 @@ app.post('/agent/shipping/start', verifyUserToken, async (req, res) => {
   }
 });
 
-app.post('/agent/shipping/message', verifyUserToken, async (req, res) => {
+// Persists a generated quote and shapes the agent's reply for the client
+async function finishAgentTurn(threadId, result, req) {
+  if (result.completed && result.quote) {
+    try {
+      await saveShippingQuote(threadId, result.quote, req.userId, req.workspace.organizationId);
+    } catch (error) {
+      console.error('Failed to save quote:', error);
+    }
+  }
+
+  return {
+    success: true,
+    threadId,
+    message: result.output,
+    currentPhase: result.currentPhase,
+    shipmentData: result.shipmentData,
+    quote: result.quote,
+    completed: result.completed,
+    nextAction: result.nextAction,
+    invoices: result.shipmentData.invoices || []
+  };
+}
+
+app.post('/agent/shipping/message', verifyUserToken, requirePermission('shipments:write'), async (req, res) => {
   try {
     const { threadId, message } = req.body;
     
@@ -780,7 +2198,7 @@ app.post('/agent/shipping/message', verifyUserToken, async (req, res) => {
       configurable: { thread_id: threadId }
     };
 
-    const snapshot = await checkpointer.get(config);
+    const snapshot = await getShippingThread(threadId, req.workspace);
     
     if (!snapshot) {
       return res.status(404).json({ error: 'Session not found or expired' });
@@ -796,28 +2214,64 @@ app.post('/agent/shipping/message', verifyUserToken, async (req, res) => {
 
     const result = await shippingAgent.invoke(currentState, config);
 
-    if (result.completed && result.quote) {
-      try {
-        await saveShippingQuote(threadId, result.quote, req.userId);
-      } catch (error) {
-        console.error('Failed to save quote:', error);
-      }
+    return res.json(await finishAgentTurn(threadId, result, req));
+
+  } catch (error) {
+    console.error('Agent message error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Failed to process message',
+      details: error.message 
+    });
+  }
+});
+
+// Streams the reply as `token` events followed by a `done` event with the same
+// payload as /agent/shipping/message. When a quote is generated, `done.message`
+// also contains the quote table that was not part of the streamed text.
+app.post('/agent/shipping/message/stream', verifyUserToken, requirePermission('shipments:write'), async (req, res) => {
+  const { threadId, message } = req.body;
+
+  if (!threadId || !message) {
+    return res.status(400).json({ error: 'threadId and message required' });
+  }
+  if (!shippingAgent) {
+    return res.status(503).json({ error: 'Agent not initialized' });
+  }
+
+  try {
+    const snapshot = await getShippingThread(threadId, req.workspace);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Session not found or expired' });
     }
 
-    return res.json({
-      success: true,
-      threadId,
-      message: result.output,
-      currentPhase: result.currentPhase,
-      shipmentData: result.shipmentData,
-      quote: result.quote,
-      completed: result.completed,
-      nextAction: result.nextAction,
-      invoices: result.shipmentData.invoices || []
+    const signal = abortOnDisconnect(res);
+    const send = openEventStream(res);
+
+    const currentState = snapshot.channel_values;
+    currentState.messages.push({
+      role: 'user',
+      content: message,
+      timestamp: new Date().toISOString()
     });
 
+    try {
+      const config = { configurable: { thread_id: threadId } };
+      const result = await shippingAgent.stream(currentState, config, {
+        signal,
+        onToken: (token) => send('token', { token })
+      });
+
+      send('done', await finishAgentTurn(threadId, result, req));
+    } catch (error) {
+      if (signal.aborted) return;
+      console.error('Agent stream error:', error);
+      send('error', { success: false, error: 'Failed to process message' });
+    }
+    return res.end();
+
   } catch (error) {
-    console.error('Agent message error:', error);
+    console.error('Agent stream error:', error);
     return res.status(500).json({ 
       success: false, 
       error: 'Failed to process message',
@@ -826,7 +2280,7 @@ app.post('/agent/shipping/message', verifyUserToken, async (req, res) => {
   }
 });
 
-app.post('/agent/shipping/book', verifyUserToken, async (req, res) => {
+app.post('/agent/shipping/book', verifyUserToken, requirePermission('shipments:write'), async (req, res) => {
   try {
     const { threadId, carrierId, serviceLevel } = req.body;
     
@@ -834,11 +2288,7 @@ app.post('/agent/shipping/book', verifyUserToken, async (req, res) => {
       return res.status(400).json({ error: 'threadId and carrierId required' });
     }
 
-    const config = {
-      configurable: { thread_id: threadId }
-    };
-
-    const snapshot = await checkpointer.get(config);
+    const snapshot = await getShippingThread(threadId, req.workspace);
     if (!snapshot) {
       return res.status(404).json({ error: 'Session not found' });
     }
@@ -853,6 +2303,7 @@ app.post('/agent/shipping/book', verifyUserToken, async (req, res) => {
       trackingNumber,
       bookingId,
       userId: req.userId,
+      organizationId: req.workspace.organizationId,
       sessionId: threadId,
       carrierId,
       serviceLevel: serviceLevel || state.shipmentData?.serviceLevel || 'Standard',
@@ -862,14 +2313,11 @@ app.post('/agent/shipping/book', verifyUserToken, async (req, res) => {
     });
 
     // Link invoices to booking
-    if (state.shipmentData?.invoices?.length > 0) {
-      for (const invoice of state.shipmentData.invoices) {
-        await supabase
-          .from('invoices')
-          .update({ booking_id: bookingId })
-          .eq('invoice_id', invoice.invoiceId);
-      }
-    }
+    await linkInvoicesToBooking(
+      (state.shipmentData?.invoices || []).map(invoice => invoice.invoiceId),
+      bookingId,
+      req.workspace
+    );
 
     return res.json({
       success: true,
@@ -910,9 +2358,9 @@ app.get('/track/:trackingNumber', async (req, res) => {
   }
 });
 
-app.get('/shipments', verifyUserToken, async (req, res) => {
+app.get('/shipments', verifyUserToken, requirePermission('shipments:read'), async (req, res) => {
   try {
-    const shipments = await getUserShipments(req.userId);
+    const shipments = await getWorkspaceShipments(req.workspace);
     return res.json({
       total: shipments.length,
       activeShipments: shipments.filter(s => !['delivered', 'returned'].includes(s.status)),
@@ -924,6 +2372,41 @@ app.get('/shipments', verifyUserToken, async (req, res) => {
   }
 });
 
+// Carrier and ERP integrations push status updates here
+app.post('/shipments/:trackingNumber/events', verifyUserToken, requirePermission('tracking:write'), async (req, res) => {
+  try {
+    const { status, location, description, timestamp } = req.body;
+    if (!status) {
+      return res.status(400).json({ error: 'status is required' });
+    }
+
+    const shipment = await getWorkspaceShipment(req.params.trackingNumber, req.workspace);
+    if (!shipment) {
+      return res.status(404).json({ error: 'Tracking number not found' });
+    }
+
+    const event = {
+      status,
+      location: location || null,
+      description: description || null,
+      timestamp: timestamp || new Date().toISOString(),
+      recordedBy: req.apiKey ? `api-key:${req.apiKey.keyId}` : req.userId
+    };
+    const updated = await addTrackingEvent(shipment, event);
+
+    return res.status(201).json({
+      success: true,
+      trackingNumber: updated.tracking_number,
+      status: updated.status,
+      currentLocation: updated.current_location,
+      event
+    });
+  } catch (error) {
+    console.error('Tracking event error:', error);
+    return res.status(500).json({ error: 'Failed to record tracking event' });
+  }
+});
+
 // Error handler
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -931,6 +2414,9 @@ app.use((error, req, res, next) => {
       return res.status(400).json({ error: 'File too large. Max 10MB.' });
     }
   }
+  if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+    return res.status(400).json({ error: error.message });
+  }
   console.error('Error handler:', error);
   return res.status(500).json({ error: error.message });
 });
@@ -944,7 +2430,7 @@ app.listen(PORT, () => {
   console.log(`📦 Version: 5.4.1 - Cloudinary Signature Fixed`);
   console.log(`🤖 Agent Status: ${shippingAgent ? '✓ Ready' : '⚠ Initializing...'}`);
   console.log(`📄 Invoice Processing: ✓ Active`);
-  console.log(`☁️  Storage: Cloudinary Connected`);
+  console.log(`☁️  Storage: ${getDefaultBackend()}`);
   console.log(`💾 Redis: Upstash Connected`);
   console.log(`🚀 Deployment: Render Free Tier Ready`);
   console.log('========================================');
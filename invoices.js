@@ -0,0 +1,137 @@
+import db from './database.js';
+import { scopeToWorkspace } from './authorization.js';
+
+// Rows of uploaded invoices and shipping documents. extracted_data holds the
+// invoice worker's analysis, or the error of the last failed run.
+
+export async function createInvoiceRecord(invoiceData) {
+  const { data, error } = await db
+    .from('invoices')
+    .insert([{
+      invoice_id: invoiceData.invoiceId,
+      user_id: invoiceData.userId,
+      organization_id: invoiceData.organizationId || null,
+      session_id: invoiceData.sessionId,
+      booking_id: invoiceData.bookingId,
+      filename: invoiceData.filename,
+      storage_backend: invoiceData.storageBackend,
+      storage_key: invoiceData.storageKey,
+      file_size: invoiceData.fileSize,
+      job_id: invoiceData.jobId,
+      document_type: invoiceData.documentType || 'invoice',
+      extracted_data: invoiceData.extractedData || {},
+      uploaded_at: new Date().toISOString(),
+      processed: false
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function getSessionInvoices(sessionId, workspace) {
+  const { data, error } = await scopeToWorkspace(
+    db.from('invoices').select('*').eq('session_id', sessionId),
+    workspace
+  ).order('uploaded_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function linkInvoicesToBooking(invoiceIds, bookingId, workspace) {
+  if (invoiceIds.length === 0) return;
+  const { error } = await scopeToWorkspace(
+    db.from('invoices').update({ booking_id: bookingId }).in('invoice_id', invoiceIds),
+    workspace
+  );
+  if (error) throw error;
+}
+
+/**
+ * Users who uploaded the workspace's invoices.
+ */
+export async function getWorkspaceInvoiceUploaders(workspace) {
+  const { data, error } = await scopeToWorkspace(
+    db.from('invoices').select('user_id'),
+    workspace
+  );
+  if (error) throw error;
+  return [...new Set((data || []).map(invoice => invoice.user_id))];
+}
+
+export async function saveInvoiceAnalysis(invoiceId, { analysis, totalPages }) {
+  const { data, error } = await db
+    .from('invoices')
+    .update({
+      processed: true,
+      document_type: analysis.documentType,
+      extracted_data: analysis,
+      total_pages: totalPages,
+      processed_at: new Date().toISOString()
+    })
+    .eq('invoice_id', invoiceId)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function recordInvoiceFailure(invoiceId, message) {
+  const { error } = await db
+    .from('invoices')
+    .update({
+      processed: false,
+      extracted_data: {
+        error: message,
+        timestamp: new Date().toISOString()
+      }
+    })
+    .eq('invoice_id', invoiceId);
+  if (error) throw error;
+}
+
+// ========== RE-INDEXING ==========
+// Each uploader's processed invoices share one collection
+// (getInvoiceCollectionName), whichever workspace they belong to.
+
+export async function getInvoiceUploaders() {
+  const { data, error } = await db
+    .from('invoices')
+    .select('user_id')
+    .eq('processed', true);
+  if (error) throw error;
+  return [...new Set((data || []).map(invoice => invoice.user_id))];
+}
+
+/**
+ * A page of an uploader's processed invoices, in invoice_id order after afterId.
+ */
+export async function listUploaderInvoices(userId, { afterId, limit }) {
+  let query = db
+    .from('invoices')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('processed', true);
+  if (afterId) query = query.gt('invoice_id', afterId);
+  const { data, error } = await query.order('invoice_id').limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+export async function countUploaderInvoices(userId) {
+  const { count, error } = await db
+    .from('invoices')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('processed', true);
+  if (error) throw error;
+  return count || 0;
+}
+
+export async function countInvoices() {
+  const { count, error } = await db
+    .from('invoices')
+    .select('*', { count: 'exact', head: true });
+  if (error) throw error;
+  return count || 0;
+}
@@ -0,0 +1,70 @@
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import {
+  createPostgresDriver,
+  createSqliteDriver,
+  getPendingMigrations,
+  runMigrations
+} from './sql-client.js';
+
+dotenv.config();
+
+// Apply the SQL migrations in migrations/ to the configured database:
+//
+//   node migrate-db.js [--status]
+//
+// DATABASE_BACKEND=sqlite migrates SQLITE_PATH; postgres and supabase both
+// connect to DATABASE_URL (for Supabase, the project's Postgres connection
+// string). Applied versions are recorded in schema_migrations, so running it
+// again only applies new files. --status lists pending migrations without
+// applying them.
+
+function readOptions() {
+  const { values } = parseArgs({
+    options: {
+      status: { type: 'boolean', default: false }
+    }
+  });
+  return values;
+}
+
+async function openDriver() {
+  const backend = process.env.DATABASE_BACKEND || 'supabase';
+  switch (backend) {
+    case 'sqlite':
+      return createSqliteDriver();
+    case 'postgres':
+    case 'supabase':
+      return createPostgresDriver();
+    default:
+      throw new Error(`Unknown database backend: ${backend}`);
+  }
+}
+
+async function migrateDatabase() {
+  const options = readOptions();
+  const driver = await openDriver();
+
+  try {
+    if (options.status) {
+      const pending = await getPendingMigrations(driver);
+      for (const migration of pending) {
+        console.log(`[Database] Pending ${migration.version}_${migration.name}`);
+      }
+      console.log(`[Database] ${pending.length} pending migration(s)`);
+      return;
+    }
+
+    const applied = await runMigrations(driver);
+    console.log(`[Database] Done: ${applied.length} migration(s) applied`);
+  } finally {
+    await driver.close();
+  }
+}
+
+migrateDatabase()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Database migration failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,126 @@
+import { parseArgs } from 'util';
+import db from './database.js';
+import {
+  STORAGE_BACKENDS,
+  buildStorageKey,
+  getStoredFile,
+  getStorage,
+  readStoredFile
+} from './blob-storage.js';
+import { getContentType } from './document-loaders.js';
+
+// Move uploaded files between storage backends and point their rows at the
+// new copy:
+//
+//   node migrate-storage.js --from cloudinary --to s3 [--dry-run] [--delete-source]
+//
+// Rows already on the target backend are skipped, so an interrupted run can
+// simply be started again. Source files are only deleted with
+// --delete-source, after their row has been updated.
+
+const TABLES = [
+  { table: 'documents', idColumn: 'document_id', kind: 'documents' },
+  { table: 'invoices', idColumn: 'invoice_id', kind: 'invoices' }
+];
+const PAGE_SIZE = 100;
+
+function readOptions() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'delete-source': { type: 'boolean', default: false }
+    }
+  });
+
+  for (const name of ['from', 'to']) {
+    if (!STORAGE_BACKENDS.includes(values[name])) {
+      throw new Error(`--${name} must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+    }
+  }
+  if (values.from === values.to) {
+    throw new Error('--from and --to must be different backends');
+  }
+  return { from: values.from, to: values.to, dryRun: values['dry-run'], deleteSource: values['delete-source'] };
+}
+
+async function* readRows(table, idColumn) {
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await db
+      .from(table)
+      .select('*')
+      .order(idColumn)
+      .range(offset, offset + PAGE_SIZE - 1);
+    if (error) throw error;
+    yield* data || [];
+    if (!data || data.length < PAGE_SIZE) return;
+  }
+}
+
+async function migrateRow(row, { table, idColumn, kind }, { to, dryRun, deleteSource }) {
+  const source = getStoredFile(row);
+  // Legacy Cloudinary ids are timestamps; migrated files get a regular key
+  const key = source.legacy ? buildStorageKey(kind, row[idColumn], row.filename) : source.key;
+
+  if (dryRun) {
+    console.log(`[Storage] Would move ${table}/${row[idColumn]}: ${source.backend}:${source.key} -> ${to}:${key}`);
+    return;
+  }
+
+  // Rows do not record the upload's MIME type, so it is read off the content
+  const buffer = await readStoredFile(source);
+  const contentType = getContentType(buffer, { filename: row.filename }) || 'application/octet-stream';
+  await getStorage(to).put(key, buffer, { contentType });
+
+  const { error } = await db
+    .from(table)
+    .update({
+      storage_backend: to,
+      storage_key: key,
+      cloudinary_url: null,
+      cloudinary_public_id: null
+    })
+    .eq(idColumn, row[idColumn]);
+  if (error) throw error;
+
+  if (deleteSource) {
+    await getStorage(source.backend).delete(source.key);
+  }
+  console.log(`[Storage] Moved ${table}/${row[idColumn]} to ${to}:${key} (${(buffer.length / 1024).toFixed(2)} KB)`);
+}
+
+async function migrateStorage() {
+  const options = readOptions();
+  const summary = { moved: 0, skipped: 0, failed: 0 };
+
+  for (const tableConfig of TABLES) {
+    // Rows are updated while paging, so the ones to move are collected first
+    const rows = [];
+    for await (const row of readRows(tableConfig.table, tableConfig.idColumn)) {
+      if (getStoredFile(row)?.backend === options.from) rows.push(row);
+      else summary.skipped++;
+    }
+    console.log(`[Storage] ${tableConfig.table}: ${rows.length} files on ${options.from}`);
+
+    for (const row of rows) {
+      try {
+        await migrateRow(row, tableConfig, options);
+        summary.moved++;
+      } catch (error) {
+        console.error(`[Storage] Could not move ${tableConfig.table}/${row[tableConfig.idColumn]}:`, error.message);
+        summary.failed++;
+      }
+    }
+  }
+
+  console.log(`[Storage] Done${options.dryRun ? ' (dry run)' : ''}: ${summary.moved} moved, ${summary.skipped} skipped, ${summary.failed} failed`);
+  return summary;
+}
+
+migrateStorage()
+  .then(summary => process.exit(summary.failed > 0 ? 1 : 0))
+  .catch(error => {
+    console.error('Storage migration failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,85 @@
+-- Users, uploaded documents and invoices, shipping quotes and shipment tracking
+
+CREATE TABLE IF NOT EXISTS users (
+  user_id TEXT PRIMARY KEY,
+  name TEXT,
+  email TEXT,
+  password_hash TEXT,
+  created_at TIMESTAMPTZ,
+  last_accessed TIMESTAMPTZ,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+CREATE TABLE IF NOT EXISTS documents (
+  document_id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  filename TEXT,
+  collection_name TEXT,
+  strategy TEXT,
+  cloudinary_url TEXT,
+  cloudinary_public_id TEXT,
+  uploaded_at TIMESTAMPTZ,
+  total_pages INTEGER,
+  total_chunks INTEGER,
+  file_size BIGINT,
+  document_type TEXT,
+  language TEXT,
+  confidence DOUBLE PRECISION,
+  summary TEXT,
+  topics JSONB,
+  sentiment TEXT,
+  key_entities JSONB,
+  processed BOOLEAN NOT NULL DEFAULT FALSE,
+  processed_at TIMESTAMPTZ,
+  processing_version TEXT
+);
+
+CREATE INDEX IF NOT EXISTS documents_user_id_idx ON documents (user_id);
+
+CREATE TABLE IF NOT EXISTS invoices (
+  invoice_id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  session_id TEXT,
+  booking_id TEXT,
+  filename TEXT,
+  cloudinary_url TEXT,
+  cloudinary_public_id TEXT,
+  file_size BIGINT,
+  document_type TEXT,
+  extracted_data JSONB NOT NULL DEFAULT '{}',
+  total_pages INTEGER,
+  uploaded_at TIMESTAMPTZ,
+  processed BOOLEAN NOT NULL DEFAULT FALSE,
+  processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS invoices_user_id_idx ON invoices (user_id);
+CREATE INDEX IF NOT EXISTS invoices_session_id_idx ON invoices (session_id);
+
+CREATE TABLE IF NOT EXISTS shipping_quotes (
+  id BIGSERIAL PRIMARY KEY,
+  session_id TEXT,
+  user_id TEXT NOT NULL,
+  quote_data JSONB NOT NULL,
+  created_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS shipping_quotes_user_id_idx ON shipping_quotes (user_id);
+
+CREATE TABLE IF NOT EXISTS shipment_tracking (
+  tracking_number TEXT PRIMARY KEY,
+  booking_id TEXT,
+  user_id TEXT NOT NULL,
+  session_id TEXT,
+  carrier_id TEXT,
+  service_level TEXT,
+  origin TEXT,
+  destination TEXT,
+  status TEXT,
+  current_location TEXT,
+  estimated_delivery TIMESTAMPTZ,
+  tracking_events JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS shipment_tracking_user_id_idx ON shipment_tracking (user_id);
@@ -0,0 +1,45 @@
+-- Organization workspaces. Rows without an organization_id are personal.
+-- organization_members references organizations and users so that Supabase
+-- can embed them in member queries.
+
+CREATE TABLE IF NOT EXISTS organizations (
+  organization_id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  created_by TEXT,
+  created_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+  organization_id TEXT NOT NULL REFERENCES organizations (organization_id),
+  user_id TEXT NOT NULL REFERENCES users (user_id),
+  role TEXT NOT NULL,
+  joined_at TIMESTAMPTZ,
+  PRIMARY KEY (organization_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS organization_members_user_id_idx ON organization_members (user_id);
+
+CREATE TABLE IF NOT EXISTS organization_invitations (
+  invitation_id TEXT PRIMARY KEY,
+  organization_id TEXT NOT NULL REFERENCES organizations (organization_id),
+  email TEXT,
+  invited_user_id TEXT,
+  role TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  invited_by TEXT,
+  created_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  accepted_at TIMESTAMPTZ,
+  accepted_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS organization_invitations_organization_id_idx ON organization_invitations (organization_id);
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS organization_id TEXT;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS organization_id TEXT;
+ALTER TABLE shipping_quotes ADD COLUMN IF NOT EXISTS organization_id TEXT;
+ALTER TABLE shipment_tracking ADD COLUMN IF NOT EXISTS organization_id TEXT;
+
+CREATE INDEX IF NOT EXISTS documents_organization_id_idx ON documents (organization_id);
+CREATE INDEX IF NOT EXISTS invoices_organization_id_idx ON invoices (organization_id);
+CREATE INDEX IF NOT EXISTS shipment_tracking_organization_id_idx ON shipment_tracking (organization_id);
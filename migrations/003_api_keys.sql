@@ -0,0 +1,19 @@
+-- Scoped API keys; only a hash of the secret is stored
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  key_id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  organization_id TEXT,
+  name TEXT,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL,
+  scopes JSONB NOT NULL DEFAULT '[]',
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  rotated_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS api_keys_user_id_idx ON api_keys (user_id);
+CREATE INDEX IF NOT EXISTS api_keys_organization_id_idx ON api_keys (organization_id);
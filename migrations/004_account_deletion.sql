@@ -0,0 +1,14 @@
+-- Right to erasure. Receipts only hold a hash of the user id and outlive the
+-- account.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS deletion_receipts (
+  receipt_id TEXT PRIMARY KEY,
+  user_id_hash TEXT NOT NULL,
+  status TEXT NOT NULL,
+  requested_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  summary JSONB,
+  error TEXT
+);
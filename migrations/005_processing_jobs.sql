@@ -0,0 +1,5 @@
+-- BullMQ job of the latest processing run, and why the last one failed
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS job_id TEXT;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS processing_error TEXT;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS job_id TEXT;
@@ -0,0 +1,14 @@
+-- Index of document chat threads; the messages live in the LangGraph
+-- checkpointer
+
+CREATE TABLE IF NOT EXISTS document_chat_threads (
+  thread_id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  organization_id TEXT,
+  title TEXT,
+  message_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS document_chat_threads_user_id_idx ON document_chat_threads (user_id);
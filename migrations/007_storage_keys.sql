@@ -0,0 +1,6 @@
+-- Uploads are addressed by backend and key instead of a Cloudinary URL
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS storage_backend TEXT;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS storage_key TEXT;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS storage_backend TEXT;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS storage_key TEXT;
@@ -0,0 +1,25 @@
+-- Re-index runs, one per rebuilt collection. chunk_counts maps each document
+-- or invoice written to the shadow collection to its number of points; an
+-- unfinished run is resumed by the next re-index of its collection.
+
+CREATE TABLE IF NOT EXISTS reindex_runs (
+  run_id TEXT PRIMARY KEY,
+  collection_name TEXT NOT NULL,
+  shadow_collection TEXT NOT NULL,
+  source TEXT NOT NULL,
+  status TEXT NOT NULL,
+  embedding_model TEXT,
+  processing_version TEXT,
+  items_total INTEGER NOT NULL DEFAULT 0,
+  items_done INTEGER NOT NULL DEFAULT 0,
+  last_item_id TEXT,
+  chunk_counts JSONB NOT NULL DEFAULT '{}',
+  job_id TEXT,
+  error TEXT,
+  started_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS reindex_runs_collection_name_idx ON reindex_runs (collection_name);
+CREATE INDEX IF NOT EXISTS reindex_runs_job_id_idx ON reindex_runs (job_id);
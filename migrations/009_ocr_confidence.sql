@@ -0,0 +1,6 @@
+-- OCR results of scanned documents: ocr_pages holds
+-- [{ pageNumber, confidence, characters }] per OCR'd page, ocr_confidence
+-- their mean weighted by characters (0-100)
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS ocr_pages JSONB;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS ocr_confidence REAL;
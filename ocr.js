@@ -0,0 +1,142 @@
+import { createWorker } from 'tesseract.js';
+import { pdf } from 'pdf-to-img';
+import { Document } from '@langchain/core/documents';
+import engData from '@tesseract.js-data/eng';
+
+// OCR stage for scanned PDFs and images. Pages whose text layer is (nearly)
+// empty are rasterized and read with Tesseract, which runs in-process; the
+// English language data ships as an npm package, so nothing is downloaded at
+// runtime. Images have no text layer of their own: they are read here when
+// the loader got no transcription from a vision model. OCR'd pages carry
+// { ocr: true, ocrConfidence } (0-100) in their metadata, which the chunks
+// inherit.
+
+// A page with less text than this is treated as image-only
+const MIN_PAGE_TEXT_LENGTH = 30;
+// Rendering at 2x (~144 dpi) is the usual minimum for reliable Tesseract results
+const RENDER_SCALE = 2;
+const MAX_OCR_PAGES = Number(process.env.OCR_MAX_PAGES) || 50;
+
+export function isOcrEnabled() {
+  return process.env.OCR_ENABLED !== 'false';
+}
+
+function getPageNumber(doc) {
+  return doc.metadata?.loc?.pageNumber;
+}
+
+function hasTextLayer(doc) {
+  return doc.pageContent.replace(/\s+/g, '').length >= MIN_PAGE_TEXT_LENGTH;
+}
+
+/**
+ * Page numbers of a loaded PDF that need OCR. PDFLoader leaves out pages
+ * without any text items, so missing pages count as image-only too.
+ */
+function getImageOnlyPages(docs, totalPages) {
+  const textPages = new Set(docs.filter(hasTextLayer).map(getPageNumber));
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= totalPages; pageNumber++) {
+    if (!textPages.has(pageNumber)) pages.push(pageNumber);
+  }
+  return pages;
+}
+
+function createOcrWorker() {
+  return createWorker('eng', 1, {
+    langPath: engData.langPath,
+    gzip: engData.gzip,
+    cacheMethod: 'none'
+  });
+}
+
+async function recognizePage(worker, image, pageNumber) {
+  const { data } = await worker.recognize(image);
+  const text = (data.text || '').trim();
+  const confidence = Math.round(data.confidence * 10) / 10;
+  console.log(`[OCR] Page ${pageNumber}: ${text.length} characters, confidence ${confidence}`);
+  return { text, confidence };
+}
+
+function toOcrDocument(text, confidence, metadata) {
+  return new Document({
+    pageContent: text,
+    metadata: { ...metadata, ocr: true, ocrConfidence: confidence }
+  });
+}
+
+/**
+ * Fill in the image-only pages of a loaded PDF with OCR text.
+ * Returns the page Documents in page order, and a summary of the OCR'd pages
+ * as [{ pageNumber, confidence, characters }]. A page keeps its own text
+ * when OCR reads less.
+ */
+export async function ocrPdfPages(buffer, docs, { onStart = () => {} } = {}) {
+  const rendered = await pdf(buffer, { scale: RENDER_SCALE });
+  const imageOnlyPages = getImageOnlyPages(docs, rendered.length);
+  if (imageOnlyPages.length === 0) {
+    return { docs, ocrPages: [] };
+  }
+
+  const pagesToRead = imageOnlyPages.slice(0, MAX_OCR_PAGES);
+  if (pagesToRead.length < imageOnlyPages.length) {
+    console.warn(`[OCR] Reading the first ${MAX_OCR_PAGES} of ${imageOnlyPages.length} image-only pages`);
+  }
+  await onStart(pagesToRead.length);
+
+  const template = docs[0]?.metadata || {};
+  const byPage = new Map(docs.map(doc => [getPageNumber(doc), doc]));
+  const ocrPages = [];
+
+  const worker = await createOcrWorker();
+  try {
+    for (const pageNumber of pagesToRead) {
+      const image = await rendered.getPage(pageNumber);
+      const { text, confidence } = await recognizePage(worker, image, pageNumber);
+
+      ocrPages.push({ pageNumber, confidence, characters: text.length });
+      if (text.length <= (byPage.get(pageNumber)?.pageContent.trim().length || 0)) continue;
+
+      byPage.set(pageNumber, toOcrDocument(text, confidence, { ...template, fileType: 'pdf', loc: { pageNumber } }));
+    }
+  } finally {
+    await worker.terminate();
+  }
+
+  return {
+    docs: [...byPage.entries()].sort(([a], [b]) => a - b).map(([, doc]) => doc),
+    ocrPages
+  };
+}
+
+/**
+ * Read a loaded PNG or JPEG image with OCR, unless the loader already
+ * transcribed it. Returns the same shape as ocrPdfPages().
+ */
+export async function ocrImage(buffer, docs, { onStart = () => {} } = {}) {
+  if (docs.some(hasTextLayer)) {
+    return { docs, ocrPages: [] };
+  }
+  await onStart(1);
+
+  const worker = await createOcrWorker();
+  try {
+    const { text, confidence } = await recognizePage(worker, buffer, 1);
+    const ocrPages = [{ pageNumber: 1, confidence, characters: text.length }];
+    if (!text) return { docs, ocrPages };
+    return {
+      docs: [toOcrDocument(text, confidence, { ...docs[0]?.metadata, fileType: 'image', loc: { pageNumber: 1 } })],
+      ocrPages
+    };
+  } finally {
+    await worker.terminate();
+  }
+}
+
+// Mean confidence over the OCR'd pages, weighted by how much text each held
+export function getOcrConfidence(ocrPages) {
+  const characters = ocrPages.reduce((sum, page) => sum + page.characters, 0);
+  if (characters === 0) return null;
+  const weighted = ocrPages.reduce((sum, page) => sum + page.confidence * page.characters, 0);
+  return Math.round((weighted / characters) * 10) / 10;
+}
@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+import db from './database.js';
+
+export const ROLES = ['owner', 'admin', 'operator', 'viewer'];
+
+const ROLE_RANK = { viewer: 1, operator: 2, admin: 3, owner: 4 };
+
+export const ROLE_PERMISSIONS = {
+  owner: [
+    'documents:read', 'documents:write', 'chat:read',
+    'shipments:read', 'shipments:write', 'tracking:write',
+    'members:read', 'members:manage', 'api-keys:manage',
+    'vectors:reindex', 'documents:share'
+  ],
+  admin: [
+    'documents:read', 'documents:write', 'chat:read',
+    'shipments:read', 'shipments:write', 'tracking:write',
+    'members:read', 'members:manage', 'api-keys:manage',
+    'vectors:reindex', 'documents:share'
+  ],
+  operator: [
+    'documents:read', 'documents:write', 'chat:read',
+    'shipments:read', 'shipments:write', 'tracking:write',
+    'members:read'
+  ],
+  viewer: [
+    'documents:read', 'chat:read', 'shipments:read', 'members:read'
+  ]
+};
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Owners can manage anyone; everyone else can only manage roles strictly
+ * below their own (admins manage operators and viewers).
+ */
+export function canManageRole(actorRole, targetRole) {
+  if (actorRole === 'owner') return true;
+  return (ROLE_RANK[actorRole] || 0) > (ROLE_RANK[targetRole] || 0);
+}
+
+// ========== ORGANIZATIONS ==========
+
+export async function createOrganization({ name, createdBy }) {
+  const organizationId = crypto.randomBytes(12).toString('hex');
+  const { data, error } = await db
+    .from('organizations')
+    .insert([{
+      organization_id: organizationId,
+      name,
+      created_by: createdBy,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+
+  await addOrganizationMember(organizationId, createdBy, 'owner');
+  return data;
+}
+
+export async function getOrganization(organizationId) {
+  const { data, error } = await db
+    .from('organizations')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .single();
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+export async function getUserOrganizations(userId) {
+  const { data, error } = await db
+    .from('organization_members')
+    .select('role, joined_at, organizations(*)')
+    .eq('user_id', userId)
+    .order('joined_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(row => ({
+    ...row.organizations,
+    role: row.role,
+    joined_at: row.joined_at
+  }));
+}
+
+// ========== MEMBERS ==========
+
+export async function addOrganizationMember(organizationId, userId, role) {
+  const { data, error } = await db
+    .from('organization_members')
+    .insert([{
+      organization_id: organizationId,
+      user_id: userId,
+      role,
+      joined_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function getOrganizationMember(organizationId, userId) {
+  const { data, error } = await db
+    .from('organization_members')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('user_id', userId)
+    .single();
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+export async function getOrganizationMembers(organizationId) {
+  const { data, error } = await db
+    .from('organization_members')
+    .select('user_id, role, joined_at, users(name, email)')
+    .eq('organization_id', organizationId)
+    .order('joined_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function updateOrganizationMemberRole(organizationId, userId, role) {
+  const { data, error } = await db
+    .from('organization_members')
+    .update({ role })
+    .eq('organization_id', organizationId)
+    .eq('user_id', userId)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function removeOrganizationMember(organizationId, userId) {
+  const { error } = await db
+    .from('organization_members')
+    .delete()
+    .eq('organization_id', organizationId)
+    .eq('user_id', userId);
+  if (error) throw error;
+}
+
+export async function countOrganizationOwners(organizationId) {
+  const { count, error } = await db
+    .from('organization_members')
+    .select('*', { count: 'exact', head: true })
+    .eq('organization_id', organizationId)
+    .eq('role', 'owner');
+  if (error) throw error;
+  return count || 0;
+}
+
+// ========== INVITATIONS ==========
+// The plain invitation token is returned once to the inviter, who passes it
+// on to the invitee; only its hash is stored.
+
+function hashInvitationToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export async function createInvitation({ organizationId, email, userId, role, invitedBy }) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const { data, error } = await db
+    .from('organization_invitations')
+    .insert([{
+      invitation_id: crypto.randomBytes(12).toString('hex'),
+      organization_id: organizationId,
+      email: email ? email.toLowerCase() : null,
+      invited_user_id: userId || null,
+      role,
+      token_hash: hashInvitationToken(token),
+      invited_by: invitedBy,
+      created_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + INVITATION_TTL_MS).toISOString()
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+  return { invitation: data, token };
+}
+
+export async function getPendingInvitations(organizationId) {
+  const { data, error } = await db
+    .from('organization_invitations')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .is('accepted_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function getInvitationByToken(token) {
+  const { data, error } = await db
+    .from('organization_invitations')
+    .select('*')
+    .eq('token_hash', hashInvitationToken(token))
+    .single();
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+export async function markInvitationAccepted(invitationId, userId) {
+  const { error } = await db
+    .from('organization_invitations')
+    .update({ accepted_at: new Date().toISOString(), accepted_by: userId })
+    .eq('invitation_id', invitationId);
+  if (error) throw error;
+}
+
+export async function deleteInvitation(organizationId, invitationId) {
+  const { data, error } = await db
+    .from('organization_invitations')
+    .delete()
+    .eq('organization_id', organizationId)
+    .eq('invitation_id', invitationId)
+    .select();
+  if (error) throw error;
+  return (data || []).length > 0;
+}
@@ -0,0 +1,13 @@
+import { QdrantClient } from '@qdrant/js-client-rest';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Raw Qdrant client; the rest of the app goes through vector-store.js
+const qdrant = new QdrantClient({
+  url: process.env.QDRANT_URL,
+  apiKey: process.env.QDRANT_API_KEY,
+  checkCompatibility: false,
+});
+
+export default qdrant;
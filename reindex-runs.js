@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import db from './database.js';
+import { getShadowCollectionName } from './vector-store.js';
+
+// Progress of collection re-indexes (reindex.js). A run is 'building' while
+// documents are written to its shadow collection, then 'completed' once the
+// collection name points at the shadow. 'failed' runs are resumed by the next
+// re-index of the collection; 'discarded' ones had their shadow dropped.
+
+export const UNFINISHED_STATUSES = ['building', 'failed'];
+
+export async function createReindexRun({ collectionName, source, embeddingModel, processingVersion, itemsTotal, jobId }) {
+  const runId = crypto.randomBytes(6).toString('hex');
+  const now = new Date().toISOString();
+  const { data, error } = await db
+    .from('reindex_runs')
+    .insert([{
+      run_id: runId,
+      collection_name: collectionName,
+      shadow_collection: getShadowCollectionName(collectionName, runId),
+      source,
+      status: 'building',
+      embedding_model: embeddingModel,
+      processing_version: processingVersion,
+      items_total: itemsTotal,
+      items_done: 0,
+      chunk_counts: {},
+      job_id: jobId,
+      started_at: now,
+      updated_at: now
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function updateReindexRun(runId, fields) {
+  const { data, error } = await db
+    .from('reindex_runs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('run_id', runId)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function getUnfinishedReindexRuns(collectionName) {
+  const { data, error } = await db
+    .from('reindex_runs')
+    .select('*')
+    .eq('collection_name', collectionName)
+    .in('status', UNFINISHED_STATUSES)
+    .order('started_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function getLatestReindexRun(collectionName) {
+  const { data, error } = await db
+    .from('reindex_runs')
+    .select('*')
+    .eq('collection_name', collectionName)
+    .order('started_at', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+export async function getJobReindexRuns(jobId) {
+  const { data, error } = await db
+    .from('reindex_runs')
+    .select('*')
+    .eq('job_id', jobId)
+    .order('started_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
@@ -0,0 +1,81 @@
+import { parseArgs } from 'util';
+import { getReindexTargets, reindexCollection } from './reindex.js';
+
+// Rebuild vector collections from the stored files, e.g. after changing the
+// embedding model:
+//
+//   node reindex-vectors.js --all | --user <id> | --organization <id> | --collection <name> [--dry-run]
+//
+// --user re-indexes a personal workspace and the user's invoice collection,
+// --organization an organization's document collections; only --all (or
+// --collection) rebuilds the shared collection. Each collection is built next
+// to the live one and switched over when complete, so the API keeps serving
+// searches meanwhile. An interrupted run is resumed by starting it again.
+// Stop the re-index worker first, so both do not build the same collection.
+
+function readOptions() {
+  const { values } = parseArgs({
+    options: {
+      all: { type: 'boolean', default: false },
+      user: { type: 'string' },
+      organization: { type: 'string' },
+      collection: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  const scopes = ['all', 'user', 'organization', 'collection'].filter(name => values[name]);
+  if (scopes.length !== 1) {
+    throw new Error('Pass exactly one of --all, --user, --organization or --collection');
+  }
+  return { ...values, dryRun: values['dry-run'] };
+}
+
+async function getTargets({ user, organization, collection }) {
+  if (user) return getReindexTargets({ userId: user, organizationId: null });
+  if (organization) return getReindexTargets({ organizationId: organization });
+
+  const targets = await getReindexTargets();
+  if (!collection) return targets;
+
+  const matching = targets.filter(target => target.collectionName === collection);
+  if (matching.length === 0) {
+    throw new Error(`No processed documents or invoices are stored in ${collection}`);
+  }
+  return matching;
+}
+
+async function reindexVectors() {
+  const options = readOptions();
+  const targets = await getTargets(options);
+  const summary = { reindexed: 0, failed: 0 };
+  console.log(`[Reindex] ${targets.length} collection(s) to re-index`);
+
+  for (const target of targets) {
+    if (options.dryRun) {
+      console.log(`[Reindex] Would re-index ${target.collectionName} (${target.source})`);
+      continue;
+    }
+
+    try {
+      const run = await reindexCollection(target, {
+        onProgress: (run) => console.log(`[Reindex] ${target.collectionName}: ${run.items_done}/${run.items_total}`)
+      });
+      console.log(`[Reindex] ✓ ${target.collectionName}: ${run.items_done} item(s) in ${run.shadow_collection}`);
+      summary.reindexed++;
+    } catch (error) {
+      console.error(`[Reindex] Could not re-index ${target.collectionName}:`, error.message);
+      summary.failed++;
+    }
+  }
+
+  console.log(`[Reindex] Done${options.dryRun ? ' (dry run)' : ''}: ${summary.reindexed} re-indexed, ${summary.failed} failed`);
+  return summary;
+}
+
+reindexVectors()
+  .then(summary => process.exit(summary.failed > 0 ? 1 : 0))
+  .catch(error => {
+    console.error('Re-index failed:', error.message);
+    process.exit(1);
+  });
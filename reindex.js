@@ -0,0 +1,395 @@
+import vectorStore, { SHARED_COLLECTION, getInvoiceCollectionName, getSparseCollectionName, toPoint } from './vector-store.js';
+import { indexSparseDocuments, deleteSparsePoints } from './sparse-index.js';
+import { createEmbeddings, getEmbeddingDimensions, getModelName } from './ai-config.js';
+import { getStoredFile, readStoredFile } from './blob-storage.js';
+import { detectFileType, loadDocument } from './document-loaders.js';
+import { getOcrConfidence } from './ocr.js';
+import {
+  PROCESSING_VERSION,
+  ocrScannedPages,
+  buildDocumentChunks,
+  buildInvoiceDocument,
+  ensurePayloadIndexes
+} from './document-pipeline.js';
+import {
+  getDocumentCollectionNames,
+  listCollectionDocuments,
+  countCollectionDocuments,
+  recordDocumentReindexed
+} from './documents.js';
+import {
+  getInvoiceUploaders,
+  listUploaderInvoices,
+  countUploaderInvoices
+} from './invoices.js';
+import { createReindexRun, updateReindexRun, getUnfinishedReindexRuns } from './reindex-runs.js';
+
+// Rebuild vector collections from the stored files, e.g. after changing the
+// embedding model, the chunking or the chunk metadata. For each collection:
+//
+//   1. its documents (or an uploader's invoices) are read from storage in id
+//      order, re-chunked and re-embedded into a shadow collection, with its
+//      keyword index next to it
+//   2. documents processed or deleted in the meantime are caught up
+//   3. the shadow's point counts are checked against what was written
+//   4. the collection name is switched to the shadow as an alias, and the
+//      collection it pointed at before is dropped
+//
+// Searches and uploads use the live collection until the switch. Progress is
+// saved in reindex_runs after every document, so a failed or interrupted run
+// resumes where it stopped; a run started with another embedding model or
+// processing version is discarded instead. Stored analyses are reused, so
+// re-indexing only calls the embedding model.
+//
+// One re-index per collection at a time: the worker runs them one by one.
+
+const PAGE_SIZE = 50;
+const EMBED_BATCH_SIZE = 25;
+
+// ========== SOURCES ==========
+
+// What the upload workers stored in the database, as they analyzed it
+function getDocumentAnalysis(row) {
+  return {
+    documentType: row.document_type,
+    language: row.language,
+    confidence: row.confidence,
+    summary: row.summary,
+    topics: row.topics,
+    sentiment: row.sentiment,
+    keyEntities: row.key_entities
+  };
+}
+
+async function readPages(row) {
+  const file = getStoredFile(row);
+  if (!file) throw new Error('No stored file');
+  const buffer = await readStoredFile(file);
+
+  const fileType = detectFileType(buffer, { filename: row.filename });
+  if (!fileType) throw new Error(`Unsupported file type: ${row.filename}`);
+
+  const loadedDocs = await loadDocument(buffer, { filename: row.filename, fileType });
+  const { docs, ocrPages } = await ocrScannedPages(buffer, fileType, loadedDocs);
+  return { docs, ocrPages, fileType, fileSize: buffer.length };
+}
+
+async function buildDocumentItem(row) {
+  const { docs: pages, fileSize } = await readPages(row);
+  const docs = pages.filter(doc => doc.pageContent.trim());
+  if (docs.length === 0) throw new Error(`No readable text found in ${row.filename}`);
+
+  const { chunks } = await buildDocumentChunks(docs, {
+    filename: row.filename,
+    documentId: row.document_id,
+    userId: row.user_id,
+    organizationId: row.organization_id,
+    strategy: row.strategy,
+    fileSize,
+    analysis: getDocumentAnalysis(row)
+  });
+  return chunks;
+}
+
+async function buildInvoiceItem(row) {
+  const { docs, ocrPages, fileType, fileSize } = await readPages(row);
+  const content = docs.map(doc => doc.pageContent).join('\n\n');
+  return [buildInvoiceDocument(content, {
+    filename: row.filename,
+    invoiceId: row.invoice_id,
+    sessionId: row.session_id,
+    bookingId: row.booking_id,
+    userId: row.user_id,
+    organizationId: row.organization_id,
+    fileType,
+    analysis: row.extracted_data,
+    ocrPages,
+    ocrConfidence: getOcrConfidence(ocrPages),
+    fileSize
+  })];
+}
+
+// Every collection gets a keyword index and payload indexes, like the upload
+// workers build them; invoice collections hold one point per invoice
+const SOURCES = {
+  documents: {
+    idColumn: 'document_id',
+    pointKey: 'metadata.documentId',
+    embeddingOptions: { batchSize: 100, stripNewLines: true },
+    list: (target, options) => listCollectionDocuments(target.collectionName, options),
+    count: (target) => countCollectionDocuments(target.collectionName),
+    build: buildDocumentItem
+  },
+  invoices: {
+    idColumn: 'invoice_id',
+    pointKey: 'metadata.invoiceId',
+    embeddingOptions: {},
+    list: (target, options) => listUploaderInvoices(target.userId, options),
+    count: (target) => countUploaderInvoices(target.userId),
+    build: buildInvoiceItem
+  }
+};
+
+async function* readItems(target, afterId = null) {
+  const source = SOURCES[target.source];
+  for (;;) {
+    const rows = await source.list(target, { afterId, limit: PAGE_SIZE });
+    yield* rows;
+    if (rows.length < PAGE_SIZE) return;
+    afterId = rows[rows.length - 1][source.idColumn];
+  }
+}
+
+// ========== TARGETS ==========
+
+/**
+ * Collections to re-index, as { collectionName, source, userId? }: those of a
+ * workspace, or all of them without one. The shared collection holds every
+ * workspace's documents, so only a global re-index rebuilds it. An invoice
+ * collection holds all of its uploader's invoices, whichever workspace they
+ * belong to, so a workspace re-index only rebuilds that of workspace.userId,
+ * the user asking for it.
+ */
+export async function getReindexTargets(workspace = null) {
+  const targets = [];
+  for (const collectionName of await getDocumentCollectionNames(workspace)) {
+    if (workspace && collectionName === SHARED_COLLECTION) continue;
+    targets.push({ collectionName, source: 'documents' });
+  }
+
+  const uploaders = workspace ? [workspace.userId].filter(Boolean) : await getInvoiceUploaders();
+  for (const userId of uploaders) {
+    if (workspace && await countUploaderInvoices(userId) === 0) continue;
+    targets.push({ collectionName: getInvoiceCollectionName(userId), source: 'invoices', userId });
+  }
+  return targets;
+}
+
+// ========== RUNS ==========
+
+function getShadowNames(run) {
+  return [run.shadow_collection, getSparseCollectionName(run.shadow_collection)];
+}
+
+async function discardRun(run) {
+  for (const name of getShadowNames(run)) {
+    await vectorStore.deleteCollection(name);
+  }
+  console.log(`[Reindex] Discarded run ${run.run_id} of ${run.collection_name}`);
+  return updateReindexRun(run.run_id, { status: 'discarded' });
+}
+
+// Continue the collection's unfinished run if it was built the same way
+async function startRun(target, { jobId }) {
+  const source = SOURCES[target.source];
+  const embeddingModel = getModelName('embeddings');
+  const itemsTotal = await source.count(target);
+
+  let run = null;
+  for (const unfinished of await getUnfinishedReindexRuns(target.collectionName)) {
+    const resumable = !run
+      && unfinished.source === target.source
+      && unfinished.embedding_model === embeddingModel
+      && unfinished.processing_version === PROCESSING_VERSION;
+    if (resumable) {
+      run = unfinished;
+    } else {
+      await discardRun(unfinished);
+    }
+  }
+
+  if (run) {
+    console.log(`[Reindex] Resuming ${target.collectionName} after ${run.items_done} item(s)`);
+    run = await updateReindexRun(run.run_id, { status: 'building', items_total: itemsTotal, job_id: jobId, error: null });
+  } else {
+    run = await createReindexRun({
+      collectionName: target.collectionName,
+      source: target.source,
+      embeddingModel,
+      processingVersion: PROCESSING_VERSION,
+      itemsTotal,
+      jobId
+    });
+    console.log(`[Reindex] Building ${run.shadow_collection}`);
+  }
+
+  await vectorStore.createCollection(run.shadow_collection, { dimensions: await getEmbeddingDimensions() });
+  await vectorStore.createCollection(getSparseCollectionName(run.shadow_collection), { sparse: true });
+  return run;
+}
+
+function getItemFilter(source, itemId) {
+  return { must: [{ key: source.pointKey, match: { value: itemId } }] };
+}
+
+async function removeItem(run, itemId) {
+  const source = SOURCES[run.source];
+  const filter = getItemFilter(source, itemId);
+  await vectorStore.deleteByFilter(run.shadow_collection, filter);
+  await deleteSparsePoints(run.shadow_collection, filter);
+}
+
+// Replaces whatever an interrupted attempt left of the item in the shadow
+async function indexItem(run, row, embeddings, fields = {}) {
+  const source = SOURCES[run.source];
+  const itemId = row[source.idColumn];
+  await removeItem(run, itemId);
+
+  let docs;
+  try {
+    docs = await source.build(row);
+  } catch (error) {
+    throw new Error(`Could not re-index ${row.filename} (${itemId}): ${error.message}`);
+  }
+
+  for (let i = 0; i < docs.length; i += EMBED_BATCH_SIZE) {
+    const batch = docs.slice(i, i + EMBED_BATCH_SIZE);
+    const vectors = await embeddings.embedDocuments(batch.map(doc => doc.pageContent));
+    await vectorStore.upsert(run.shadow_collection, batch.map((doc, j) => toPoint(doc, vectors[j])));
+  }
+  await indexSparseDocuments(run.shadow_collection, docs);
+
+  const chunkCounts = { ...run.chunk_counts, [itemId]: docs.length };
+  return updateReindexRun(run.run_id, { ...fields, chunk_counts: chunkCounts, items_done: Object.keys(chunkCounts).length });
+}
+
+// Documents processed after `since` changed in the live collection after they
+// were copied (or were behind the id cursor already), and deleted ones are
+// still in the shadow
+async function catchUp(run, target, since, embeddings) {
+  const source = SOURCES[run.source];
+  const current = new Set();
+  for await (const row of readItems(target)) {
+    const itemId = row[source.idColumn];
+    current.add(itemId);
+    if (run.chunk_counts[itemId] === undefined || new Date(row.processed_at) > new Date(since)) {
+      run = await indexItem(run, row, embeddings);
+    }
+  }
+
+  const removed = Object.keys(run.chunk_counts).filter(itemId => !current.has(itemId));
+  if (removed.length === 0) return run;
+  for (const itemId of removed) {
+    await removeItem(run, itemId);
+  }
+  const chunkCounts = Object.fromEntries(Object.entries(run.chunk_counts).filter(([itemId]) => current.has(itemId)));
+  return updateReindexRun(run.run_id, { chunk_counts: chunkCounts, items_done: Object.keys(chunkCounts).length });
+}
+
+async function verifyShadow(run) {
+  const expected = Object.values(run.chunk_counts).reduce((sum, count) => sum + count, 0);
+  for (const name of getShadowNames(run)) {
+    const actual = await vectorStore.count(name);
+    if (actual !== expected) {
+      throw new Error(`${name} holds ${actual} points, expected ${expected}`);
+    }
+  }
+  return expected;
+}
+
+async function switchToShadow(run) {
+  const switches = [
+    { alias: run.collection_name, collection: run.shadow_collection },
+    { alias: getSparseCollectionName(run.collection_name), collection: getSparseCollectionName(run.shadow_collection) }
+  ];
+  for (const { collection } of switches) {
+    await ensurePayloadIndexes(collection);
+  }
+
+  const previous = await vectorStore.switchAliases(switches);
+  for (const name of previous) {
+    await vectorStore.deleteCollection(name);
+  }
+}
+
+/**
+ * Re-index one collection, resuming its unfinished run if there is one.
+ * onProgress(run) is called after every document or invoice.
+ */
+export async function reindexCollection(target, { jobId = null, onProgress = async () => {} } = {}) {
+  const source = SOURCES[target.source];
+  const embeddings = createEmbeddings(source.embeddingOptions);
+  let run = await startRun(target, { jobId });
+
+  try {
+    for await (const row of readItems(target, run.last_item_id)) {
+      run = await indexItem(run, row, embeddings, { last_item_id: row[source.idColumn] });
+      await onProgress(run);
+    }
+
+    const catchUpStartedAt = new Date().toISOString();
+    run = await catchUp(run, target, run.started_at, embeddings);
+
+    let points;
+    try {
+      points = await verifyShadow(run);
+    } catch (error) {
+      // Counts that disagree with what was written will not fix themselves on a retry
+      run = await discardRun(run);
+      throw new Error(`Verification of ${run.shadow_collection} failed: ${error.message}`);
+    }
+
+    await switchToShadow(run);
+    console.log(`[Reindex] ✓ ${run.collection_name} now serves ${run.shadow_collection} (${points} points)`);
+
+    // Uploads that finished between the catch-up and the switch went to the
+    // collection that was just dropped
+    run = await catchUp(run, target, catchUpStartedAt, embeddings);
+
+    if (target.source === 'documents') {
+      for (const [documentId, totalChunks] of Object.entries(run.chunk_counts)) {
+        await recordDocumentReindexed(documentId, { totalChunks, processingVersion: PROCESSING_VERSION });
+      }
+    }
+
+    return await updateReindexRun(run.run_id, { status: 'completed', completed_at: new Date().toISOString() });
+  } catch (error) {
+    if (run.status === 'building') {
+      await updateReindexRun(run.run_id, { status: 'failed', error: error.message }).catch(updateError => {
+        console.warn(`[Reindex] Could not record failure of run ${run.run_id}:`, updateError.message);
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Re-index collections one after another. Collections a retried job already
+ * completed are skipped. onProgress receives { percent, message, collection,
+ * collectionsDone, collectionsTotal, itemsDone, itemsTotal }.
+ */
+export async function runReindex(targets, { jobId = null, completedCollections = [], onProgress = async () => {} } = {}) {
+  const results = [];
+
+  for (const [index, target] of targets.entries()) {
+    const report = (itemsDone, itemsTotal, message) => onProgress({
+      percent: Math.min(99, Math.round(((index + (itemsTotal ? itemsDone / itemsTotal : 0)) / targets.length) * 100)),
+      message,
+      collection: target.collectionName,
+      collectionsDone: index,
+      collectionsTotal: targets.length,
+      itemsDone,
+      itemsTotal
+    });
+
+    if (completedCollections.includes(target.collectionName)) {
+      results.push({ collectionName: target.collectionName, skipped: true });
+      continue;
+    }
+
+    await report(0, 0, `Re-indexing ${target.collectionName}`);
+    const run = await reindexCollection(target, {
+      jobId,
+      onProgress: (run) => report(run.items_done, run.items_total, `Re-indexed ${run.items_done} of ${run.items_total} in ${target.collectionName}`)
+    });
+    results.push({
+      collectionName: target.collectionName,
+      runId: run.run_id,
+      collection: run.shadow_collection,
+      items: run.items_done,
+      points: Object.values(run.chunk_counts).reduce((sum, count) => sum + count, 0)
+    });
+  }
+
+  return results;
+}
@@ -0,0 +1,401 @@
+import { Document } from '@langchain/core/documents';
+import vectorStore from './vector-store.js';
+import { searchSparse, tokenize } from './sparse-index.js';
+import { createEmbeddings, createChatCompletion } from './ai-config.js';
+
+const SNIPPET_LENGTH = 300;
+
+export const RETRIEVAL_MODES = ['hybrid', 'dense', 'sparse'];
+export const MAX_K = 20;
+
+// Reciprocal rank fusion constant; 60 is the usual choice from the RRF paper
+const RRF_K = 60;
+const RERANK_PASSAGE_LENGTH = 800;
+
+export { createEmbeddings };
+
+async function searchByVector(collectionName, vector, k, filter) {
+  try {
+    const points = await vectorStore.search(collectionName, vector, { filter, limit: k });
+    return points.map(({ payload, score }) => ({
+      doc: new Document({ pageContent: payload?.content || '', metadata: payload?.metadata || {} }),
+      score,
+      collectionName
+    }));
+  } catch (error) {
+    console.log(`Collection ${collectionName} not found`);
+    return [];
+  }
+}
+
+/**
+ * Similarity search over one collection. Returns [{ doc, score, collectionName }]
+ * with the cosine score (higher is more relevant), or [] when the
+ * collection does not exist yet.
+ */
+export async function searchCollection(collectionName, query, { k = 5, filter, embeddings = createEmbeddings() } = {}) {
+  const vector = await embeddings.embedQuery(query);
+  return searchByVector(collectionName, vector, k, filter);
+}
+
+// The same chunk can be found twice, e.g. a document re-uploaded with another
+// strategy, so results are keyed by document and chunk rather than collection
+function getChunkKey({ doc, collectionName }) {
+  const { documentId, chunkIndex } = doc.metadata || {};
+  return documentId !== undefined && chunkIndex !== undefined
+    ? `${documentId}:${chunkIndex}`
+    : `${collectionName}:${doc.pageContent}`;
+}
+
+/**
+ * Search several collections with one query embedding and merge the hits
+ * into a single ranking. All collections use the same embedding model, so
+ * their cosine scores are directly comparable.
+ */
+export async function searchCollections(collectionNames, query, { k = 5, filter, embeddings = createEmbeddings() } = {}) {
+  if (collectionNames.length === 0) return [];
+
+  const vector = await embeddings.embedQuery(query);
+  const perCollection = await Promise.all(
+    collectionNames.map(name => searchByVector(name, vector, k, filter))
+  );
+  return mergeResults(perCollection.flat(), k);
+}
+
+/**
+ * Keyword (BM25) counterpart of searchCollections. BM25 scores depend on
+ * per-collection statistics, so they are only roughly comparable across
+ * collections; fusion only uses the resulting order.
+ */
+export async function searchCollectionsSparse(collectionNames, query, { k = 5, filter } = {}) {
+  if (collectionNames.length === 0) return [];
+
+  const perCollection = await Promise.all(
+    collectionNames.map(name => searchSparse(name, query, { k, filter }))
+  );
+  return mergeResults(perCollection.flat(), k);
+}
+
+// Keep the best-scoring copy of each chunk, highest score first
+function mergeResults(results, k) {
+  const best = new Map();
+  for (const result of results) {
+    const key = getChunkKey(result);
+    if (!best.has(key) || best.get(key).score < result.score) {
+      best.set(key, result);
+    }
+  }
+
+  return [...best.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+// ========== HYBRID RETRIEVAL ==========
+
+/**
+ * Reciprocal rank fusion: each list contributes 1 / (RRF_K + rank) for every
+ * chunk it contains. Only ranks are used, so dense cosine scores and BM25
+ * scores never have to be put on the same scale.
+ */
+export function fuseResults(rankedLists) {
+  const fused = new Map();
+  rankedLists.forEach(({ name, results }) => {
+    results.forEach((result, rank) => {
+      const key = getChunkKey(result);
+      const entry = fused.get(key) || { ...result, score: 0, scores: {} };
+      entry.score += 1 / (RRF_K + rank + 1);
+      entry.scores[name] = result.score;
+      fused.set(key, entry);
+    });
+  });
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Ask a small model to grade each candidate passage against the query and
+ * reorder by that grade. Falls back to the incoming order if the call fails.
+ */
+export async function rerankResults(query, results, k) {
+  if (results.length <= 1) return results.slice(0, k);
+
+  const passages = results.map(({ doc }, i) =>
+    `[${i}] ${doc.pageContent.replace(/\s+/g, ' ').slice(0, RERANK_PASSAGE_LENGTH)}`
+  ).join('\n\n');
+
+  try {
+    const response = await createChatCompletion('grading', {
+      messages: [
+        {
+          role: 'system',
+          content: 'You grade how well passages answer a search query. Exact matches of identifiers (container, BL, HS, PO numbers) count as highly relevant. Return only valid JSON.'
+        },
+        {
+          role: 'user',
+          content: `Query: ${query}\n\nPassages:\n${passages}\n\nReturn JSON {"scores": [{"index": 0, "score": 0-10}, ...]} with one entry per passage.`
+        }
+      ],
+      response_format: { type: 'json_object' },
+      temperature: 0,
+      max_tokens: 600,
+    });
+
+    const { scores = [] } = JSON.parse(response.choices[0].message.content);
+    const grades = new Map(scores.map(({ index, score }) => [Number(index), Number(score)]));
+
+    return results
+      .map((result, i) => ({
+        ...result,
+        score: (grades.get(i) ?? 0) / 10,
+        scores: { ...result.scores, retrieval: result.score, rerank: (grades.get(i) ?? 0) / 10 }
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  } catch (error) {
+    console.warn('[Retrieval] Rerank failed, keeping fused order:', error.message);
+    return results.slice(0, k);
+  }
+}
+
+/**
+ * Retrieve the k most relevant chunks from the given collections.
+ *   mode 'dense'  - embedding similarity only
+ *   mode 'sparse' - BM25 keyword match only
+ *   mode 'hybrid' - both, fused with RRF
+ * With rerank, a larger candidate pool is fetched and reranked down to k;
+ * it costs a grading model call, so callers opt in.
+ */
+export async function retrieve(collectionNames, query, { mode = 'hybrid', k = 5, rerank = false, filter } = {}) {
+  const poolSize = rerank ? Math.max(k * 4, 20) : k;
+
+  let candidates;
+  if (mode === 'dense') {
+    candidates = await searchCollections(collectionNames, query, { k: poolSize, filter });
+  } else if (mode === 'sparse') {
+    candidates = await searchCollectionsSparse(collectionNames, query, { k: poolSize, filter });
+  } else {
+    const [dense, sparse] = await Promise.all([
+      searchCollections(collectionNames, query, { k: poolSize, filter }),
+      searchCollectionsSparse(collectionNames, query, { k: poolSize, filter })
+    ]);
+    candidates = fuseResults([
+      { name: 'dense', results: dense },
+      { name: 'sparse', results: sparse }
+    ]).slice(0, poolSize);
+  }
+
+  return rerank ? rerankResults(query, candidates, k) : candidates.slice(0, k);
+}
+
+// ========== PAYLOAD FILTERS ==========
+// Chunks are stored as { content, metadata: {...} }, so every condition is on
+// a metadata.* key. Entities are matched against all of the entity lists the
+// worker extracts.
+
+const ENTITY_KEYS = ['companies', 'locations', 'dates', 'amounts'];
+
+// Entities match regardless of case and surrounding space: chunks store them
+// normalized (the documents row keeps them as extracted) and so do filters
+export function normalizeEntity(value) {
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Translate retrieval filters into a payload filter in the vector store's
+ * (Qdrant) syntax. All given filters must match; within one filter any of
+ * the listed values may match.
+ * Returns undefined when no filter is set.
+ */
+export function buildPayloadFilter({ documentIds, documentTypes, languages, topics, entities, processedFrom, processedTo } = {}) {
+  const must = [];
+  const matchAny = (key, values) => {
+    if (values?.length) must.push({ key, match: { any: values } });
+  };
+
+  matchAny('metadata.documentId', documentIds);
+  matchAny('metadata.documentType', documentTypes);
+  matchAny('metadata.language', languages);
+  matchAny('metadata.topics', topics);
+
+  if (entities?.length) {
+    must.push({
+      should: ENTITY_KEYS.map(key => ({ key: `metadata.entities.${key}`, match: { any: entities.map(normalizeEntity) } }))
+    });
+  }
+
+  // When the document was processed, not dates found in it
+  if (processedFrom || processedTo) {
+    must.push({
+      key: 'metadata.processedAt',
+      range: {
+        ...(processedFrom ? { gte: processedFrom } : {}),
+        ...(processedTo ? { lte: processedTo } : {})
+      }
+    });
+  }
+
+  return must.length > 0 ? { must } : undefined;
+}
+
+// ========== CITATIONS ==========
+// Sources are numbered from 1 in retrieval order; the answer cites them
+// inline as [1], [2] and the response lists them under the same numbers.
+
+export const CITATION_INSTRUCTIONS = 'Cite the sources you use inline with their numbers in square brackets, e.g. [1] or [2][3]. Only cite sources listed in the context. If the context does not contain the answer, say so.';
+
+// API route that signs a download link for the chunk's original file
+function getFileEndpoint(doc) {
+  const { type, invoiceId, documentId } = doc.metadata || {};
+  if (type === 'invoice' && invoiceId) return `/invoices/${invoiceId}/file`;
+  return documentId ? `/documents/${documentId}/file` : null;
+}
+
+function getPageNumber(doc) {
+  return doc.metadata?.loc?.pageNumber ?? doc.metadata?.pageNumber ?? null;
+}
+
+export function buildCitedContext(results) {
+  return results.map(({ doc }, i) => {
+    const page = getPageNumber(doc);
+    const label = [doc.metadata?.source, page ? `page ${page}` : null].filter(Boolean).join(', ');
+    return `[${i + 1}] ${label}\n${doc.pageContent}`;
+  }).join('\n\n');
+}
+
+function toSnippet(text) {
+  const collapsed = text.replace(/\s+/g, ' ').trim();
+  return collapsed.length > SNIPPET_LENGTH
+    ? `${collapsed.slice(0, SNIPPET_LENGTH).trimEnd()}…`
+    : collapsed;
+}
+
+// Markers the model actually used, e.g. "see [1] and [3][4]" -> {1, 3, 4}
+export function getCitedMarkers(answer) {
+  const cited = new Set();
+  for (const match of (answer || '').matchAll(/\[(\d+)\]/g)) {
+    cited.add(Number(match[1]));
+  }
+  return cited;
+}
+
+function roundScores(scores) {
+  return Object.fromEntries(
+    Object.entries(scores).map(([name, value]) => [name, Number(value.toFixed(4))])
+  );
+}
+
+export function formatSources(results, answer) {
+  const cited = getCitedMarkers(answer);
+  return results.map(({ doc, score, scores, collectionName }, i) => ({
+    marker: i + 1,
+    documentId: doc.metadata?.documentId ?? null,
+    filename: doc.metadata?.source ?? null,
+    pageNumber: getPageNumber(doc),
+    chunkIndex: doc.metadata?.chunkIndex ?? null,
+    sectionType: doc.metadata?.sectionType ?? null,
+    strategy: doc.metadata?.strategy ?? null,
+    snippet: toSnippet(doc.pageContent),
+    score: typeof score === 'number' ? Number(score.toFixed(4)) : null,
+    ...(scores ? { scores: roundScores(scores) } : {}),
+    fileEndpoint: getFileEndpoint(doc),
+    collectionName,
+    cited: cited.has(i + 1)
+  }));
+}
+
+// ========== SEARCH RESULTS ==========
+// Raw search returns the chunks themselves. Snippets are HTML-escaped with the
+// query terms wrapped in <mark>, so a search box can render them directly.
+
+const HIGHLIGHT_CONTEXT = 60;
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Query terms as whole words, longest first so "8471.30" wins over "8471"
+function getHighlightPattern(query) {
+  const terms = [...new Set(tokenize(query))].sort((a, b) => b.length - a.length);
+  if (terms.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * A SNIPPET_LENGTH window of the text around the densest run of query terms,
+ * with the terms marked. Falls back to the start of the text without marks
+ * when no term occurs verbatim (e.g. a purely semantic match).
+ */
+export function highlightSnippet(text, query) {
+  const collapsed = (text || '').replace(/\s+/g, ' ').trim();
+  const pattern = getHighlightPattern(query);
+  const matches = pattern ? [...collapsed.matchAll(pattern)] : [];
+  if (matches.length === 0) return escapeHtml(toSnippet(collapsed));
+
+  let best = matches[0];
+  let bestCount = 0;
+  for (const match of matches) {
+    const count = matches.filter(other =>
+      other.index >= match.index && other.index < match.index + SNIPPET_LENGTH - HIGHLIGHT_CONTEXT
+    ).length;
+    if (count > bestCount) {
+      best = match;
+      bestCount = count;
+    }
+  }
+
+  let start = Math.max(0, best.index - HIGHLIGHT_CONTEXT);
+  if (start > 0) {
+    const wordStart = collapsed.indexOf(' ', start);
+    start = wordStart === -1 || wordStart >= best.index ? start : wordStart + 1;
+  }
+  let end = Math.min(collapsed.length, start + SNIPPET_LENGTH);
+  if (end < collapsed.length) {
+    const wordEnd = collapsed.lastIndexOf(' ', end);
+    end = wordEnd > best.index + best[0].length ? wordEnd : end;
+  }
+
+  let snippet = start > 0 ? '…' : '';
+  let position = start;
+  for (const match of matches) {
+    const matchEnd = match.index + match[0].length;
+    if (match.index < start || matchEnd > end) continue;
+    snippet += `${escapeHtml(collapsed.slice(position, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    position = matchEnd;
+  }
+  snippet += escapeHtml(collapsed.slice(position, end).trimEnd());
+  return end < collapsed.length ? `${snippet}…` : snippet;
+}
+
+function pickMetadata(metadata = {}) {
+  const fields = ['documentType', 'language', 'topics', 'entities', 'summary', 'strategy', 'processedAt', 'totalChunks'];
+  return Object.fromEntries(
+    fields.filter(field => metadata[field] !== undefined).map(field => [field, metadata[field]])
+  );
+}
+
+/**
+ * Format ranked search hits; offset is the rank of the first hit minus one.
+ */
+export function formatSearchResults(results, query, offset = 0) {
+  return results.map(({ doc, score, scores, collectionName }, i) => ({
+    rank: offset + i + 1,
+    kind: doc.metadata?.type === 'invoice' ? 'invoice' : 'document',
+    documentId: doc.metadata?.documentId ?? null,
+    invoiceId: doc.metadata?.invoiceId ?? null,
+    filename: doc.metadata?.source ?? null,
+    pageNumber: getPageNumber(doc),
+    chunkIndex: doc.metadata?.chunkIndex ?? null,
+    sectionType: doc.metadata?.sectionType ?? null,
+    score: typeof score === 'number' ? Number(score.toFixed(4)) : null,
+    ...(scores ? { scores: roundScores(scores) } : {}),
+    snippet: highlightSnippet(doc.pageContent, query),
+    content: doc.pageContent,
+    metadata: pickMetadata(doc.metadata),
+    fileEndpoint: getFileEndpoint(doc),
+    collectionName
+  }));
+}
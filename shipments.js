@@ -0,0 +1,97 @@
+import db from './database.js';
+import { scopeToWorkspace } from './authorization.js';
+
+// Shipping quotes and the tracking records of booked shipments.
+// tracking_events is the shipment's event history, oldest first.
+
+export async function saveShippingQuote(sessionId, quoteData, userId, organizationId = null) {
+  const { data, error } = await db
+    .from('shipping_quotes')
+    .insert([{
+      session_id: sessionId,
+      user_id: userId,
+      organization_id: organizationId,
+      quote_data: quoteData,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function createShipmentTracking(bookingData) {
+  const { data, error } = await db
+    .from('shipment_tracking')
+    .insert([{
+      tracking_number: bookingData.trackingNumber,
+      booking_id: bookingData.bookingId,
+      user_id: bookingData.userId,
+      organization_id: bookingData.organizationId || null,
+      session_id: bookingData.sessionId,
+      carrier_id: bookingData.carrierId,
+      service_level: bookingData.serviceLevel,
+      origin: bookingData.origin,
+      destination: bookingData.destination,
+      status: 'pickup_scheduled',
+      estimated_delivery: bookingData.estimatedDelivery,
+      tracking_events: [],
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function getShipmentTracking(trackingNumber, userId = null) {
+  let query = db
+    .from('shipment_tracking')
+    .select('*')
+    .eq('tracking_number', trackingNumber);
+  if (userId) query = query.eq('user_id', userId);
+  const { data, error } = await query.single();
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+export async function getWorkspaceShipment(trackingNumber, workspace) {
+  const { data, error } = await scopeToWorkspace(
+    db.from('shipment_tracking').select('*').eq('tracking_number', trackingNumber),
+    workspace
+  ).single();
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+export async function addTrackingEvent(shipment, event) {
+  const { data, error } = await db
+    .from('shipment_tracking')
+    .update({
+      status: event.status,
+      current_location: event.location || shipment.current_location,
+      tracking_events: [...(shipment.tracking_events || []), event]
+    })
+    .eq('tracking_number', shipment.tracking_number)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function getWorkspaceShipments(workspace) {
+  const { data, error } = await scopeToWorkspace(
+    db.from('shipment_tracking').select('*'),
+    workspace
+  ).order('created_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function countShipments() {
+  const { count, error } = await db
+    .from('shipment_tracking')
+    .select('*', { count: 'exact', head: true });
+  if (error) throw error;
+  return count || 0;
+}
@@ -0,0 +1,124 @@
+import { Document } from '@langchain/core/documents';
+import vectorStore, { getSparseCollectionName, toPoint } from './vector-store.js';
+
+// Keyword (BM25) index kept next to each dense collection.
+// Dense collections hold a single unnamed vector, so the sparse vectors live
+// in a companion collection (getSparseCollectionName) holding the same
+// { content, metadata } payload. The vector store applies the IDF part of BM25
+// itself; the term-frequency part is computed here.
+//
+// Tokens are hashed into the 32-bit sparse index space. Identifiers such as
+// MSCU1234567, 8471.30 or PO-2024-118 are kept whole, and also indexed as their
+// parts and with the separators removed, so "847130" finds "8471.30".
+
+const UPSERT_BATCH_SIZE = 100;
+
+// BM25 term-frequency saturation; chunks are ~1000 characters, ~160 tokens
+const K1 = 1.2;
+const B = 0.75;
+const AVERAGE_CHUNK_TOKENS = 160;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[./-][\p{L}\p{N}]+)*/gu;
+const SEPARATOR = /[./-]/;
+const ALL_SEPARATORS = /[./-]/g;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'were', 'will', 'with', 'what', 'which', 'who', 'does', 'do', 'how'
+]);
+
+export function tokenize(text) {
+  const tokens = [];
+  for (const [token] of (text || '').toLowerCase().matchAll(TOKEN_PATTERN)) {
+    if (SEPARATOR.test(token)) {
+      tokens.push(token, token.replace(ALL_SEPARATORS, ''));
+      tokens.push(...token.split(SEPARATOR).filter(part => part.length > 1));
+    } else if (token.length > 1 && !STOPWORDS.has(token)) {
+      tokens.push(token);
+    }
+  }
+  return tokens;
+}
+
+// 32-bit FNV-1a
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function countTerms(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    const index = hashToken(token);
+    counts.set(index, (counts.get(index) || 0) + 1);
+  }
+  return counts;
+}
+
+export function encodeDocument(text) {
+  const tokens = tokenize(text);
+  const lengthNorm = 1 - B + B * (tokens.length / AVERAGE_CHUNK_TOKENS);
+  const indices = [];
+  const values = [];
+  for (const [index, tf] of countTerms(tokens)) {
+    indices.push(index);
+    values.push((tf * (K1 + 1)) / (tf + K1 * lengthNorm));
+  }
+  return { indices, values };
+}
+
+export function encodeQuery(text) {
+  const indices = [...countTerms(tokenize(text)).keys()];
+  return { indices, values: indices.map(() => 1) };
+}
+
+/**
+ * Add LangChain documents to the keyword index of a dense collection.
+ */
+export async function indexSparseDocuments(collectionName, documents) {
+  const sparseName = getSparseCollectionName(collectionName);
+  await vectorStore.createCollection(sparseName, { sparse: true });
+
+  for (let i = 0; i < documents.length; i += UPSERT_BATCH_SIZE) {
+    const points = documents.slice(i, i + UPSERT_BATCH_SIZE)
+      .map(doc => toPoint(doc, encodeDocument(doc.pageContent)));
+    await vectorStore.upsert(sparseName, points);
+  }
+  return sparseName;
+}
+
+/**
+ * Keyword search over the companion of a dense collection. Returns
+ * [{ doc, score, collectionName }] like the dense search, with the BM25 score,
+ * or [] when the collection has no keyword index yet (documents and invoices
+ * processed before it existed get one when they are re-indexed).
+ */
+export async function searchSparse(collectionName, query, { k = 5, filter } = {}) {
+  const vector = encodeQuery(query);
+  if (vector.indices.length === 0) return [];
+
+  try {
+    const points = await vectorStore.search(getSparseCollectionName(collectionName), vector, { filter, limit: k });
+    return points.map(({ payload, score }) => ({
+      doc: new Document({ pageContent: payload?.content || '', metadata: payload?.metadata || {} }),
+      score,
+      collectionName
+    }));
+  } catch (error) {
+    console.log(`Keyword index for ${collectionName} not found`);
+    return [];
+  }
+}
+
+export async function deleteSparsePoints(collectionName, filter) {
+  await vectorStore.deleteByFilter(getSparseCollectionName(collectionName), filter);
+}
+
+export async function deleteSparseCollection(collectionName) {
+  return vectorStore.deleteCollection(getSparseCollectionName(collectionName));
+}
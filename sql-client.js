@@ -0,0 +1,532 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Direct Postgres and SQLite access for database.js and the migration
+// command. The client speaks the part of the supabase-js query builder the
+// repositories use (select with counts and embedded relations,
+// insert/update/delete with returning, eq, neq, gt/gte/lt/lte, in, is,
+// order, range, limit, single), so the same repository code runs against
+// every backend. Errors keep the PostgREST shape: single() without exactly
+// one row fails with code PGRST116.
+//
+// migrations/*.sql are written for Postgres; SQLite runs them with the few
+// rewrites below.
+
+export const DEFAULT_SQLITE_PATH = 'data/freightchat.db';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+// Postgres type oids returned as JS values matching supabase-js
+const PG_INT8_OID = 20;
+const PG_TIMESTAMPTZ_OID = 1184;
+
+// SQLite accepts the Postgres migrations except for these constructs
+const SQLITE_REWRITES = [
+  [/\bBIGSERIAL PRIMARY KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+  [/\bADD COLUMN IF NOT EXISTS\b/gi, 'ADD COLUMN']
+];
+
+// SQLite constraint errors reported with the Postgres SQLSTATE
+const SQLITE_ERROR_CODES = {
+  SQLITE_CONSTRAINT_PRIMARYKEY: '23505',
+  SQLITE_CONSTRAINT_UNIQUE: '23505',
+  SQLITE_CONSTRAINT_FOREIGNKEY: '23503',
+  SQLITE_CONSTRAINT_NOTNULL: '23502'
+};
+
+// ========== DRIVERS ==========
+// query(sql, params) -> rows, exec(sql) for multi-statement scripts,
+// transaction(fn) and close()
+
+export async function createPostgresDriver(connectionString = process.env.DATABASE_URL) {
+  if (!connectionString) throw new Error('DATABASE_URL is required for the postgres database backend');
+  const { default: pg } = await import('pg');
+
+  const pool = new pg.Pool({
+    connectionString,
+    types: {
+      getTypeParser(oid, format) {
+        if (oid === PG_INT8_OID) return Number;
+        if (oid === PG_TIMESTAMPTZ_OID) return value => new Date(value).toISOString();
+        return pg.types.getTypeParser(oid, format);
+      }
+    }
+  });
+
+  const wrap = (connection) => ({
+    dialect: 'postgres',
+    placeholder: (index) => `$${index}`,
+    async query(sql, params = []) {
+      return (await connection.query(sql, params)).rows;
+    },
+    async exec(sql) {
+      await connection.query(sql);
+    }
+  });
+
+  return {
+    ...wrap(pool),
+
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await fn(wrap(client));
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    async describeTable(table) {
+      return this.query(
+        `SELECT column_name AS name, data_type AS type FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = $1`,
+        [table]
+      );
+    },
+
+    close: () => pool.end()
+  };
+}
+
+export async function createSqliteDriver(filename = process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH) {
+  const { default: Database } = await import('better-sqlite3');
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  const sqlite = new Database(filename);
+  sqlite.pragma('journal_mode = WAL');
+  sqlite.pragma('foreign_keys = ON');
+
+  const translateError = (error) => {
+    if (SQLITE_ERROR_CODES[error.code]) error.code = SQLITE_ERROR_CODES[error.code];
+    return error;
+  };
+
+  const driver = {
+    dialect: 'sqlite',
+    placeholder: () => '?',
+
+    async query(sql, params = []) {
+      try {
+        const statement = sqlite.prepare(sql);
+        if (statement.reader) return statement.all(params);
+        statement.run(params);
+        return [];
+      } catch (error) {
+        throw translateError(error);
+      }
+    },
+
+    async exec(sql) {
+      try {
+        sqlite.exec(SQLITE_REWRITES.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), sql));
+      } catch (error) {
+        throw translateError(error);
+      }
+    },
+
+    // One connection, so the transaction covers whatever runs until fn settles
+    async transaction(fn) {
+      sqlite.exec('BEGIN');
+      try {
+        const result = await fn(driver);
+        sqlite.exec('COMMIT');
+        return result;
+      } catch (error) {
+        sqlite.exec('ROLLBACK');
+        throw error;
+      }
+    },
+
+    async describeTable(table) {
+      return sqlite.pragma(`table_info(${quoteIdentifier(table)})`);
+    },
+
+    close: async () => sqlite.close()
+  };
+  return driver;
+}
+
+// ========== MIGRATIONS ==========
+
+/**
+ * Migration files in order, e.g. { version: '001', name: 'initial_schema', file }.
+ */
+export function readMigrations(directory = MIGRATIONS_DIR) {
+  return fs.readdirSync(directory)
+    .filter(file => /^\d+_[\w-]+\.sql$/.test(file))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(/^(\d+)_([\w-]+)\.sql$/);
+      return { version, name, file: path.join(directory, file) };
+    });
+}
+
+async function getAppliedVersions(driver) {
+  await driver.exec(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version TEXT PRIMARY KEY,
+       name TEXT NOT NULL,
+       applied_at TIMESTAMPTZ NOT NULL
+     )`
+  );
+  const rows = await driver.query('SELECT version FROM schema_migrations');
+  return new Set(rows.map(row => row.version));
+}
+
+/**
+ * Migrations not yet applied to the database.
+ */
+export async function getPendingMigrations(driver) {
+  const applied = await getAppliedVersions(driver);
+  return readMigrations().filter(migration => !applied.has(migration.version));
+}
+
+/**
+ * Apply pending migrations, each in its own transaction. Returns the applied
+ * migrations.
+ */
+export async function runMigrations(driver) {
+  const pending = await getPendingMigrations(driver);
+
+  for (const migration of pending) {
+    const sql = fs.readFileSync(migration.file, 'utf8');
+    await driver.transaction(async (tx) => {
+      await tx.exec(sql);
+      await tx.query(
+        `INSERT INTO schema_migrations (version, name, applied_at) VALUES (${tx.placeholder(1)}, ${tx.placeholder(2)}, ${tx.placeholder(3)})`,
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+    });
+    console.log(`[Database] Applied migration ${migration.version}_${migration.name}`);
+  }
+  return pending;
+}
+
+// ========== SQL CLIENT ==========
+
+function quoteIdentifier(name) {
+  if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+    throw new Error(`Invalid identifier: ${name}`);
+  }
+  return `"${name}"`;
+}
+
+// "role, joined_at, organizations(*)" -> columns and embedded relations
+function parseSelect(columns) {
+  const items = [];
+  let depth = 0;
+  let current = '';
+  for (const char of columns) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) items.push(current.trim());
+
+  const parsed = { columns: [], embeds: [] };
+  for (const item of items) {
+    const embed = item.match(/^(\w+)\((.*)\)$/);
+    if (embed) {
+      parsed.embeds.push({ table: embed[1], select: parseSelect(embed[2] || '*') });
+    } else {
+      parsed.columns.push(item);
+    }
+  }
+  return parsed;
+}
+
+function pickColumns(row, columns) {
+  if (columns.includes('*')) return row;
+  return Object.fromEntries(columns.map(column => [column, row[column]]));
+}
+
+// Embedded relations are many-to-one by naming convention: organizations(*)
+// on a row with organization_id, users(name) on a row with user_id
+function getEmbedKey(table) {
+  return `${table.replace(/s$/, '')}_id`;
+}
+
+function toPostgrestError(error) {
+  return {
+    code: error.code ? String(error.code) : null,
+    message: error.message,
+    details: error.detail || null,
+    hint: error.hint || null
+  };
+}
+
+class SqlQuery {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.filters = [];
+    this.orders = [];
+    this.returning = false;
+  }
+
+  select(columns = '*', { count, head = false } = {}) {
+    this.columns = columns;
+    if (this.action === 'select') {
+      this.countMode = count;
+      this.head = head;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.rows = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, '=', value); }
+  neq(column, value) { return this.filter(column, '<>', value); }
+  gt(column, value) { return this.filter(column, '>', value); }
+  gte(column, value) { return this.filter(column, '>=', value); }
+  lt(column, value) { return this.filter(column, '<', value); }
+  lte(column, value) { return this.filter(column, '<=', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  is(column, value) { return this.filter(column, 'is', value); }
+
+  filter(column, operator, value) {
+    this.filters.push({ column, operator, value });
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.rowLimit = to - from + 1;
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  single() {
+    this.expectSingle = true;
+    return this;
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+
+  async execute() {
+    try {
+      const driver = this.client.driver;
+      const types = await this.client.getColumnTypes(this.table);
+      const result = await this.run(driver, types);
+      if (!this.expectSingle) return { data: result.data, error: null, count: result.count ?? null };
+
+      const rows = result.data || [];
+      if (rows.length !== 1) {
+        return {
+          data: null,
+          count: null,
+          error: {
+            code: 'PGRST116',
+            message: 'JSON object requested, multiple (or no) rows returned',
+            details: `The result contains ${rows.length} rows`,
+            hint: null
+          }
+        };
+      }
+      return { data: rows[0], error: null, count: null };
+    } catch (error) {
+      return { data: null, error: toPostgrestError(error), count: null };
+    }
+  }
+
+  async run(driver, types) {
+    const params = [];
+    const bind = (column, value) => {
+      params.push(this.client.encode(types, column, value));
+      return driver.placeholder(params.length);
+    };
+    const table = quoteIdentifier(this.table);
+    const returning = this.returning ? ' RETURNING *' : '';
+
+    switch (this.action) {
+      case 'insert': {
+        const rows = [];
+        for (const row of this.rows) {
+          params.length = 0;
+          const entries = Object.entries(row).filter(([, value]) => value !== undefined);
+          const sql = entries.length === 0
+            ? `INSERT INTO ${table} DEFAULT VALUES`
+            : `INSERT INTO ${table} (${entries.map(([column]) => quoteIdentifier(column)).join(', ')}) ` +
+              `VALUES (${entries.map(([column, value]) => bind(column, value)).join(', ')})`;
+          rows.push(...await driver.query(`${sql}${returning}`, params));
+        }
+        return { data: await this.shapeRows(rows, types) };
+      }
+
+      case 'update': {
+        const assignments = Object.entries(this.values)
+          .filter(([, value]) => value !== undefined)
+          .map(([column, value]) => `${quoteIdentifier(column)} = ${bind(column, value)}`);
+        if (assignments.length === 0) return { data: await this.shapeRows([], types) };
+        const rows = await driver.query(
+          `UPDATE ${table} SET ${assignments.join(', ')}${this.buildWhere(bind)}${returning}`,
+          params
+        );
+        return { data: await this.shapeRows(rows, types) };
+      }
+
+      case 'delete': {
+        const rows = await driver.query(`DELETE FROM ${table}${this.buildWhere(bind)}${returning}`, params);
+        return { data: await this.shapeRows(rows, types) };
+      }
+
+      default: {
+        const from = `FROM ${table}${this.buildWhere(bind)}`;
+        let count;
+        if (this.countMode) {
+          const [row] = await driver.query(`SELECT COUNT(*) AS count ${from}`, params);
+          count = Number(row.count);
+          if (this.head) return { data: null, count };
+        }
+
+        let sql = `SELECT * ${from}`;
+        if (this.orders.length > 0) {
+          sql += ` ORDER BY ${this.orders.map(({ column, ascending }) => `${quoteIdentifier(column)} ${ascending ? 'ASC' : 'DESC'}`).join(', ')}`;
+        }
+        if (this.rowLimit !== undefined) sql += ` LIMIT ${Number(this.rowLimit)}`;
+        if (this.offset) sql += ` OFFSET ${Number(this.offset)}`;
+
+        const rows = await driver.query(sql, params);
+        return { data: await this.shapeRows(rows, types), count };
+      }
+    }
+  }
+
+  buildWhere(bind) {
+    const clauses = this.filters.map(({ column, operator, value }) => {
+      const name = quoteIdentifier(column);
+      if (operator === 'in') {
+        if (value.length === 0) return '1 = 0';
+        return `${name} IN (${value.map(item => bind(column, item)).join(', ')})`;
+      }
+      if (operator === 'is') {
+        if (value === null) return `${name} IS NULL`;
+        return `${name} IS ${value ? 'TRUE' : 'FALSE'}`;
+      }
+      return `${name} ${operator} ${bind(column, value)}`;
+    });
+    return clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+  }
+
+  // Decode column values, resolve embedded relations and keep the requested
+  // columns; mutations without select() return no rows
+  async shapeRows(rows, types) {
+    if (this.action !== 'select' && !this.returning) return null;
+
+    const decoded = rows.map(row => this.client.decode(types, row));
+    const { columns, embeds } = parseSelect(this.columns);
+
+    for (const embed of embeds) {
+      const key = getEmbedKey(embed.table);
+      const ids = [...new Set(decoded.map(row => row[key]).filter(id => id !== null && id !== undefined))];
+      const { data: related, error } = await new SqlQuery(this.client, embed.table).select('*').in(key, ids);
+      if (error) throw Object.assign(new Error(error.message), error);
+      const byId = new Map((related || []).map(row => [row[key], row]));
+      for (const row of decoded) {
+        const match = byId.get(row[key]);
+        row[embed.table] = match ? pickColumns(match, embed.select.columns) : null;
+      }
+    }
+
+    return decoded.map(row => pickColumns(row, [...columns, ...embeds.map(embed => embed.table)]));
+  }
+}
+
+/**
+ * Client with the supabase-js query interface over a Postgres or SQLite
+ * driver.
+ */
+export function createSqlClient(driver) {
+  const columnTypes = new Map();
+
+  return {
+    backend: driver.dialect,
+    driver,
+
+    from(table) {
+      return new SqlQuery(this, table);
+    },
+
+    // json and boolean columns by table, read from the schema once
+    async getColumnTypes(table) {
+      if (!columnTypes.has(table)) {
+        const columns = await driver.describeTable(table);
+        if (columns.length === 0) {
+          throw Object.assign(new Error(`relation "${table}" does not exist`), { code: '42P01' });
+        }
+        columnTypes.set(table, Object.fromEntries(columns.map(({ name, type }) => {
+          const normalized = String(type).toLowerCase();
+          if (normalized === 'json' || normalized === 'jsonb') return [name, 'json'];
+          if (normalized === 'boolean') return [name, 'boolean'];
+          return [name, 'other'];
+        })));
+      }
+      return columnTypes.get(table);
+    },
+
+    encode(types, column, value) {
+      if (value === null || value === undefined) return null;
+      if (value instanceof Date) return value.toISOString();
+      if (types[column] === 'json') return JSON.stringify(value);
+      if (typeof value === 'boolean' && driver.dialect === 'sqlite') return value ? 1 : 0;
+      return value;
+    },
+
+    decode(types, row) {
+      if (driver.dialect !== 'sqlite') return { ...row };
+      const decoded = { ...row };
+      for (const [column, value] of Object.entries(row)) {
+        if (value === null) continue;
+        if (types[column] === 'json' && typeof value === 'string') decoded[column] = JSON.parse(value);
+        if (types[column] === 'boolean') decoded[column] = Boolean(value);
+      }
+      return decoded;
+    },
+
+    close: () => driver.close()
+  };
+}
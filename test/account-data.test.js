@@ -0,0 +1,84 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../database.js';
+import vectorStore from '../vector-store.js';
+import { eraseAccountData } from '../account-data.js';
+
+// alice leaves behind a personal document and invoice, which are erased, and
+// a document and invoice in an organization bob stays in, which are kept
+// under her pseudonym
+async function insert(table, rows) {
+  const { error } = await db.from(table).insert(rows);
+  if (error) throw error;
+}
+
+const point = (id, metadata, vector) => ({ id, vector, payload: { content: id, metadata } });
+
+async function listMetadata(collectionName) {
+  const metadata = [];
+  for await (const { payload } of vectorStore.scroll(collectionName)) metadata.push(payload.metadata);
+  return metadata;
+}
+
+before(async () => {
+  const now = new Date().toISOString();
+  await insert('users', [{ user_id: 'alice', created_at: now }, { user_id: 'bob', created_at: now }]);
+  await insert('organizations', [{ organization_id: 'acme', name: 'Acme', created_by: 'alice', created_at: now }]);
+  await insert('organization_members', [
+    { organization_id: 'acme', user_id: 'alice', role: 'owner' },
+    { organization_id: 'acme', user_id: 'bob', role: 'admin' }
+  ]);
+  await insert('documents', [
+    { document_id: 'alice-org', user_id: 'alice', organization_id: 'acme', filename: 'a.pdf', collection_name: 'org_acme', strategy: 'organization', uploaded_at: now },
+    { document_id: 'bob-org', user_id: 'bob', organization_id: 'acme', filename: 'b.pdf', collection_name: 'org_acme', strategy: 'organization', uploaded_at: now },
+    { document_id: 'alice-personal', user_id: 'alice', filename: 'c.pdf', collection_name: 'user_alice', strategy: 'user', uploaded_at: now }
+  ]);
+  await insert('invoices', [
+    { invoice_id: 'alice-org-invoice', user_id: 'alice', organization_id: 'acme', filename: 'i.pdf', uploaded_at: now },
+    { invoice_id: 'alice-invoice', user_id: 'alice', filename: 'j.pdf', uploaded_at: now }
+  ]);
+
+  await vectorStore.createCollection('org_acme', { dimensions: 2 });
+  await vectorStore.upsert('org_acme', [
+    point('p1', { documentId: 'alice-org', userId: 'alice', organizationId: 'acme' }, [1, 0]),
+    point('p2', { documentId: 'bob-org', userId: 'bob', organizationId: 'acme' }, [0, 1])
+  ]);
+  await vectorStore.createCollection('invoices_alice', { dimensions: 2 });
+  await vectorStore.upsert('invoices_alice', [
+    point('p3', { invoiceId: 'alice-org-invoice', userId: 'alice', organizationId: 'acme' }, [1, 0]),
+    point('p4', { invoiceId: 'alice-invoice', userId: 'alice' }, [0, 1])
+  ]);
+  await vectorStore.createCollection('user_alice', { dimensions: 2 });
+  await vectorStore.upsert('user_alice', [point('p5', { documentId: 'alice-personal', userId: 'alice' }, [1, 0])]);
+});
+
+test('erasing an account keeps organization data under a pseudonym', async () => {
+  const summary = await eraseAccountData({ userId: 'alice', receiptId: 'r1' });
+
+  assert.deepEqual(summary.retainedOrganizationData, { documents: 1, invoices: 1, shippingQuotes: 0, shipments: 0 });
+  assert.equal(summary.database.users, 1);
+
+  const { data: documents } = await db.from('documents').select('document_id, user_id').order('document_id');
+  assert.deepEqual(documents, [
+    { document_id: 'alice-org', user_id: 'deleted-r1' },
+    { document_id: 'bob-org', user_id: 'bob' }
+  ]);
+  const { data: invoices } = await db.from('invoices').select('invoice_id, user_id');
+  assert.deepEqual(invoices, [{ invoice_id: 'alice-org-invoice', user_id: 'deleted-r1' }]);
+  const { data: organizations } = await db.from('organizations').select('organization_id, created_by');
+  assert.deepEqual(organizations, [{ organization_id: 'acme', created_by: 'deleted-r1' }]);
+
+  assert.deepEqual((await listMetadata('org_acme')).map(metadata => metadata.userId).sort(), ['bob', 'deleted-r1']);
+  assert.deepEqual((await listMetadata('invoices_deleted-r1')).map(metadata => metadata.invoiceId), ['alice-org-invoice']);
+  assert.equal(await vectorStore.collectionExists('invoices_alice'), false);
+  assert.equal(await vectorStore.collectionExists('user_alice'), false);
+});
+
+test('a retried erasure finds nothing left of the user', async () => {
+  const summary = await eraseAccountData({ userId: 'alice', receiptId: 'r1' });
+
+  assert.deepEqual(summary.retainedOrganizationData, { documents: 1, invoices: 1, shippingQuotes: 0, shipments: 0 });
+  assert.equal(summary.database.users, 0);
+  assert.deepEqual(summary.qdrant.collectionsDeleted, []);
+  assert.equal((await listMetadata('org_acme')).length, 2);
+});
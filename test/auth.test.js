@@ -0,0 +1,86 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { redisConnection } from '../redis-config.js';
+import {
+  createSession,
+  getSession,
+  issueRefreshToken,
+  rotateRefreshToken,
+  recordFailedLogin,
+  getLockoutRemaining,
+  clearFailedLogins
+} from '../auth.js';
+
+beforeEach(() => redisConnection.flushall());
+
+// ========== REFRESH TOKENS ==========
+
+test('a refresh token rotates into a new one', async () => {
+  const sessionId = await createSession('alice');
+  const token = await issueRefreshToken('alice', sessionId);
+
+  const rotated = await rotateRefreshToken(token);
+  assert.equal(rotated.userId, 'alice');
+  assert.equal(rotated.sessionId, sessionId);
+  assert.notEqual(rotated.refreshToken, token);
+  assert.ok(await rotateRefreshToken(rotated.refreshToken));
+});
+
+test('only one of two concurrent refreshes with the same token succeeds', async () => {
+  const sessionId = await createSession('alice');
+  const token = await issueRefreshToken('alice', sessionId);
+
+  const results = await Promise.all([rotateRefreshToken(token), rotateRefreshToken(token)]);
+  assert.ok(results.filter(Boolean).length <= 1);
+  // The losing request looks like a replayed token, so the session is revoked
+  assert.equal(await getSession(sessionId), null);
+});
+
+test('reusing a rotated refresh token revokes the session', async () => {
+  const sessionId = await createSession('alice');
+  const token = await issueRefreshToken('alice', sessionId);
+  const { refreshToken } = await rotateRefreshToken(token);
+
+  assert.equal(await rotateRefreshToken(token), null);
+  assert.equal(await getSession(sessionId), null);
+  assert.equal(await rotateRefreshToken(refreshToken), null);
+});
+
+// ========== LOGIN LOCKOUT ==========
+
+test('failed logins lock the account out for the address they came from', async () => {
+  for (let i = 1; i < 5; i++) {
+    const { locked, remainingAttempts } = await recordFailedLogin('alice', '10.0.0.1');
+    assert.equal(locked, false);
+    assert.equal(remainingAttempts, 5 - i);
+  }
+  const { locked } = await recordFailedLogin('alice', '10.0.0.1');
+  assert.equal(locked, true);
+
+  assert.ok(await getLockoutRemaining('alice', '10.0.0.1') > 0);
+  assert.equal(await getLockoutRemaining('alice', '10.0.0.2'), 0);
+  assert.equal(await getLockoutRemaining('bob', '10.0.0.1'), 0);
+});
+
+test('failures spread over addresses back off logins for the account', async () => {
+  for (let i = 0; i < 10; i++) {
+    const { locked } = await recordFailedLogin('alice', `10.0.1.${i}`);
+    assert.equal(locked, false);
+  }
+  const { locked, retryAfter } = await recordFailedLogin('alice', '10.0.1.10');
+  assert.equal(locked, true);
+  assert.equal(retryAfter, 2);
+  assert.ok(await getLockoutRemaining('alice', '10.0.2.1') > 0);
+
+  const next = await recordFailedLogin('alice', '10.0.1.11');
+  assert.equal(next.retryAfter, 4);
+});
+
+test('a successful login clears the failure counts', async () => {
+  for (let i = 0; i < 4; i++) await recordFailedLogin('alice', '10.0.0.1');
+  await clearFailedLogins('alice', '10.0.0.1');
+
+  const { locked, remainingAttempts } = await recordFailedLogin('alice', '10.0.0.1');
+  assert.equal(locked, false);
+  assert.equal(remainingAttempts, 4);
+});
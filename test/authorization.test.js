@@ -0,0 +1,108 @@
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { redisConnection } from '../redis-config.js';
+import { createSession, revokeSession } from '../auth.js';
+import { createUser, deactivateUser } from '../users.js';
+import { createOrganization, addOrganizationMember, removeOrganizationMember } from '../organizations.js';
+import { createDocument } from '../documents.js';
+import {
+  resolveWorkspace,
+  getOwnedDocument,
+  canShareDocuments,
+  isStillAuthorized
+} from '../authorization.js';
+
+let organizationId;
+
+function request({ userId = 'alice', headers = {}, query = {}, apiKey, ...rest } = {}) {
+  return { userId, params: {}, query, apiKey, get: (name) => headers[name.toLowerCase()], ...rest };
+}
+
+before(async () => {
+  for (const userId of ['alice', 'bob', 'carol']) {
+    await createUser({ userId, name: userId, email: null, passwordHash: null });
+  }
+  ({ organization_id: organizationId } = await createOrganization({ name: 'Acme', createdBy: 'alice' }));
+  await addOrganizationMember(organizationId, 'bob', 'viewer');
+
+  await createDocument({ documentId: 'personal-doc', userId: 'alice', organizationId: null, filename: 'a.pdf', collectionName: 'user_alice', strategy: 'user' });
+  await createDocument({ documentId: 'org-doc', userId: 'bob', organizationId, filename: 'b.pdf', collectionName: `org_${organizationId}`, strategy: 'organization' });
+});
+
+afterEach(() => {
+  delete process.env.SHARED_DOCUMENTS_ORG_ID;
+});
+
+// ========== WORKSPACES ==========
+
+test('requests act in the personal workspace unless an organization is selected', async () => {
+  assert.deepEqual(await resolveWorkspace(request()), { userId: 'alice', organizationId: null, role: 'owner' });
+  assert.deepEqual(
+    await resolveWorkspace(request({ userId: 'bob', headers: { 'x-organization-id': organizationId } })),
+    { userId: 'bob', organizationId, role: 'viewer' }
+  );
+  assert.equal(await resolveWorkspace(request({ userId: 'carol', query: { orgId: organizationId } })), null);
+});
+
+test('API keys are pinned to the workspace they were created in', async () => {
+  const personalKey = { keyId: 'k1', organizationId: null, scopes: ['documents:read'] };
+  assert.equal(await resolveWorkspace(request({ apiKey: personalKey, headers: { 'x-organization-id': organizationId } })), null);
+  assert.equal((await resolveWorkspace(request({ apiKey: personalKey }))).organizationId, null);
+
+  const organizationKey = { keyId: 'k2', organizationId, scopes: ['documents:read'] };
+  assert.equal((await resolveWorkspace(request({ apiKey: organizationKey }))).organizationId, organizationId);
+  assert.equal(await resolveWorkspace(request({ apiKey: organizationKey, headers: { 'x-organization-id': 'other' } })), null);
+});
+
+// ========== OWNERSHIP ==========
+
+test('documents are only found from the workspace that owns them', async () => {
+  const personal = { userId: 'alice', organizationId: null };
+  const organization = { userId: 'alice', organizationId };
+
+  assert.equal((await getOwnedDocument('personal-doc', personal)).document_id, 'personal-doc');
+  assert.equal(await getOwnedDocument('personal-doc', organization), null);
+  assert.equal((await getOwnedDocument('org-doc', organization)).document_id, 'org-doc');
+  assert.equal(await getOwnedDocument('org-doc', { userId: 'bob', organizationId: null }), null);
+});
+
+test('only admins of the configured organization can add shared documents', () => {
+  const owner = { userId: 'alice', organizationId, role: 'owner' };
+  assert.equal(canShareDocuments(request(), owner), false);
+
+  process.env.SHARED_DOCUMENTS_ORG_ID = organizationId;
+  assert.equal(canShareDocuments(request(), owner), true);
+  assert.equal(canShareDocuments(request(), { ...owner, role: 'operator' }), false);
+  assert.equal(canShareDocuments(request(), { userId: 'alice', organizationId: null, role: 'owner' }), false);
+  assert.equal(canShareDocuments(request({ apiKey: { organizationId, scopes: [] } }), owner), false);
+});
+
+// ========== LONG-LIVED REQUESTS ==========
+
+test('a stream stays authorized until its session is revoked', async () => {
+  const sessionId = await createSession('alice');
+  const req = request({ sessionId, tokenId: 'jti-1', workspace: { userId: 'alice', organizationId: null } });
+
+  assert.equal(await isStillAuthorized(req, 'documents:read'), true);
+  await revokeSession(sessionId);
+  assert.equal(await isStillAuthorized(req, 'documents:read'), false);
+});
+
+test('a stream stays authorized until the member leaves the organization', async () => {
+  await addOrganizationMember(organizationId, 'carol', 'viewer');
+  const sessionId = await createSession('carol');
+  const req = request({ userId: 'carol', sessionId, tokenId: 'jti-2', workspace: { userId: 'carol', organizationId } });
+
+  assert.equal(await isStillAuthorized(req, 'documents:read'), true);
+  assert.equal(await isStillAuthorized(req, 'documents:write'), false);
+  await removeOrganizationMember(organizationId, 'carol');
+  assert.equal(await isStillAuthorized(req, 'documents:read'), false);
+});
+
+test('a stream ends when its user is deactivated', async () => {
+  const sessionId = await createSession('bob');
+  const req = request({ userId: 'bob', sessionId, tokenId: 'jti-3', workspace: { userId: 'bob', organizationId: null } });
+
+  await deactivateUser('bob');
+  assert.equal(await isStillAuthorized(req, 'documents:read'), false);
+});
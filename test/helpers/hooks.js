@@ -0,0 +1,9 @@
+// Module hooks for the tests: redis-config.js connects to Upstash on import,
+// so it is swapped for redis.js, which exports an ioredis-mock instance
+const REDIS_CONFIG_URL = new URL('../../redis-config.js', import.meta.url).href;
+const REDIS_MOCK_URL = new URL('./redis.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  return resolved.url === REDIS_CONFIG_URL ? { ...resolved, url: REDIS_MOCK_URL } : resolved;
+}
@@ -0,0 +1,8 @@
+import RedisMock from 'ioredis-mock';
+
+// Stands in for redis-config.js in the tests (see hooks.js)
+export function createRedisConnection() {
+  return new RedisMock();
+}
+
+export const redisConnection = createRedisConnection();
@@ -0,0 +1,16 @@
+import { register } from 'node:module';
+
+// Loaded with --import before every test file (see the test script). Tests
+// run against in-memory SQLite, the in-memory local vector store and a mock
+// Redis, so they need no services; these win over a developer's .env.
+Object.assign(process.env, {
+  DATABASE_BACKEND: 'sqlite',
+  SQLITE_PATH: ':memory:',
+  VECTOR_STORE: 'local',
+  VECTOR_STORE_PATH: '',
+  JWT_SECRET: 'test-secret',
+  OPENAI_API_KEY: 'sk-test',
+  QDRANT_URL: 'http://127.0.0.1:1'
+});
+
+register('./hooks.js', import.meta.url);
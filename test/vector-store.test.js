@@ -0,0 +1,169 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createQdrantVectorStore, createLocalVectorStore } from '../vector-store.js';
+
+// In-memory stand-in for the Qdrant client calls the store makes. Like
+// Qdrant, lookups resolve aliases and an alias update applies all of its
+// actions or none.
+function createFakeQdrant({ onDeleteCollection = () => {} } = {}) {
+  const collections = new Set();
+  const aliases = new Map();
+  const client = {
+    collections,
+    aliases,
+    async getAliases() {
+      return { aliases: [...aliases].map(([alias_name, collection_name]) => ({ alias_name, collection_name })) };
+    },
+    async collectionExists(name) {
+      return { exists: collections.has(name) || aliases.has(name) };
+    },
+    async createCollection(name) {
+      if (collections.has(name) || aliases.has(name)) throw new Error(`${name} already exists`);
+      collections.add(name);
+    },
+    async deleteCollection(name) {
+      collections.delete(name);
+      for (const [alias, target] of aliases) if (target === name) aliases.delete(alias);
+      onDeleteCollection(name, client);
+    },
+    async updateCollectionAliases({ actions }) {
+      const next = new Map(aliases);
+      for (const action of actions) {
+        if (action.delete_alias) {
+          if (!next.delete(action.delete_alias.alias_name)) throw new Error('Alias not found');
+        } else {
+          const { alias_name, collection_name } = action.create_alias;
+          if (next.has(alias_name) || collections.has(alias_name)) throw new Error(`${alias_name} already exists`);
+          if (!collections.has(collection_name)) throw new Error(`${collection_name} not found`);
+          next.set(alias_name, collection_name);
+        }
+      }
+      aliases.clear();
+      for (const [alias, target] of next) aliases.set(alias, target);
+    }
+  };
+  return client;
+}
+
+// ========== QDRANT ==========
+
+test('Qdrant collections are created as versioned collections behind an alias', async () => {
+  const client = createFakeQdrant();
+  const store = createQdrantVectorStore(client);
+
+  await store.createCollection('docs', { dimensions: 2 });
+  await store.createCollection('docs', { dimensions: 2 });
+
+  const physical = await store.getAliasTarget('docs');
+  assert.match(physical, /^docs__v[0-9a-f]{8}$/);
+  assert.deepEqual([...client.collections], [physical]);
+  assert.equal(await store.collectionExists('docs'), true);
+});
+
+test('switching a Qdrant alias points it at the collection behind the shadow', async () => {
+  const client = createFakeQdrant();
+  const store = createQdrantVectorStore(client);
+  await store.createCollection('docs', { dimensions: 2 });
+  await store.createCollection('docs__reindex_1', { dimensions: 2 });
+  const before = await store.getAliasTarget('docs');
+  const shadow = await store.getAliasTarget('docs__reindex_1');
+
+  const previous = await store.switchAliases([{ alias: 'docs', collection: 'docs__reindex_1' }]);
+  assert.deepEqual(previous, [before]);
+  assert.equal(await store.getAliasTarget('docs'), shadow);
+
+  assert.equal(await store.deleteCollection('docs'), true);
+  assert.equal(client.collections.has(shadow), false);
+  assert.equal(await store.collectionExists('docs'), false);
+});
+
+test('the first switch replaces a collection created before versioning', async () => {
+  const client = createFakeQdrant();
+  client.collections.add('docs');
+  const store = createQdrantVectorStore(client);
+  await store.createCollection('docs__reindex_1', { dimensions: 2 });
+
+  assert.deepEqual(await store.switchAliases([{ alias: 'docs', collection: 'docs__reindex_1' }]), []);
+  assert.equal(client.collections.has('docs'), false);
+  assert.equal(await store.getAliasTarget('docs'), await store.getAliasTarget('docs__reindex_1'));
+});
+
+test('a legacy collection recreated during the switch is replaced on retry', async () => {
+  let recreated = false;
+  const client = createFakeQdrant({
+    onDeleteCollection(name, fake) {
+      if (name === 'docs' && !recreated) {
+        recreated = true;
+        fake.collections.add('docs');
+      }
+    }
+  });
+  client.collections.add('docs');
+  const store = createQdrantVectorStore(client);
+  await store.createCollection('docs__reindex_1', { dimensions: 2 });
+
+  await store.switchAliases([{ alias: 'docs', collection: 'docs__reindex_1' }]);
+  assert.equal(recreated, true);
+  assert.equal(client.collections.has('docs'), false);
+  assert.equal(await store.getAliasTarget('docs'), await store.getAliasTarget('docs__reindex_1'));
+});
+
+// ========== LOCAL ==========
+
+const point = (id) => ({ id, vector: [1, 0], payload: { content: id, metadata: {} } });
+
+function createTempDirectory(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vectors-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+test('local aliases switch in one step and deleting an alias deletes its collection', async (t) => {
+  const store = createLocalVectorStore({ directory: createTempDirectory(t) });
+  await store.createCollection('docs', { dimensions: 2 });
+  await store.upsert('docs', [point('old')]);
+  await store.createCollection('docs__reindex_1', { dimensions: 2 });
+  await store.upsert('docs__reindex_1', [point('new')]);
+
+  assert.deepEqual(await store.switchAliases([{ alias: 'docs', collection: 'docs__reindex_1' }]), []);
+  assert.deepEqual((await toArray(store.scroll('docs'))).map(p => p.id), ['new']);
+  assert.equal(await store.getAliasTarget('docs'), 'docs__reindex_1');
+
+  await store.createCollection('docs__reindex_2', { dimensions: 2 });
+  assert.deepEqual(await store.switchAliases([{ alias: 'docs', collection: 'docs__reindex_2' }]), ['docs__reindex_1']);
+
+  assert.equal(await store.deleteCollection('docs'), true);
+  assert.equal(await store.collectionExists('docs'), false);
+  assert.equal(await store.collectionExists('docs__reindex_2'), false);
+});
+
+test('concurrent local writes from two processes keep every point', async (t) => {
+  const directory = createTempDirectory(t);
+  const store = createLocalVectorStore({ directory });
+  await store.createCollection('docs', { dimensions: 2 });
+
+  const writer = `
+    const { createLocalVectorStore } = await import(${JSON.stringify(new URL('../vector-store.js', import.meta.url).href)});
+    const store = createLocalVectorStore({ directory: ${JSON.stringify(directory)} });
+    const tag = process.argv[1];
+    await Promise.all(Array.from({ length: 50 }, (_, i) => store.upsert('docs', [{ id: tag + i, vector: [1, 0], payload: {} }])));
+  `;
+  const run = (tag) => promisify(execFile)(process.execPath, ['--input-type=module', '-e', writer, tag], {
+    env: { ...process.env, VECTOR_STORE_PATH: directory }
+  });
+  await Promise.all([run('a'), run('b'), store.upsert('docs', [point('parent')])]);
+
+  assert.equal(await store.count('docs'), 101);
+  assert.equal(fs.existsSync(path.join(directory, '.lock')), false);
+});
+
+async function toArray(iterator) {
+  const items = [];
+  for await (const item of iterator) items.push(item);
+  return items;
+}
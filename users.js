@@ -0,0 +1,53 @@
+import db from './database.js';
+
+export async function createUser(userData) {
+  const { data, error } = await db
+    .from('users')
+    .insert([{
+      user_id: userData.userId,
+      name: userData.name,
+      email: userData.email,
+      password_hash: userData.passwordHash,
+      created_at: new Date().toISOString(),
+      last_accessed: new Date().toISOString(),
+      is_active: true
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function getUserById(userId) {
+  const { data, error } = await db
+    .from('users')
+    .select('*')
+    .eq('user_id', userId)
+    .single();
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+export async function updateUserLastAccessed(userId) {
+  const { error } = await db
+    .from('users')
+    .update({ last_accessed: new Date().toISOString() })
+    .eq('user_id', userId);
+  if (error) throw error;
+}
+
+export async function deactivateUser(userId) {
+  const { error } = await db
+    .from('users')
+    .update({ is_active: false, deletion_requested_at: new Date().toISOString() })
+    .eq('user_id', userId);
+  if (error) throw error;
+}
+
+export async function countUsers() {
+  const { count, error } = await db
+    .from('users')
+    .select('*', { count: 'exact', head: true });
+  if (error) throw error;
+  return count || 0;
+}
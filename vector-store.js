@@ -0,0 +1,631 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import dotenv from 'dotenv';
+import qdrant from './qdrant-config.js';
+
+dotenv.config();
+
+// Vector storage behind one small interface, so the workers and the API do
+// not depend on Qdrant directly:
+//
+//   collectionExists(name)                  -> boolean
+//   createCollection(name, { dimensions, sparse })
+//                                           creates it unless it exists
+//   deleteCollection(name)                  -> whether it existed
+//   upsert(name, points)                    points: [{ id, vector, payload }]
+//   deleteByFilter(name, filter)            no-op for a missing collection
+//   search(name, vector, { filter, limit }) -> [{ id, score, payload }]
+//   count(name, filter)                     -> number, 0 for a missing collection
+//   scroll(name, { filter, withVector })    async iterator of { id, payload }
+//                                           (and vector with withVector)
+//   createPayloadIndex(name, field, schema)
+//   getAliasTarget(name)                    -> collection behind an alias, or null
+//   switchAliases([{ alias, collection }])  points aliases at collections in
+//                                           one step -> collections they left
+//
+// Every call also takes an alias. Re-indexing (reindex.js) builds a new
+// collection and then turns the old name into an alias of it; deleting an
+// alias deletes the collection behind it. Qdrant creates every collection
+// under a versioned name behind an alias of the requested one, so switching
+// it later only moves aliases, which Qdrant does in one atomic update.
+//
+// Dense collections hold one unnamed cosine vector (number[]); sparse ones
+// hold a BM25 vector ({ indices, values }) weighted by IDF at query time.
+// Filters use Qdrant's syntax: must / should / must_not with key + match
+// ({ value } or { any }), range and is_empty conditions.
+//
+// VECTOR_STORE picks the backend: qdrant (default, QDRANT_URL/QDRANT_API_KEY)
+// or local, an embedded store for development and tests. The local store
+// keeps collections in memory, or as JSON files under VECTOR_STORE_PATH so
+// the API and worker processes see the same data; writes take turns on a
+// lock file there, so they do not overwrite each other.
+
+// ========== COLLECTION NAMES ==========
+
+export const SHARED_COLLECTION = process.env.QDRANT_COLLECTION || 'shared_documents';
+const SPARSE_SUFFIX = '__sparse';
+
+export function getUserCollectionName(userId) {
+  return `user_${userId}`;
+}
+
+export function getInvoiceCollectionName(userId) {
+  return `invoices_${userId}`;
+}
+
+export function getDocumentCollectionName(documentId) {
+  return `doc_${documentId}`;
+}
+
+export function getOrganizationCollectionName(organizationId) {
+  return `org_${organizationId}`;
+}
+
+// Keyword index kept next to each dense collection
+export function getSparseCollectionName(collectionName) {
+  return `${collectionName}${SPARSE_SUFFIX}`;
+}
+
+// Collection a re-index run builds before the live name is switched to it
+export function getShadowCollectionName(collectionName, runId) {
+  return `${collectionName}__reindex_${runId}`;
+}
+
+/**
+ * Collection a document is stored in under an upload strategy.
+ */
+export function getCollectionName(strategy, { userId, organizationId, documentId }) {
+  switch (strategy) {
+    case 'document':
+      return getDocumentCollectionName(documentId);
+    case 'shared':
+      return SHARED_COLLECTION;
+    case 'organization':
+      return getOrganizationCollectionName(organizationId);
+    case 'user':
+    default:
+      return getUserCollectionName(userId);
+  }
+}
+
+// ========== POINTS ==========
+
+// Deterministic ids, so reprocessing a document or invoice overwrites its own
+// points. Qdrant only accepts UUIDs and integers as ids.
+export function getPointId(metadata, content) {
+  let seed = content;
+  if (metadata?.documentId !== undefined && metadata?.chunkIndex !== undefined) {
+    seed = `${metadata.documentId}:${metadata.chunkIndex}`;
+  } else if (metadata?.invoiceId) {
+    seed = `invoice:${metadata.invoiceId}`;
+  }
+  const hex = crypto.createHash('sha256').update(seed).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+// LangChain Documents are stored as { content, metadata }
+export function toPoint(doc, vector) {
+  return {
+    id: getPointId(doc.metadata, doc.pageContent),
+    vector,
+    payload: { content: doc.pageContent, metadata: doc.metadata }
+  };
+}
+
+function isSparseVector(vector) {
+  return !Array.isArray(vector);
+}
+
+// ========== QDRANT ==========
+
+const SPARSE_VECTOR_NAME = 'bm25';
+const SCROLL_PAGE_SIZE = 256;
+
+export function createQdrantVectorStore(client = qdrant) {
+  async function getAliasTarget(name) {
+    const { aliases } = await client.getAliases();
+    return aliases.find(alias => alias.alias_name === name)?.collection_name ?? null;
+  }
+
+  // Qdrant resolves aliases here, as in every other collection lookup
+  async function collectionExists(name) {
+    const { exists } = await client.collectionExists(name);
+    return exists;
+  }
+
+  // Aliases can only point at collections, so a switch to a name that is
+  // itself an alias (a re-index shadow) points at the collection behind it
+  async function planSwitch(switches) {
+    const previous = [];
+    const replaced = [];
+    const actions = [];
+    for (const { alias, collection } of switches) {
+      const physical = (await getAliasTarget(collection)) ?? collection;
+      const target = await getAliasTarget(alias);
+      if (target) {
+        if (target !== physical) previous.push(target);
+        actions.push({ delete_alias: { alias_name: alias } });
+      } else if (await collectionExists(alias)) {
+        replaced.push(alias);
+      }
+      actions.push({ create_alias: { collection_name: physical, alias_name: alias } });
+    }
+    return { previous, replaced, actions };
+  }
+
+  return {
+    name: 'qdrant',
+
+    collectionExists,
+
+    async createCollection(name, { dimensions, sparse = false } = {}) {
+      if (await collectionExists(name)) return;
+      const physical = `${name}__v${crypto.randomBytes(4).toString('hex')}`;
+      await client.createCollection(physical, sparse
+        ? { sparse_vectors: { [SPARSE_VECTOR_NAME]: { modifier: 'idf' } } }
+        : { vectors: { size: dimensions, distance: 'Cosine' } });
+      try {
+        await client.updateCollectionAliases({ actions: [{ create_alias: { collection_name: physical, alias_name: name } }] });
+      } catch (error) {
+        // Another process created the collection in the meantime; use theirs
+        await client.deleteCollection(physical);
+        if (!(await collectionExists(name))) throw error;
+      }
+    },
+
+    async deleteCollection(name) {
+      const target = await getAliasTarget(name);
+      if (target) {
+        await client.updateCollectionAliases({ actions: [{ delete_alias: { alias_name: name } }] });
+        await client.deleteCollection(target);
+        return true;
+      }
+      if (!(await collectionExists(name))) return false;
+      await client.deleteCollection(name);
+      return true;
+    },
+
+    getAliasTarget,
+
+    // Collections created before they were versioned hold the alias name
+    // themselves. Qdrant cannot turn a collection into an alias in one step,
+    // so their first switch drops them just before the update, and searches
+    // on them miss in between. If an upload recreates the name in that gap,
+    // the switch is planned again and replaces it as well.
+    async switchAliases(switches) {
+      for (let attempt = 1; ; attempt++) {
+        const { previous, replaced, actions } = await planSwitch(switches);
+        for (const name of replaced) {
+          await client.deleteCollection(name);
+        }
+        try {
+          await client.updateCollectionAliases({ actions });
+          return previous;
+        } catch (error) {
+          if (replaced.length === 0 || attempt === 2) throw error;
+          console.warn(`[Vectors] ${replaced.join(', ')} was recreated during the switch, retrying:`, error.message);
+        }
+      }
+    },
+
+    async upsert(name, points) {
+      if (points.length === 0) return;
+      await client.upsert(name, {
+        wait: true,
+        points: points.map(({ id, vector, payload }) => ({
+          id,
+          vector: isSparseVector(vector) ? { [SPARSE_VECTOR_NAME]: vector } : vector,
+          payload
+        }))
+      });
+    },
+
+    async deleteByFilter(name, filter) {
+      if (!(await collectionExists(name))) return;
+      await client.delete(name, { wait: true, filter });
+    },
+
+    async search(name, vector, { filter, limit = 5 } = {}) {
+      const response = await client.query(name, {
+        query: vector,
+        using: isSparseVector(vector) ? SPARSE_VECTOR_NAME : undefined,
+        filter,
+        limit,
+        with_payload: true
+      });
+      return response.points.map(({ id, score, payload }) => ({ id, score, payload }));
+    },
+
+    async count(name, filter) {
+      if (!(await collectionExists(name))) return 0;
+      const { count } = await client.count(name, { filter, exact: true });
+      return count;
+    },
+
+    async *scroll(name, { filter, withVector = false } = {}) {
+      let offset = null;
+      do {
+        const page = await client.scroll(name, {
+          filter,
+          limit: SCROLL_PAGE_SIZE,
+          offset: offset ?? undefined,
+          with_payload: true,
+          with_vector: withVector
+        });
+        for (const { id, payload, vector } of page.points) {
+          yield withVector ? { id, payload, vector: vector?.[SPARSE_VECTOR_NAME] ?? vector } : { id, payload };
+        }
+        offset = page.next_page_offset;
+      } while (offset !== null && offset !== undefined);
+    },
+
+    // Creating an index that already exists is a no-op
+    async createPayloadIndex(name, fieldName, fieldSchema) {
+      await client.createPayloadIndex(name, { field_name: fieldName, field_schema: fieldSchema, wait: true });
+    }
+  };
+}
+
+// ========== LOCAL ==========
+
+// Values at a dotted payload path; arrays along the way are flattened, so
+// metadata.topics matches when any topic does, as in Qdrant
+function getValues(payload, key) {
+  let values = [payload];
+  for (const part of key.split('.')) {
+    values = values
+      .flatMap(value => (value !== null && typeof value === 'object' ? [value[part]] : []))
+      .flatMap(value => (Array.isArray(value) ? value : [value]))
+      .filter(value => value !== undefined);
+  }
+  return values.filter(value => value !== null);
+}
+
+function toComparable(value) {
+  if (typeof value === 'number') return value;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? Number(value) : time;
+}
+
+function matchesRange(values, range) {
+  return values.some(value => {
+    const actual = toComparable(value);
+    return (range.gt === undefined || actual > toComparable(range.gt))
+      && (range.gte === undefined || actual >= toComparable(range.gte))
+      && (range.lt === undefined || actual < toComparable(range.lt))
+      && (range.lte === undefined || actual <= toComparable(range.lte));
+  });
+}
+
+function matchesCondition(point, condition) {
+  if (condition.must || condition.should || condition.must_not) {
+    return matchesFilter(point, condition);
+  }
+  if (condition.has_id) {
+    return condition.has_id.includes(point.id);
+  }
+  if (condition.is_empty) {
+    return getValues(point.payload, condition.is_empty.key).length === 0;
+  }
+  if (condition.is_null) {
+    return getValues(point.payload, condition.is_null.key).length === 0;
+  }
+
+  const values = getValues(point.payload, condition.key);
+  if (condition.range) return matchesRange(values, condition.range);
+  if (condition.match?.any) return values.some(value => condition.match.any.includes(value));
+  if (condition.match?.except) return values.some(value => !condition.match.except.includes(value));
+  if (condition.match && 'value' in condition.match) return values.includes(condition.match.value);
+  throw new Error(`Unsupported filter condition: ${JSON.stringify(condition)}`);
+}
+
+function matchesFilter(point, filter) {
+  if (!filter) return true;
+  const { must = [], should = [], must_not: mustNot = [] } = filter;
+  return must.every(condition => matchesCondition(point, condition))
+    && (should.length === 0 || should.some(condition => matchesCondition(point, condition)))
+    && !mustNot.some(condition => matchesCondition(point, condition));
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Sparse dot product with Qdrant's IDF: ln(1 + (N - n + 0.5) / (n + 0.5))
+function createSparseScorer(points, query) {
+  const documentFrequency = new Map(query.indices.map(index => [index, 0]));
+  for (const { vector } of points) {
+    for (const index of vector.indices) {
+      if (documentFrequency.has(index)) documentFrequency.set(index, documentFrequency.get(index) + 1);
+    }
+  }
+  const weights = new Map(query.indices.map((index, i) => {
+    const n = documentFrequency.get(index);
+    return [index, query.values[i] * Math.log(1 + (points.length - n + 0.5) / (n + 0.5))];
+  }));
+
+  return (vector) => vector.indices.reduce(
+    (score, index, i) => score + (weights.has(index) ? weights.get(index) * vector.values[i] : 0),
+    0
+  );
+}
+
+// Writers in different processes take turns on a lock file; one older than
+// this was left behind by a process that crashed while holding it
+const LOCK_TIMEOUT_MS = 10000;
+const STALE_LOCK_MS = 30000;
+
+// Every write replaces the file, so the inode tells writes apart that land
+// in the same mtime tick
+function getFileVersion(filePath) {
+  const { mtimeMs, ino, size } = fs.statSync(filePath);
+  return `${mtimeMs}:${ino}:${size}`;
+}
+
+export function createLocalVectorStore({ directory = process.env.VECTOR_STORE_PATH } = {}) {
+  // name -> { config, points: Map(id -> { id, vector, payload }), modifiedAt }
+  const collections = new Map();
+
+  // alias -> collection; kept in a file no collection name can map to
+  const aliases = { map: new Map(), modifiedAt: null };
+
+  const getFilePath = (name) => path.join(directory, `${encodeURIComponent(name)}.json`);
+  const getAliasesPath = () => path.join(directory, '.aliases');
+  const getLockPath = () => path.join(directory, '.lock');
+
+  async function acquireLock() {
+    fs.mkdirSync(directory, { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        fs.writeFileSync(getLockPath(), String(process.pid), { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      try {
+        if (Date.now() - fs.statSync(getLockPath()).mtimeMs > STALE_LOCK_MS) {
+          fs.rmSync(getLockPath(), { force: true });
+          continue;
+        }
+      } catch {
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for the vector store lock ${getLockPath()}`);
+      await sleep(10);
+    }
+  }
+
+  // Held for every read-modify-write, which reads the files afresh. Writes
+  // of this process queue up behind each other; fn itself is synchronous, so
+  // the lock file is only held while it runs.
+  let locked = false;
+  let lockQueue = Promise.resolve();
+  function withLock(fn) {
+    if (!directory) return Promise.resolve().then(fn);
+    const run = lockQueue.then(async () => {
+      await acquireLock();
+      locked = true;
+      try {
+        return fn();
+      } finally {
+        locked = false;
+        fs.rmSync(getLockPath(), { force: true });
+      }
+    });
+    lockQueue = run.catch(() => {});
+    return run;
+  }
+
+  function loadAliases() {
+    if (!directory) return aliases.map;
+    let modifiedAt;
+    try {
+      modifiedAt = getFileVersion(getAliasesPath());
+    } catch {
+      aliases.map = new Map();
+      aliases.modifiedAt = null;
+      return aliases.map;
+    }
+    if (locked || aliases.modifiedAt !== modifiedAt) {
+      aliases.map = new Map(Object.entries(JSON.parse(fs.readFileSync(getAliasesPath(), 'utf8'))));
+      aliases.modifiedAt = modifiedAt;
+    }
+    return aliases.map;
+  }
+
+  function saveAliases(map) {
+    aliases.map = map;
+    if (!directory) return;
+    fs.mkdirSync(directory, { recursive: true });
+    const tempPath = `${getAliasesPath()}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(map)));
+    fs.renameSync(tempPath, getAliasesPath());
+    aliases.modifiedAt = getFileVersion(getAliasesPath());
+  }
+
+  const resolve = (name) => loadAliases().get(name) ?? name;
+
+  // File-backed collections are re-read when another process changed them
+  function load(name) {
+    if (!directory) return collections.get(name) || null;
+
+    const filePath = getFilePath(name);
+    let modifiedAt;
+    try {
+      modifiedAt = getFileVersion(filePath);
+    } catch {
+      collections.delete(name);
+      return null;
+    }
+    const cached = collections.get(name);
+    if (!locked && cached?.modifiedAt === modifiedAt) return cached;
+
+    const { config, points } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const collection = { config, points: new Map(points.map(point => [point.id, point])), modifiedAt };
+    collections.set(name, collection);
+    return collection;
+  }
+
+  function save(name, collection) {
+    collections.set(name, collection);
+    if (!directory) return;
+
+    fs.mkdirSync(directory, { recursive: true });
+    const filePath = getFilePath(name);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ config: collection.config, points: [...collection.points.values()] }));
+    fs.renameSync(tempPath, filePath);
+    collection.modifiedAt = getFileVersion(filePath);
+  }
+
+  function getCollection(name) {
+    const collection = load(name);
+    if (!collection) throw new Error(`Collection ${name} not found`);
+    return collection;
+  }
+
+  return {
+    name: 'local',
+
+    async collectionExists(name) {
+      return load(resolve(name)) !== null;
+    },
+
+    async createCollection(name, { dimensions, sparse = false } = {}) {
+      await withLock(() => {
+        if (load(resolve(name))) return;
+        save(name, { config: { dimensions, sparse }, points: new Map() });
+      });
+    },
+
+    async deleteCollection(name) {
+      return withLock(() => {
+        const map = loadAliases();
+        if (map.has(name)) {
+          const target = map.get(name);
+          map.delete(name);
+          saveAliases(map);
+          name = target;
+        }
+        if (!load(name)) return false;
+        collections.delete(name);
+        if (directory) fs.rmSync(getFilePath(name), { force: true });
+        return true;
+      });
+    },
+
+    async getAliasTarget(name) {
+      return loadAliases().get(name) ?? null;
+    },
+
+    async switchAliases(switches) {
+      return withLock(() => {
+        const map = new Map(loadAliases());
+        const previous = [];
+        const replaced = [];
+        for (const { alias, collection } of switches) {
+          if (map.has(alias)) {
+            if (map.get(alias) !== collection) previous.push(map.get(alias));
+          } else if (load(alias)) {
+            replaced.push(alias);
+          }
+          map.set(alias, collection);
+        }
+        // Aliases win over collections of the same name, so the switch happens
+        // here and the replaced collections are only dropped afterwards
+        saveAliases(map);
+        for (const name of replaced) {
+          collections.delete(name);
+          if (directory) fs.rmSync(getFilePath(name), { force: true });
+        }
+        return previous;
+      });
+    },
+
+    async upsert(name, points) {
+      await withLock(() => {
+        name = resolve(name);
+        const collection = getCollection(name);
+        for (const { id, vector, payload } of points) {
+          if (!collection.config.sparse && vector.length !== collection.config.dimensions) {
+            throw new Error(`Vector of ${vector.length} dimensions does not fit ${name} (${collection.config.dimensions})`);
+          }
+          collection.points.set(id, { id, vector, payload });
+        }
+        save(name, collection);
+      });
+    },
+
+    async deleteByFilter(name, filter) {
+      await withLock(() => {
+        name = resolve(name);
+        const collection = load(name);
+        if (!collection) return;
+        for (const point of [...collection.points.values()]) {
+          if (matchesFilter(point, filter)) collection.points.delete(point.id);
+        }
+        save(name, collection);
+      });
+    },
+
+    async search(name, vector, { filter, limit = 5 } = {}) {
+      const collection = getCollection(resolve(name));
+      const points = [...collection.points.values()];
+      const score = collection.config.sparse
+        ? createSparseScorer(points, vector)
+        : (pointVector) => cosine(vector, pointVector);
+
+      return points
+        .filter(point => matchesFilter(point, filter))
+        .map(point => ({ id: point.id, score: score(point.vector), payload: point.payload }))
+        .filter(result => !collection.config.sparse || result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    },
+
+    async count(name, filter) {
+      const collection = load(resolve(name));
+      if (!collection) return 0;
+      return [...collection.points.values()].filter(point => matchesFilter(point, filter)).length;
+    },
+
+    async *scroll(name, { filter, withVector = false } = {}) {
+      for (const point of getCollection(resolve(name)).points.values()) {
+        if (!matchesFilter(point, filter)) continue;
+        yield withVector ? { id: point.id, payload: point.payload, vector: point.vector } : { id: point.id, payload: point.payload };
+      }
+    },
+
+    // Every search is a full scan, so there is nothing to index
+    async createPayloadIndex() {}
+  };
+}
+
+// ========== STORE ==========
+
+function createVectorStore() {
+  const backend = process.env.VECTOR_STORE || 'qdrant';
+  switch (backend) {
+    case 'qdrant':
+      return createQdrantVectorStore();
+    case 'local':
+      return createLocalVectorStore();
+    default:
+      throw new Error(`VECTOR_STORE must be qdrant or local, got ${backend}`);
+  }
+}
+
+const vectorStore = createVectorStore();
+
+export default vectorStore;
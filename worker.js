@@ -1,29 +1,49 @@
 import { Worker } from 'bullmq';
-import { OpenAIEmbeddings } from '@langchain/openai';
-import { QdrantVectorStore } from '@langchain/qdrant';
-import { Document } from '@langchain/core/documents';
-import { PDFLoader } from '@langchain/community/document_loaders/fs/pdf';
-import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
-import OpenAI from 'openai';
 import express from 'express';
 import cors from 'cors';
-import fs from 'fs';
 import dotenv from 'dotenv';
-import axios from 'axios';
-import { createClient } from '@supabase/supabase-js';
-import cloudinary from './cloudinary-config.js';
+import { getDatabaseBackend } from './database.js';
+import { markDocumentProcessed, recordDocumentFailure } from './documents.js';
+import { saveInvoiceAnalysis, recordInvoiceFailure } from './invoices.js';
+import vectorStore, { getSparseCollectionName, getInvoiceCollectionName, toPoint } from './vector-store.js';
 import { redisConnection } from './redis-config.js';
+import {
+  verifyUserToken,
+  requirePermission,
+  getOwnedDocument,
+  getOwnedInvoice
+} from './authorization.js';
+import { getJwtSecret } from './auth.js';
+import { eraseAccountData, updateDeletionReceipt } from './account-data.js';
+import { getReindexTargets, runReindex } from './reindex.js';
+import { getJobReindexRuns } from './reindex-runs.js';
+import { publishEvent } from './events.js';
+import {
+  indexSparseDocuments,
+  deleteSparsePoints,
+  deleteSparseCollection
+} from './sparse-index.js';
+import { detectFileType, getFileTypeLabel, loadDocument } from './document-loaders.js';
+import { getOcrConfidence } from './ocr.js';
+import { getDefaultBackend, getStoredFile, readStoredFile } from './blob-storage.js';
+import { getChunkingMode, buildAnalysisWindow } from './chunking.js';
+import {
+  PROCESSING_VERSION,
+  ocrScannedPages,
+  buildDocumentChunks,
+  buildInvoiceDocument,
+  ensurePayloadIndexes
+} from './document-pipeline.js';
+import { createChatCompletion, createEmbeddings, getEmbeddingDimensions } from './ai-config.js';
 
 dotenv.config();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+try {
+  getJwtSecret();
+} catch (error) {
+  console.error(`✗ ${error.message}. Refusing to start.`);
+  process.exit(1);
+}
 
 // ========== AI-POWERED DOCUMENT ANALYSIS ==========
 
@@ -50,8 +70,7 @@ Return JSON:
   "sentiment": "positive|neutral|negative|technical"
 }`;
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const response = await createChatCompletion('analysis', {
       messages: [
         { 
           role: 'system', 
@@ -85,13 +104,13 @@ async function analyzeInvoiceWithAI(content, filename) {
   try {
     if (!content || content.trim().length < 50) {
       console.error('[Invoice AI] ERROR: Content too short or empty');
-      throw new Error('PDF content is empty or too short to analyze');
+      throw new Error('Document content is empty or too short to analyze');
     }
 
     console.log(`[Invoice AI] Starting analysis for: ${filename}`);
     console.log(`[Invoice AI] Content length: ${content.length} characters`);
     
-    const contentToAnalyze = content.substring(0, 8000);
+    const contentToAnalyze = buildAnalysisWindow(content, 8000);
     
     const prompt = `Analyze this invoice/shipping document and extract ALL relevant information.
 
@@ -191,10 +210,9 @@ Extract and return JSON with ALL available fields:
 
 IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, just pure JSON.`;
 
-    console.log('[Invoice AI] Calling OpenAI API...');
+    console.log('[Invoice AI] Calling extraction model...');
     
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const response = await createChatCompletion('extraction', {
       messages: [
         { 
           role: 'system', 
@@ -247,82 +265,96 @@ IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, just pure JSON.`
   }
 }
 
+// ========== JOB PROGRESS ==========
+
+// Progress is stored on the job as { stage, percent, message } so the API's
+// status endpoints can return it as-is
+async function reportProgress(job, stage, percent, message, extra = {}) {
+  try {
+    await job.updateProgress({ stage, percent, message, ...extra, updatedAt: new Date().toISOString() });
+  } catch (error) {
+    console.warn(`[Progress] Could not update job ${job.id}:`, error.message);
+  }
+}
+
+function isFinalAttempt(job) {
+  return job.attemptsMade + 1 >= (job.opts.attempts || 1);
+}
+
+// Jobs queued before storage keys existed only carry a Cloudinary public_id
+function getJobFile(data) {
+  const file = getStoredFile({
+    storage_backend: data.storageBackend,
+    storage_key: data.storageKey,
+    cloudinary_public_id: data.cloudinaryPublicId
+  });
+  if (!file) throw new Error('Job does not reference a stored file');
+  return file;
+}
+
+// ========== OCR ==========
+
+async function readScannedPages(job, fileBuffer, fileType, docs, percent) {
+  return ocrScannedPages(fileBuffer, fileType, docs, {
+    onStart: (count) => reportProgress(job, 'ocr', percent, `Reading ${count} scanned page${count === 1 ? '' : 's'} with OCR`)
+  });
+}
+
 // ========== PDF PROCESSING WORKER (WITH CLOUDINARY) ==========
 
 const pdfWorker = new Worker(
   'file-upload-queue',
   async (job) => {
     const startTime = Date.now();
-    let tempPath = null;
     
     try {
       console.log(`[PDF Worker] Processing job ${job.id}`);
       const data = typeof job.data === 'string' ? JSON.parse(job.data) : job.data;
 
-      const { cloudinaryUrl, cloudinaryPublicId, filename, collectionName, strategy, userId, documentId } = data;
+      const { filename, mimetype, collectionName, strategy, userId, organizationId, documentId } = data;
+      const storedFile = getJobFile(data);
 
-      console.log(`[PDF Worker] Downloading from Cloudinary: ${filename}`);
+      console.log(`[PDF Worker] Downloading from ${storedFile.backend}: ${filename}`);
+      await reportProgress(job, 'download', 5, `Downloading ${filename}`);
+      const fileBuffer = await readStoredFile(storedFile);
 
-      // Download PDF from Cloudinary
-      const response = await axios.get(cloudinaryUrl, { 
-        responseType: 'arraybuffer',
-        timeout: 30000 // 30 second timeout
-      });
+      const fileSize = fileBuffer.length;
+      console.log(`[PDF Worker] Downloaded ${filename} (${(fileSize / 1024).toFixed(2)} KB)`);
 
-      // Save to temporary file in /tmp (Render provides /tmp space)
-      tempPath = `/tmp/${Date.now()}-${filename}`;
-      fs.writeFileSync(tempPath, response.data);
+      const fileType = detectFileType(fileBuffer, { mimetype, filename });
+      if (!fileType) {
+        throw new Error(`Unsupported file type: ${filename}`);
+      }
 
-      const fileSize = fs.statSync(tempPath).size;
-      console.log(`[PDF Worker] Downloaded ${filename} (${(fileSize / 1024).toFixed(2)} KB)`);
+      await reportProgress(job, 'parse', 15, `Parsing ${getFileTypeLabel(fileType)}`);
+      const loadedDocs = await loadDocument(fileBuffer, { filename, fileType });
+      console.log(`[PDF Worker] Loaded ${loadedDocs.length} pages (${fileType})`);
 
-      const loader = new PDFLoader(tempPath);
-      const docs = await loader.load();
-      console.log(`[PDF Worker] Loaded ${docs.length} pages`);
+      const { docs: pages, ocrPages } = await readScannedPages(job, fileBuffer, fileType, loadedDocs, 20);
+      const docs = pages.filter(doc => doc.pageContent.trim());
+      if (docs.length === 0) {
+        throw new Error(`No readable text found in ${filename}`);
+      }
 
       const fullText = docs.map(doc => doc.pageContent).join('\n');
       console.log(`[PDF Worker] Running AI analysis...`);
+      await reportProgress(job, 'analysis', 25, `Analyzing ${docs.length} pages`);
       const aiAnalysis = await analyzeDocumentWithAI(fullText, filename);
       console.log(`[PDF Worker] Detected: ${aiAnalysis.documentType} (confidence: ${aiAnalysis.confidence})`);
 
-      const splitter = new RecursiveCharacterTextSplitter({
-        chunkSize: 1000,
-        chunkOverlap: 200,
-        separators: ['\n\n', '\n', '. ', ' ', ''],
-      });
-
-      const splitDocs = await splitter.splitDocuments(docs);
-      console.log(`[PDF Worker] Split into ${splitDocs.length} chunks`);
-
-      const enrichedDocs = splitDocs.map((doc, index) => {
-        return new Document({
-          pageContent: doc.pageContent,
-          metadata: {
-            ...doc.metadata,
-            source: filename,
-            chunkIndex: index,
-            totalChunks: splitDocs.length,
-            documentId,
-            userId,
-            strategy,
-            processedAt: new Date().toISOString(),
-            documentType: aiAnalysis.documentType,
-            language: aiAnalysis.language,
-            confidence: aiAnalysis.confidence,
-            summary: aiAnalysis.summary,
-            topics: aiAnalysis.topics,
-            sentiment: aiAnalysis.sentiment,
-            entities: aiAnalysis.keyEntities,
-            fileSize,
-            cloudinaryUrl,
-            processingVersion: '5.4.0-cloudinary'
-          },
-        });
+      await reportProgress(job, 'chunking', 35, `Splitting into chunks (${getChunkingMode(aiAnalysis.documentType)})`);
+      const { chunks: enrichedDocs, chunkingMode } = await buildDocumentChunks(docs, {
+        filename,
+        documentId,
+        userId,
+        organizationId,
+        strategy,
+        fileSize,
+        analysis: aiAnalysis
       });
+      console.log(`[PDF Worker] Split into ${enrichedDocs.length} chunks (${chunkingMode})`);
 
-      const embeddings = new OpenAIEmbeddings({
-        model: 'text-embedding-3-small',
-        apiKey: process.env.OPENAI_API_KEY,
+      const embeddings = createEmbeddings({
         batchSize: 100,
         stripNewLines: true,
       });
@@ -330,44 +362,36 @@ const pdfWorker = new Worker(
       console.log(`[PDF Worker] Creating vector store: ${collectionName}`);
 
       if (strategy === 'document') {
-        try {
-          const tmpStore = new QdrantVectorStore(embeddings, {
-            url: process.env.QDRANT_URL,
-            apiKey: process.env.QDRANT_API_KEY,
-            collectionName,
-            config: { checkCompatibility: false },
-          });
-          await tmpStore.client.deleteCollection(collectionName);
+        if (await vectorStore.deleteCollection(collectionName)) {
           console.log(`[PDF Worker] Cleared collection: ${collectionName}`);
-        } catch {
-          console.log(`[PDF Worker] Collection ${collectionName} did not exist`);
         }
+        await deleteSparseCollection(collectionName);
+      } else {
+        // Reprocessing (or a retried job) must not leave the previous chunks behind
+        const documentFilter = { must: [{ key: 'metadata.documentId', match: { value: documentId } }] };
+        await vectorStore.deleteByFilter(collectionName, documentFilter);
+        await deleteSparsePoints(collectionName, documentFilter);
       }
 
-      const vectorStore = await QdrantVectorStore.fromDocuments(
-        [],
-        embeddings,
-        {
-          url: process.env.QDRANT_URL,
-          apiKey: process.env.QDRANT_API_KEY,
-          collectionName,
-          config: { 
-            checkCompatibility: false,
-            vectors: {
-              size: 1536,
-              distance: 'Cosine'
-            }
-          },
-        }
-      );
+      await vectorStore.createCollection(collectionName, { dimensions: await getEmbeddingDimensions() });
 
       const batchSize = 25;
+      const totalBatches = Math.ceil(enrichedDocs.length / batchSize);
       let processedChunks = 0;
       
       for (let i = 0; i < enrichedDocs.length; i += batchSize) {
         const batch = enrichedDocs.slice(i, i + batchSize);
+        const batchNumber = i / batchSize + 1;
+        await reportProgress(
+          job,
+          'embedding',
+          40 + Math.round(((batchNumber - 1) / totalBatches) * 55),
+          `Embedding batch ${batchNumber} of ${totalBatches}`,
+          { batch: batchNumber, totalBatches }
+        );
         try {
-          await vectorStore.addDocuments(batch);
+          const vectors = await embeddings.embedDocuments(batch.map(doc => doc.pageContent));
+          await vectorStore.upsert(collectionName, batch.map((doc, j) => toPoint(doc, vectors[j])));
           processedChunks += batch.length;
           
           const progress = ((processedChunks / enrichedDocs.length) * 100).toFixed(1);
@@ -377,55 +401,37 @@ const pdfWorker = new Worker(
         }
       }
 
-      // Update Supabase
+      // Keyword index for identifiers the embeddings miss (container, BL, HS, PO numbers)
+      await reportProgress(job, 'keyword-index', 96, 'Building keyword index');
       try {
-        const { error: updateError } = await supabase
-          .from('documents')
-          .update({
-            total_pages: docs.length,
-            total_chunks: processedChunks,
-            file_size: fileSize,
-            document_type: aiAnalysis.documentType,
-            language: aiAnalysis.language,
-            confidence: aiAnalysis.confidence,
-            summary: aiAnalysis.summary,
-            topics: aiAnalysis.topics,
-            sentiment: aiAnalysis.sentiment,
-            key_entities: aiAnalysis.keyEntities,
-            cloudinary_url: cloudinaryUrl,
-            cloudinary_public_id: cloudinaryPublicId,
-            processed: true,
-            processed_at: new Date().toISOString(),
-            processing_version: '5.4.0-cloudinary'
-          })
-          .eq('document_id', documentId);
-
-        if (updateError) {
-          console.warn(`[PDF Worker] Supabase update failed:`, updateError.message);
-        } else {
-          console.log(`[PDF Worker] ✓ Updated Supabase record: ${documentId}`);
-        }
-      } catch (supabaseError) {
-        console.warn(`[PDF Worker] Supabase update error:`, supabaseError.message);
+        await indexSparseDocuments(collectionName, enrichedDocs);
+      } catch (sparseError) {
+        console.error(`[PDF Worker] Keyword indexing failed:`, sparseError.message);
       }
 
-      // Clean up temp file
-      if (tempPath && fs.existsSync(tempPath)) {
-        fs.unlinkSync(tempPath);
-        console.log(`[PDF Worker] ✓ Cleaned up temp file`);
-      }
+      await ensurePayloadIndexes(collectionName);
+      await ensurePayloadIndexes(getSparseCollectionName(collectionName));
 
-      // Optionally delete from Cloudinary after processing
-      // Uncomment if you want to save Cloudinary storage space
-      // try {
-      //   await cloudinary.uploader.destroy(cloudinaryPublicId, { resource_type: 'raw' });
-      //   console.log(`[PDF Worker] ✓ Deleted from Cloudinary: ${cloudinaryPublicId}`);
-      // } catch (err) {
-      //   console.warn(`[PDF Worker] Could not delete from Cloudinary:`, err.message);
-      // }
+      // Save processing results
+      await reportProgress(job, 'saving', 97, 'Saving document metadata');
+      try {
+        await markDocumentProcessed(documentId, {
+          totalPages: docs.length,
+          totalChunks: processedChunks,
+          fileSize,
+          analysis: aiAnalysis,
+          ocrPages,
+          ocrConfidence: getOcrConfidence(ocrPages),
+          processingVersion: PROCESSING_VERSION
+        });
+        console.log(`[PDF Worker] ✓ Updated document record: ${documentId}`);
+      } catch (dbError) {
+        console.warn(`[PDF Worker] Document update failed:`, dbError.message);
+      }
 
       const processingTime = Date.now() - startTime;
       console.log(`[PDF Worker] ✓ Completed in ${processingTime}ms`);
+      await reportProgress(job, 'completed', 100, `Indexed ${processedChunks} chunks`);
 
       return {
         success: true,
@@ -433,19 +439,23 @@ const pdfWorker = new Worker(
         chunks: processedChunks,
         collectionName,
         strategy,
+        fileType,
+        ocrPages,
+        chunkingMode,
         aiAnalysis,
         processingTime,
-        version: '5.4.0-cloudinary'
+        version: PROCESSING_VERSION
       };
 
     } catch (err) {
       console.error(`[PDF Worker] Job ${job.id} failed:`, err);
-      
-      // Clean up temp file on error
-      if (tempPath && fs.existsSync(tempPath)) {
+
+      if (isFinalAttempt(job)) {
         try {
-          fs.unlinkSync(tempPath);
-        } catch {}
+          await recordDocumentFailure(job.data.documentId, err.message);
+        } catch (dbErr) {
+          console.error(`[PDF Worker] Could not record failure:`, dbErr.message);
+        }
       }
       
       throw err;
@@ -457,15 +467,6 @@ const pdfWorker = new Worker(
     limiter: {
       max: 10,
       duration: 60000,
-    },
-    defaultJobOptions: {
-      removeOnComplete: 100,
-      removeOnFail: 50,
-      attempts: 3,
-      backoff: {
-        type: 'exponential',
-        delay: 2000,
-      },
     }
   }
 );
@@ -476,7 +477,6 @@ const invoiceWorker = new Worker(
   'invoice-upload-queue',
   async (job) => {
     const startTime = Date.now();
-    let tempPath = null;
     
     try {
       console.log(`\n========================================`);
@@ -484,40 +484,43 @@ const invoiceWorker = new Worker(
       console.log(`========================================`);
       
       const data = typeof job.data === 'string' ? JSON.parse(job.data) : job.data;
-      const { cloudinaryUrl, cloudinaryPublicId, filename, invoiceId, userId, sessionId, bookingId } = data;
+      const { filename, mimetype, invoiceId, userId, organizationId, sessionId, bookingId } = data;
+      const storedFile = getJobFile(data);
 
       console.log(`[Invoice Worker] File: ${filename}`);
       console.log(`[Invoice Worker] Invoice ID: ${invoiceId}`);
 
-      console.log(`[Invoice Worker] Downloading from Cloudinary...`);
-      const response = await axios.get(cloudinaryUrl, { 
-        responseType: 'arraybuffer',
-        timeout: 30000
-      });
-
-      tempPath = `/tmp/${Date.now()}-${filename}`;
-      fs.writeFileSync(tempPath, response.data);
+      console.log(`[Invoice Worker] Downloading from ${storedFile.backend}...`);
+      await reportProgress(job, 'download', 10, `Downloading ${filename}`);
+      const fileBuffer = await readStoredFile(storedFile);
 
-      const fileSize = fs.statSync(tempPath).size;
+      const fileSize = fileBuffer.length;
       console.log(`[Invoice Worker] File size: ${(fileSize / 1024).toFixed(2)} KB`);
 
-      console.log(`[Invoice Worker] Loading PDF...`);
-      const loader = new PDFLoader(tempPath);
-      const docs = await loader.load();
-      console.log(`[Invoice Worker] ✓ Loaded ${docs.length} pages`);
+      const fileType = detectFileType(fileBuffer, { mimetype, filename });
+      if (!fileType) {
+        throw new Error(`Unsupported file type: ${filename}`);
+      }
+
+      console.log(`[Invoice Worker] Loading ${fileType}...`);
+      await reportProgress(job, 'parse', 25, `Parsing ${getFileTypeLabel(fileType)}`);
+      const loadedDocs = await loadDocument(fileBuffer, { filename, fileType });
+      console.log(`[Invoice Worker] ✓ Loaded ${loadedDocs.length} pages`);
 
+      const { docs, ocrPages } = await readScannedPages(job, fileBuffer, fileType, loadedDocs, 30);
       if (docs.length === 0) {
-        throw new Error('PDF has no pages or could not be read');
+        throw new Error(`${getFileTypeLabel(fileType)} has no pages or could not be read`);
       }
 
       const fullContent = docs.map(doc => doc.pageContent).join('\n\n');
       console.log(`[Invoice Worker] Extracted text length: ${fullContent.length} characters`);
       
       if (fullContent.length < 50) {
-        throw new Error('PDF content is empty or unreadable');
+        throw new Error('Document content is empty or unreadable');
       }
 
       console.log(`[Invoice Worker] Starting AI analysis...`);
+      await reportProgress(job, 'analysis', 40, 'Extracting invoice data');
       const analysis = await analyzeInvoiceWithAI(fullContent, filename);
       
       console.log(`\n[Invoice Worker] ========== ANALYSIS RESULTS ==========`);
@@ -526,80 +529,50 @@ const invoiceWorker = new Worker(
       console.log(`[Invoice Worker] Ready for Booking: ${analysis.validation.readyForBooking}`);
       console.log(`[Invoice Worker] ======================================\n`);
 
-      console.log(`[Invoice Worker] Updating Supabase...`);
-      const { data: updateData, error: updateError } = await supabase
-        .from('invoices')
-        .update({
-          processed: true,
-          document_type: analysis.documentType,
-          extracted_data: analysis,
-          total_pages: docs.length,
-          cloudinary_url: cloudinaryUrl,
-          cloudinary_public_id: cloudinaryPublicId,
-          processed_at: new Date().toISOString()
-        })
-        .eq('invoice_id', invoiceId)
-        .select()
-        .single();
-
-      if (updateError) {
-        throw updateError;
-      }
-      
-      console.log(`[Invoice Worker] ✓ Supabase updated successfully`);
+      console.log(`[Invoice Worker] Saving analysis...`);
+      await reportProgress(job, 'saving', 75, 'Saving extracted data');
+      await saveInvoiceAnalysis(invoiceId, { analysis, totalPages: docs.length });
+      console.log(`[Invoice Worker] ✓ Invoice record updated`);
 
       try {
         console.log(`[Invoice Worker] Creating vector embeddings...`);
-        const embeddings = new OpenAIEmbeddings({
-          model: 'text-embedding-3-small',
-          apiKey: process.env.OPENAI_API_KEY,
-        });
-
-        const collectionName = `invoices_${userId}`;
-        
-        const invoiceDoc = new Document({
-          pageContent: fullContent,
-          metadata: {
-            source: filename,
-            invoiceId,
-            sessionId,
-            bookingId,
-            userId,
-            type: 'invoice',
-            documentType: analysis.documentType,
-            analysis: analysis,
-            processedAt: new Date().toISOString(),
-            fileSize,
-            cloudinaryUrl,
-            version: '5.4.0-cloudinary'
-          },
+        await reportProgress(job, 'embedding', 85, 'Embedding invoice');
+        const embeddings = createEmbeddings();
+
+        const collectionName = getInvoiceCollectionName(userId);
+
+        const invoiceDoc = buildInvoiceDocument(fullContent, {
+          filename,
+          invoiceId,
+          sessionId,
+          bookingId,
+          userId,
+          organizationId,
+          fileType,
+          analysis,
+          ocrPages,
+          ocrConfidence: getOcrConfidence(ocrPages),
+          fileSize
         });
 
-        const vectorStore = await QdrantVectorStore.fromDocuments(
-          [],
-          embeddings,
-          {
-            url: process.env.QDRANT_URL,
-            apiKey: process.env.QDRANT_API_KEY,
-            collectionName,
-            config: { checkCompatibility: false },
-          }
-        );
+        await vectorStore.createCollection(collectionName, { dimensions: await getEmbeddingDimensions() });
+        const [vector] = await embeddings.embedDocuments([invoiceDoc.pageContent]);
+        await vectorStore.upsert(collectionName, [toPoint(invoiceDoc, vector)]);
+        console.log(`[Invoice Worker] ✓ Vector embeddings stored in ${collectionName}`);
 
-        await vectorStore.addDocuments([invoiceDoc]);
-        console.log(`[Invoice Worker] ✓ Vector embeddings created in Qdrant`);
+        // Keyword index, so invoice and container numbers match in /search
+        try {
+          await indexSparseDocuments(collectionName, [invoiceDoc]);
+        } catch (sparseError) {
+          console.error(`[Invoice Worker] Keyword indexing failed:`, sparseError.message);
+        }
       } catch (vectorError) {
         console.warn(`[Invoice Worker] Vector storage failed:`, vectorError.message);
       }
 
-      // Clean up temp file
-      if (tempPath && fs.existsSync(tempPath)) {
-        fs.unlinkSync(tempPath);
-        console.log(`[Invoice Worker] ✓ Cleaned up temp file`);
-      }
-
       const processingTime = Date.now() - startTime;
       console.log(`\n[Invoice Worker] ✓✓✓ COMPLETED IN ${processingTime}ms ✓✓✓\n`);
+      await reportProgress(job, 'completed', 100, 'Invoice processed');
 
       return {
         success: true,
@@ -608,9 +581,10 @@ const invoiceWorker = new Worker(
         sessionId,
         bookingId,
         analysis,
-        collectionName: `invoices_${userId}`,
+        ocrPages,
+        collectionName: getInvoiceCollectionName(userId),
         processingTime,
-        version: '5.4.0-cloudinary'
+        version: PROCESSING_VERSION
       };
 
     } catch (err) {
@@ -619,27 +593,11 @@ const invoiceWorker = new Worker(
       
       try {
         const data = typeof job.data === 'string' ? JSON.parse(job.data) : job.data;
-        await supabase
-          .from('invoices')
-          .update({
-            processed: false,
-            extracted_data: { 
-              error: err.message,
-              timestamp: new Date().toISOString()
-            }
-          })
-          .eq('invoice_id', data.invoiceId);
+        await recordInvoiceFailure(data.invoiceId, err.message);
       } catch (dbErr) {
         console.error(`[Invoice Worker] Could not update database:`, dbErr.message);
       }
       
-      // Clean up temp file on error
-      if (tempPath && fs.existsSync(tempPath)) {
-        try {
-          fs.unlinkSync(tempPath);
-        } catch {}
-      }
-      
       throw err;
     }
   },
@@ -649,35 +607,206 @@ const invoiceWorker = new Worker(
     limiter: {
       max: 5,
       duration: 60000,
-    },
-    defaultJobOptions: {
-      removeOnComplete: 50,
-      removeOnFail: 25,
-      attempts: 2,
-      backoff: {
-        type: 'exponential',
-        delay: 3000,
-      },
     }
   }
 );
 
+// ========== ACCOUNT DELETION WORKER ==========
+
+const accountDeletionWorker = new Worker(
+  'account-deletion-queue',
+  async (job) => {
+    const { userId, receiptId, organizationIds } = job.data;
+    console.log(`[Deletion Worker] Erasing account data (receipt ${receiptId}, attempt ${job.attemptsMade + 1})`);
+
+    try {
+      await updateDeletionReceipt(receiptId, { status: 'in_progress' });
+      const summary = await eraseAccountData({ userId, receiptId, organizationIds });
+
+      await updateDeletionReceipt(receiptId, {
+        status: 'completed',
+        completed_at: new Date().toISOString(),
+        summary,
+        error: null
+      });
+      console.log(`[Deletion Worker] ✓ Receipt ${receiptId} completed`);
+
+      return { receiptId, summary };
+    } catch (err) {
+      console.error(`[Deletion Worker] Receipt ${receiptId} failed:`, err.message);
+      const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+      try {
+        await updateDeletionReceipt(receiptId, {
+          status: finalAttempt ? 'failed' : 'retrying',
+          error: err.message
+        });
+      } catch (dbErr) {
+        console.error(`[Deletion Worker] Could not update receipt:`, dbErr.message);
+      }
+      throw err;
+    }
+  },
+  {
+    concurrency: 1,
+    connection: redisConnection
+  }
+);
+
+// ========== RE-INDEX WORKER ==========
+
+// One job at a time, so two runs never build the same collection. A retried
+// job skips the collections it already switched and resumes the one it was in.
+const reindexWorker = new Worker(
+  'reindex-queue',
+  async (job) => {
+    const startTime = Date.now();
+    const { userId, organizationId, collection } = getJobData(job);
+    console.log(`[Reindex Worker] Processing job ${job.id} (attempt ${job.attemptsMade + 1})`);
+
+    let targets = await getReindexTargets({ userId, organizationId: organizationId || null });
+    if (collection) {
+      targets = targets.filter(target => target.collectionName === collection);
+    }
+
+    const completedCollections = (await getJobReindexRuns(job.id))
+      .filter(run => run.status === 'completed')
+      .map(run => run.collection_name);
+
+    const collections = await runReindex(targets, {
+      jobId: job.id,
+      completedCollections,
+      onProgress: ({ percent, message, ...extra }) => reportProgress(job, 'reindexing', percent, message, extra)
+    });
+
+    const processingTime = Date.now() - startTime;
+    console.log(`[Reindex Worker] ✓ Re-indexed ${collections.length} collection(s) in ${processingTime}ms`);
+    await reportProgress(job, 'completed', 100, `Re-indexed ${collections.length} collection(s)`);
+
+    return { success: true, collections, processingTime, version: PROCESSING_VERSION };
+  },
+  {
+    concurrency: 1,
+    connection: redisConnection
+  }
+);
+
 // ========== EVENT HANDLERS ==========
 
+// Job events are forwarded to the API, which pushes them to connected clients
+function getJobData(job) {
+  return typeof job.data === 'string' ? JSON.parse(job.data) : job.data;
+}
+
+// By the time 'failed' fires, attemptsMade already includes the failed attempt
+function hasRetriesLeft(job) {
+  return job.attemptsMade < (job.opts.attempts || 1);
+}
+
+pdfWorker.on('progress', (job, progress) => {
+  const { userId, organizationId, documentId } = getJobData(job);
+  publishEvent('document.progress', { userId, organizationId, documentId, jobId: job.id, ...progress });
+});
+
 pdfWorker.on('completed', (job, result) => {
   console.log(`[PDF Worker] ✓ Job ${job.id} completed: ${result.filename}`);
+  const { userId, organizationId, documentId } = getJobData(job);
+  publishEvent('document.processed', {
+    userId,
+    organizationId,
+    documentId,
+    jobId: job.id,
+    filename: result.filename,
+    chunks: result.chunks,
+    documentType: result.aiAnalysis?.documentType,
+    summary: result.aiAnalysis?.summary
+  });
 });
 
 pdfWorker.on('failed', (job, err) => {
   console.error(`[PDF Worker] ✗ Job ${job?.id} failed: ${err.message}`);
+  if (!job) return;
+  const { userId, organizationId, documentId, filename } = getJobData(job);
+  publishEvent(hasRetriesLeft(job) ? 'document.retrying' : 'document.failed', {
+    userId,
+    organizationId,
+    documentId,
+    jobId: job.id,
+    filename,
+    error: err.message,
+    attemptsMade: job.attemptsMade,
+    maxAttempts: job.opts.attempts || 1
+  });
+});
+
+invoiceWorker.on('progress', (job, progress) => {
+  const { userId, organizationId, invoiceId } = getJobData(job);
+  publishEvent('invoice.progress', { userId, organizationId, invoiceId, jobId: job.id, ...progress });
 });
 
 invoiceWorker.on('completed', (job, result) => {
   console.log(`[Invoice Worker] ✓ Job ${job.id} completed: ${result.filename}`);
+  const { userId, organizationId } = getJobData(job);
+  publishEvent('invoice.processed', {
+    userId,
+    organizationId,
+    invoiceId: result.invoiceId,
+    jobId: job.id,
+    filename: result.filename,
+    sessionId: result.sessionId,
+    bookingId: result.bookingId,
+    analysis: result.analysis
+  });
 });
 
 invoiceWorker.on('failed', (job, err) => {
   console.error(`[Invoice Worker] ✗ Job ${job?.id} failed: ${err.message}`);
+  if (!job) return;
+  const { userId, organizationId, invoiceId, filename, sessionId } = getJobData(job);
+  publishEvent(hasRetriesLeft(job) ? 'invoice.retrying' : 'invoice.failed', {
+    userId,
+    organizationId,
+    invoiceId,
+    jobId: job.id,
+    filename,
+    sessionId,
+    error: err.message,
+    attemptsMade: job.attemptsMade,
+    maxAttempts: job.opts.attempts || 1
+  });
+});
+
+accountDeletionWorker.on('failed', (job, err) => {
+  console.error(`[Deletion Worker] ✗ Job ${job?.id} failed: ${err.message}`);
+});
+
+reindexWorker.on('progress', (job, progress) => {
+  const { userId, organizationId } = getJobData(job);
+  publishEvent('reindex.progress', { userId, organizationId, jobId: job.id, ...progress });
+});
+
+reindexWorker.on('completed', (job, result) => {
+  console.log(`[Reindex Worker] ✓ Job ${job.id} completed`);
+  const { userId, organizationId } = getJobData(job);
+  publishEvent('reindex.completed', {
+    userId,
+    organizationId,
+    jobId: job.id,
+    collections: result.collections
+  });
+});
+
+reindexWorker.on('failed', (job, err) => {
+  console.error(`[Reindex Worker] ✗ Job ${job?.id} failed: ${err.message}`);
+  if (!job) return;
+  const { userId, organizationId } = getJobData(job);
+  publishEvent(hasRetriesLeft(job) ? 'reindex.retrying' : 'reindex.failed', {
+    userId,
+    organizationId,
+    jobId: job.id,
+    error: err.message,
+    attemptsMade: job.attemptsMade,
+    maxAttempts: job.opts.attempts || 1
+  });
 });
 
 // ========== HEALTH CHECK API ==========
@@ -689,7 +818,7 @@ workerApp.use(cors({
   origin: ['http://localhost:3000', 'http://localhost:3001'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Organization-Id']
 }));
 
 workerApp.use(express.json());
@@ -709,26 +838,33 @@ workerApp.get('/health', (req, res) => {
         queue: 'invoice-upload-queue', 
         status: invoiceWorker.isRunning() ? 'running' : 'stopped',
         concurrency: 1
+      },
+      {
+        name: 'Account Deletion',
+        queue: 'account-deletion-queue',
+        status: accountDeletionWorker.isRunning() ? 'running' : 'stopped',
+        concurrency: 1
+      },
+      {
+        name: 'Re-indexing',
+        queue: 'reindex-queue',
+        status: reindexWorker.isRunning() ? 'running' : 'stopped',
+        concurrency: 1
       }
     ],
-    storage: 'Cloudinary + Supabase + Qdrant',
+    storage: getDefaultBackend(),
+    database: getDatabaseBackend(),
+    vectorStore: vectorStore.name,
     deployment: 'Render Free Tier',
     uptime: process.uptime(),
     timestamp: new Date().toISOString(),
-    version: '5.4.0-cloudinary'
+    version: PROCESSING_VERSION
   });
 });
 
-workerApp.get('/api/invoice/:invoiceId', async (req, res) => {
+workerApp.get('/api/invoice/:invoiceId', verifyUserToken, requirePermission('documents:read'), async (req, res) => {
   try {
-    const { invoiceId } = req.params;
-    const { data, error } = await supabase
-      .from('invoices')
-      .select('*')
-      .eq('invoice_id', invoiceId)
-      .single();
-    
-    if (error) throw error;
+    const data = await getOwnedInvoice(req.params.invoiceId, req.workspace);
     if (!data) return res.status(404).json({ error: 'Invoice not found' });
     
     res.json(data);
@@ -737,16 +873,9 @@ workerApp.get('/api/invoice/:invoiceId', async (req, res) => {
   }
 });
 
-workerApp.get('/api/document/:documentId', async (req, res) => {
+workerApp.get('/api/document/:documentId', verifyUserToken, requirePermission('documents:read'), async (req, res) => {
   try {
-    const { documentId } = req.params;
-    const { data, error } = await supabase
-      .from('documents')
-      .select('*')
-      .eq('document_id', documentId)
-      .single();
-    
-    if (error) throw error;
+    const data = await getOwnedDocument(req.params.documentId, req.workspace);
     if (!data) return res.status(404).json({ error: 'Document not found' });
     
     res.json(data);
@@ -759,19 +888,21 @@ workerApp.listen(WORKER_PORT, () => {
   console.log('========================================');
   console.log('FreightChat Pro Workers Started');
   console.log('========================================');
-  console.log(`Version: 5.4.0-cloudinary`);
+  console.log(`Version: ${PROCESSING_VERSION}`);
   console.log(`Health Check: http://localhost:${WORKER_PORT}/health`);
-  console.log(`Storage: Cloudinary (persistent file storage)`);
-  console.log(`Database: Supabase`);
-  console.log(`Vectors: Qdrant`);
+  console.log(`Storage: ${getDefaultBackend()}`);
+  console.log(`Database: ${getDatabaseBackend()}`);
+  console.log(`Vectors: ${vectorStore.name}`);
   console.log(`Queue: BullMQ (Redis)`);
   console.log(`Deployment: Render Free Tier Ready`);
   console.log('========================================');
   console.log('Active Workers:');
   console.log('  ✓ PDF Processing (2 concurrent)');
   console.log('  ✓ Invoice Processing (1 concurrent)');
+  console.log('  ✓ Account Deletion (1 concurrent)');
+  console.log('  ✓ Re-indexing (1 concurrent)');
   console.log('========================================');
-  console.log('Ready to process jobs from Cloudinary...');
+  console.log('Ready to process jobs...');
 });
 
 // ========== GRACEFUL SHUTDOWN ==========
@@ -782,7 +913,9 @@ async function gracefulShutdown() {
   try {
     await Promise.all([
       pdfWorker.close(),
-      invoiceWorker.close()
+      invoiceWorker.close(),
+      accountDeletionWorker.close(),
+      reindexWorker.close()
     ]);
     console.log('[Shutdown] ✓ Workers closed successfully');
     process.exit(0);
@@ -1,16 +1,25 @@
 import { StateGraph, END, START } from "@langchain/langgraph";
-import { ChatOpenAI } from "@langchain/openai";
 import { HumanMessage, SystemMessage, AIMessage } from "@langchain/core/messages";
+import { buildCitedContext, formatSources, CITATION_INSTRUCTIONS } from "./retrieval.js";
+import { createChatModel } from "./ai-config.js";
 
-const model = new ChatOpenAI({
-  modelName: "gpt-4o",
-  temperature: 0.7,
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const model = createChatModel("chat", { temperature: 0.7 });
+
+// Only the user-facing reply is streamed; the tag keeps the extraction call's
+// tokens out of the stream. It is added to the run config of the call:
+// ChatOpenAI.withConfig() binds call options and drops run tags.
+const RESPONSE_TAG = 'agent_response';
+
+function withTag(config, tag) {
+  return { ...config, tags: [...(config?.tags || []), tag] };
+}
+
+const QUOTE_MARKER = 'READY_FOR_QUOTE';
 
 const ShippingStateSchema = {
   messages: [],
   userId: null,
+  organizationId: null,
   threadId: null,
   shipmentData: {},
   currentPhase: 'greeting',
@@ -21,7 +30,7 @@ const ShippingStateSchema = {
 };
 
 // Single agent that handles everything
-async function shippingAgentNode(state) {
+async function shippingAgentNode(state, config) {
   // If no messages, start with greeting
   if (state.messages.length === 0) {
     const greetingMessage = {
@@ -110,14 +119,14 @@ Be conversational, friendly, and professional. Ask for ONE thing at a time. Don'
     const response = await model.invoke([
       new SystemMessage(systemPrompt),
       ...conversationHistory
-    ]);
+    ], withTag(config, RESPONSE_TAG));
 
     // Handle response content safely
     const responseText = typeof response.content === 'string' 
       ? response.content 
       : JSON.stringify(response.content);
 
-    const shouldGenerateQuote = responseText.trim().startsWith('READY_FOR_QUOTE');
+    const shouldGenerateQuote = responseText.trim().startsWith(QUOTE_MARKER);
     
     // Remove the READY_FOR_QUOTE marker from display
     const assistantResponse = shouldGenerateQuote 
@@ -152,7 +161,7 @@ Return ONLY valid JSON with any found/updated fields (use null for missing field
       const extractResponse = await model.invoke([
         new SystemMessage(extractionPrompt),
         new HumanMessage(userMessage)
-      ]);
+      ], config);
 
       const extractedText = typeof extractResponse.content === 'string'
         ? extractResponse.content
@@ -170,6 +179,7 @@ Return ONLY valid JSON with any found/updated fields (use null for missing field
         });
       }
     } catch (e) {
+      if (config?.signal?.aborted) throw e;
       console.log('Data extraction failed, keeping existing data:', e.message);
     }
 
@@ -243,6 +253,8 @@ Would you like to book one of these carriers?`;
     };
 
   } catch (error) {
+    // A cancelled request must not leave an apology in the conversation
+    if (config?.signal?.aborted) throw error;
     console.error('Agent error:', error);
     const errorMessage = "I apologize, I encountered an error processing your request. Could you please try rephrasing that?";
     
@@ -300,6 +312,98 @@ export class ShippingAgentExecutor {
       throw error;
     }
   }
+
+  // Records changes made outside a turn, such as an uploaded invoice, as if
+  // the agent node had made them
+  async updateState(config, values) {
+    return this.agent.updateState(config, values, 'agent');
+  }
+
+  /**
+   * Run the agent, calling onToken with each piece of the reply as the model
+   * generates it. Resolves with the same final state as invoke(). Aborting
+   * the signal cancels the upstream model call.
+   */
+  async stream(state, config, { onToken = () => {}, signal } = {}) {
+    const filter = createReplyFilter(onToken);
+    const result = await streamGraph(this.agent, state, config, {
+      tag: RESPONSE_TAG,
+      node: 'agent',
+      signal,
+      onToken: (text) => filter.push(text)
+    });
+    filter.flush();
+    return result;
+  }
+}
+
+/**
+ * Run a compiled graph and pass on the tokens of model calls carrying `tag`.
+ * onStart is called whenever such a call begins, so callers can tell a
+ * regenerated reply from a continuation. Resolves with the final state.
+ *
+ * `node` is the graph node that generates the reply. When it called a model
+ * but no tagged token came through, the reply call lost its tag (tags bound
+ * with withConfig() never reach the run config) and clients only get the
+ * final event, so that is logged.
+ */
+async function streamGraph(graph, state, config, { tag, node, signal, onToken, onStart = () => {} }) {
+  try {
+    const events = graph.streamEvents(state, { ...config, signal, version: 'v2' });
+    let replyCalls = 0;
+    let tokens = 0;
+    for await (const event of events) {
+      if (event.event === 'on_chat_model_start' && event.metadata?.langgraph_node === node) replyCalls++;
+      if (!event.tags?.includes(tag)) continue;
+      if (event.event === 'on_chat_model_start') {
+        onStart();
+      } else if (event.event === 'on_chat_model_stream') {
+        const content = event.data.chunk?.content;
+        if (typeof content === 'string' && content) {
+          tokens++;
+          onToken(content);
+        }
+      }
+    }
+    if (replyCalls > 0 && tokens === 0) {
+      console.warn(`[Stream] The ${node} node called a model but streamed no '${tag}' tokens; is the tag in the call's run config?`);
+    }
+    const snapshot = await graph.getState(config);
+    return snapshot.values;
+  } catch (error) {
+    if (!signal?.aborted) console.error('Agent streaming error:', error);
+    throw error;
+  }
+}
+
+// Holds back the start of the reply until it is clear whether it begins with
+// the quote marker, which is stripped exactly as the node does
+function createReplyFilter(onToken) {
+  let pending = '';
+  let started = false;
+  let stripLeading = false;
+
+  return {
+    push(text) {
+      if (!started) {
+        pending += text;
+        const trimmed = pending.trimStart();
+        if (trimmed.length < QUOTE_MARKER.length && QUOTE_MARKER.startsWith(trimmed)) return;
+        started = true;
+        stripLeading = trimmed.startsWith(QUOTE_MARKER);
+        text = stripLeading ? trimmed.slice(QUOTE_MARKER.length) : pending;
+      }
+      if (stripLeading) {
+        text = text.trimStart();
+        if (!text) return;
+        stripLeading = false;
+      }
+      onToken(text);
+    },
+    flush() {
+      if (!started && pending.trim()) onToken(pending);
+    }
+  };
 }
 
 async function generateShippingQuote(shipmentData) {
@@ -424,4 +528,273 @@ function calculateAdditionalCosts(requirements, value) {
   if (reqString.includes('express') || reqString.includes('urgent')) cost += 75;
   
   return cost;
-}
\ No newline at end of file
+}
+// ========== DOCUMENT Q&A (RAG) ==========
+// Answers questions about the workspace's documents:
+//   condense -> retrieve -> grade -> generate -> check groundedness -> respond
+// Chunks the grader rejects never reach the prompt, and an answer the checker
+// finds unsupported is regenerated once before falling back to "I don't know".
+// Retrieval itself is injected by the caller, which knows the workspace's
+// collections and the request's search options.
+
+export const DOCUMENT_CHAT_PHASE = 'document_analysis';
+const RAG_RESPONSE_TAG = 'rag_answer';
+const MAX_GENERATIONS = 2;
+const RAG_HISTORY_TURNS = 6;
+
+export const UNKNOWN_ANSWER = "I don't know. The documents I can search do not contain enough information to answer that.";
+
+const ragModel = createChatModel("chat", { temperature: 0.2 });
+
+const graderModel = createChatModel("grading", {
+  temperature: 0,
+  modelKwargs: { response_format: { type: "json_object" } },
+});
+
+const condenseModel = createChatModel("grading", { temperature: 0 });
+
+const DocumentRagStateSchema = {
+  messages: [],
+  userId: null,
+  organizationId: null,
+  threadId: null,
+  currentPhase: DOCUMENT_CHAT_PHASE,
+  question: null,
+  searchQuery: null,
+  retrieval: null,
+  documents: [],
+  relevantDocuments: [],
+  answer: null,
+  grounded: null,
+  generations: 0,
+  sources: [],
+  output: null
+};
+
+function parseJsonResponse(response) {
+  const text = typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  return jsonMatch ? JSON.parse(jsonMatch[0]) : {};
+}
+
+function recentTurns(messages = []) {
+  return messages.slice(-RAG_HISTORY_TURNS * 2);
+}
+
+// Chunks are kept as plain objects so checkpoints stay plain JSON
+function toPlainResult({ doc, score, scores, collectionName }) {
+  return {
+    doc: { pageContent: doc.pageContent, metadata: doc.metadata },
+    score,
+    ...(scores ? { scores } : {}),
+    collectionName
+  };
+}
+
+async function condenseNode(state, config) {
+  const history = recentTurns(state.messages);
+  if (history.length === 0) {
+    return { searchQuery: state.question };
+  }
+
+  const transcript = history
+    .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+    .join('\n');
+
+  try {
+    const response = await condenseModel.invoke([
+      new SystemMessage('Rewrite the follow-up question as a standalone question that can be understood without the conversation. Resolve pronouns and references to earlier documents, shipments, parties and numbers. Keep identifiers exactly as written. Return only the question.'),
+      new HumanMessage(`Conversation:\n${transcript}\n\nFollow-up question: ${state.question}`)
+    ], config);
+    const condensed = typeof response.content === 'string' ? response.content.trim() : '';
+    return { searchQuery: condensed || state.question };
+  } catch (error) {
+    if (config?.signal?.aborted) throw error;
+    console.warn('[RAG] Could not condense question:', error.message);
+    return { searchQuery: state.question };
+  }
+}
+
+function createRetrieveNode(retrieveContext) {
+  return async function retrieveNode(state) {
+    const { results, emptyMessage } = await retrieveContext(state.searchQuery, {
+      workspace: { userId: state.userId, organizationId: state.organizationId },
+      retrieval: state.retrieval
+    });
+    return {
+      documents: results.map(toPlainResult),
+      answer: emptyMessage || null
+    };
+  };
+}
+
+async function gradeNode(state, config) {
+  const passages = state.documents
+    .map(({ doc }, i) => `[${i + 1}] ${doc.pageContent.slice(0, 1500)}`)
+    .join('\n\n');
+
+  try {
+    const response = await graderModel.invoke([
+      new SystemMessage('You decide which passages contain information that helps answer a question. Be inclusive: partial or supporting information counts. Return only valid JSON.'),
+      new HumanMessage(`Question: ${state.searchQuery}\n\nPassages:\n${passages}\n\nReturn JSON {"relevant": [passage numbers]}.`)
+    ], config);
+    const relevant = new Set((parseJsonResponse(response).relevant || []).map(Number));
+    return { relevantDocuments: state.documents.filter((_, i) => relevant.has(i + 1)) };
+  } catch (error) {
+    if (config?.signal?.aborted) throw error;
+    // Without a grade, let the groundedness check catch unhelpful context
+    console.warn('[RAG] Relevance grading failed, keeping all chunks:', error.message);
+    return { relevantDocuments: state.documents };
+  }
+}
+
+async function generateNode(state, config) {
+  const retry = state.generations > 0
+    ? '\n\nYour previous answer included statements the passages do not support. Only state what the passages say.'
+    : '';
+
+  const history = recentTurns(state.messages).map(message =>
+    message.role === 'user' ? new HumanMessage(message.content) : new AIMessage(message.content)
+  );
+
+  const response = await ragModel.invoke([
+    new SystemMessage(`You answer questions about the user's freight and business documents using only the numbered context passages provided with the question. Do not use outside knowledge. If the passages do not contain the answer, reply exactly: "${UNKNOWN_ANSWER}"\n\n${CITATION_INSTRUCTIONS}${retry}`),
+    ...history,
+    new HumanMessage(`Context:\n${buildCitedContext(state.relevantDocuments)}\n\nQuestion: ${state.question}`)
+  ], withTag(config, RAG_RESPONSE_TAG));
+
+  return {
+    answer: typeof response.content === 'string' ? response.content : JSON.stringify(response.content),
+    generations: state.generations + 1
+  };
+}
+
+async function checkGroundednessNode(state, config) {
+  if (state.answer.startsWith("I don't know")) {
+    return { grounded: true };
+  }
+
+  try {
+    const response = await graderModel.invoke([
+      new SystemMessage('You check whether an answer is fully supported by the given passages. Citations like [1] refer to the passage numbers. Return only valid JSON.'),
+      new HumanMessage(`Passages:\n${buildCitedContext(state.relevantDocuments)}\n\nAnswer:\n${state.answer}\n\nReturn JSON {"grounded": true|false, "unsupported": ["claims not supported by the passages"]}.`)
+    ], config);
+    const { grounded = true, unsupported = [] } = parseJsonResponse(response);
+    if (!grounded) {
+      console.log(`[RAG] Unsupported answer (generation ${state.generations}):`, unsupported);
+    }
+    return { grounded: Boolean(grounded) };
+  } catch (error) {
+    if (config?.signal?.aborted) throw error;
+    console.warn('[RAG] Groundedness check failed, accepting answer:', error.message);
+    return { grounded: true };
+  }
+}
+
+// Keeps retrieval's explanation when nothing could be searched at all
+function abstainNode(state) {
+  const retrievalMessage = state.documents.length === 0 ? state.answer : null;
+  return { answer: retrievalMessage || UNKNOWN_ANSWER, relevantDocuments: [] };
+}
+
+// Records the turn in the conversation; sources are kept with the answer
+function respondNode(state) {
+  const sources = formatSources(state.relevantDocuments, state.answer);
+  const now = new Date().toISOString();
+  return {
+    messages: [
+      ...(state.messages || []),
+      { role: 'user', content: state.question, searchQuery: state.searchQuery, timestamp: now },
+      { role: 'assistant', content: state.answer, sources, timestamp: now }
+    ],
+    sources,
+    output: state.answer
+  };
+}
+
+export async function createDocumentRagAgent(checkpointer, { retrieveContext }) {
+  const workflow = new StateGraph({
+    channels: DocumentRagStateSchema
+  });
+
+  workflow.addNode('condense', condenseNode);
+  workflow.addNode('retrieve', createRetrieveNode(retrieveContext));
+  workflow.addNode('grade', gradeNode);
+  workflow.addNode('generate', generateNode);
+  workflow.addNode('check', checkGroundednessNode);
+  workflow.addNode('abstain', abstainNode);
+  workflow.addNode('respond', respondNode);
+
+  workflow.addEdge(START, 'condense');
+  workflow.addEdge('condense', 'retrieve');
+  workflow.addConditionalEdges('retrieve', (state) =>
+    state.documents.length > 0 ? 'grade' : 'abstain'
+  );
+  workflow.addConditionalEdges('grade', (state) =>
+    state.relevantDocuments.length > 0 ? 'generate' : 'abstain'
+  );
+  workflow.addEdge('generate', 'check');
+  workflow.addConditionalEdges('check', (state) => {
+    if (state.grounded) return 'respond';
+    return state.generations < MAX_GENERATIONS ? 'generate' : 'abstain';
+  });
+  workflow.addEdge('abstain', 'respond');
+  workflow.addEdge('respond', END);
+
+  return workflow.compile({ checkpointer });
+}
+
+export class DocumentRagExecutor {
+  constructor(agent, checkpointer) {
+    this.agent = agent;
+    this.checkpointer = checkpointer;
+  }
+
+  // Per-turn fields are reset; messages carry over from the thread's checkpoint
+  buildInput({ question, retrieval, workspace, threadId }) {
+    return {
+      question,
+      retrieval,
+      userId: workspace.userId,
+      organizationId: workspace.organizationId,
+      threadId,
+      currentPhase: DOCUMENT_CHAT_PHASE,
+      searchQuery: null,
+      documents: [],
+      relevantDocuments: [],
+      answer: null,
+      grounded: null,
+      generations: 0,
+      sources: [],
+      output: null
+    };
+  }
+
+  async invoke(turn, config) {
+    try {
+      return await this.agent.invoke(this.buildInput(turn), config);
+    } catch (error) {
+      console.error('RAG execution error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Like invoke(), streaming the answer through onToken. If the first answer
+   * fails the groundedness check, onRestart is called before the tokens of
+   * the regenerated one; when the final result is "I don't know" the
+   * streamed text is superseded by the result's output.
+   */
+  async stream(turn, config, { onToken = () => {}, onRestart = () => {}, signal } = {}) {
+    let generations = 0;
+    return streamGraph(this.agent, this.buildInput(turn), config, {
+      tag: RAG_RESPONSE_TAG,
+      node: 'generate',
+      signal,
+      onToken,
+      onStart: () => {
+        if (generations++ > 0) onRestart();
+      }
+    });
+  }
+}